@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Clé du verrou consultatif empêchant deux processus de migrer en même temps
+const MIGRATION_LOCK_KEY = 724031;
+
+/**
+ * Charge les fichiers de migration numérotés (ex. 001_schema_initial.js), triés par version
+ * @returns {Array<Object>} - Migrations { version, nom, up, down }
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(fichier => /^\d+_.+\.js$/.test(fichier))
+    .map(fichier => {
+      const migration = require(path.join(MIGRATIONS_DIR, fichier));
+      return {
+        version: parseInt(fichier.split('_')[0], 10),
+        nom: fichier.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      nom VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+// Exécute une fonction avec le verrou de migration sur une connexion dédiée
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+}
+
+/**
+ * Applique toutes les migrations en attente, chacune dans sa propre transaction
+ * @param {Pool} pool - Pool PostgreSQL
+ * @returns {Promise<string[]>} - Noms des migrations appliquées
+ */
+async function migrateUp(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(m => !applied.includes(m.version));
+    const executed = [];
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, nom) VALUES ($1, $2)',
+          [migration.version, migration.nom]
+        );
+        await client.query('COMMIT');
+        console.log(`✅ Migration appliquée: ${migration.nom}`);
+        executed.push(migration.nom);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Échec de la migration ${migration.nom}:`, error.message);
+        throw error;
+      }
+    }
+
+    return executed;
+  });
+}
+
+/**
+ * Annule les dernières migrations appliquées
+ * @param {Pool} pool - Pool PostgreSQL
+ * @param {number} [etapes=1] - Nombre de migrations à annuler
+ * @returns {Promise<string[]>} - Noms des migrations annulées
+ */
+async function migrateDown(pool, etapes = 1) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+    const reverted = [];
+
+    for (const version of applied.reverse().slice(0, etapes)) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Fichier de migration introuvable pour la version ${version}`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        await client.query('COMMIT');
+        console.log(`↩️ Migration annulée: ${migration.nom}`);
+        reverted.push(migration.nom);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Échec de l'annulation de ${migration.nom}:`, error.message);
+        throw error;
+      }
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * Retourne l'état des migrations (appliquées et en attente)
+ * @param {Pool} pool - Pool PostgreSQL
+ * @returns {Promise<Object>} - { appliquees, en_attente, inconnues }
+ */
+async function getMigrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    const tableResult = await client.query("SELECT to_regclass('schema_migrations') AS table_name");
+    const applied = tableResult.rows[0].table_name ? await getAppliedVersions(client) : [];
+    const migrations = loadMigrations();
+
+    return {
+      appliquees: migrations.filter(m => applied.includes(m.version)).map(m => m.nom),
+      en_attente: migrations.filter(m => !applied.includes(m.version)).map(m => m.nom),
+      inconnues: applied.filter(version => !migrations.some(m => m.version === version))
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Refuse de continuer si des migrations sont en attente
+ * @param {Pool} pool - Pool PostgreSQL
+ */
+async function assertSchemaUpToDate(pool) {
+  const status = await getMigrationStatus(pool);
+
+  if (status.inconnues.length > 0) {
+    console.warn(`⚠️ La base contient des migrations inconnues de ce code: ${status.inconnues.join(', ')}`);
+  }
+
+  if (status.en_attente.length > 0) {
+    throw new Error(
+      `Schéma de base de données obsolète, migrations en attente: ${status.en_attente.join(', ')}. ` +
+      'Exécutez "npm run migrate" avant de démarrer le serveur.'
+    );
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  assertSchemaUpToDate
+};
+
+// Exécuter la commande si le script est appelé directement
+if (require.main === module) {
+  require('dotenv').config();
+  const { getPool, initializeDatabase } = require('./init');
+  const [commande = 'status', argument] = process.argv.slice(2);
+
+  const run = async () => {
+    const pool = getPool();
+
+    if (commande === 'up') {
+      await initializeDatabase();
+    } else if (commande === 'down') {
+      const reverted = await migrateDown(pool, parseInt(argument, 10) || 1);
+      if (reverted.length === 0) {
+        console.log('Aucune migration à annuler');
+      }
+    } else if (commande === 'status') {
+      const status = await getMigrationStatus(pool);
+      console.log('📋 Migrations appliquées:', status.appliquees.length > 0 ? status.appliquees.join(', ') : 'aucune');
+      console.log('⏳ Migrations en attente:', status.en_attente.length > 0 ? status.en_attente.join(', ') : 'aucune');
+    } else {
+      throw new Error(`Commande inconnue: ${commande} (attendu: up, down [n], status)`);
+    }
+  };
+
+  run()
+    .then(() => getPool().end())
+    .catch(async (error) => {
+      console.error('❌ Erreur de migration:', error.message);
+      await getPool().end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,91 @@
+// Schéma initial : utilisateurs, salles, réservations et notifications.
+// Les CREATE IF NOT EXISTS permettent d'adopter les bases créées avant le système de migrations.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS utilisateurs (
+        id SERIAL PRIMARY KEY,
+        nom VARCHAR(100) NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        mot_de_passe VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'utilisateur' CHECK (role IN ('utilisateur', 'admin')),
+        telephone VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS salles (
+        id SERIAL PRIMARY KEY,
+        nom VARCHAR(100) NOT NULL,
+        capacite INTEGER NOT NULL DEFAULT 1,
+        statut VARCHAR(20) DEFAULT 'disponible' CHECK (statut IN ('disponible', 'hors_service', 'maintenance')),
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reservations (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        heure_debut TIME NOT NULL,
+        heure_fin TIME NOT NULL,
+        statut VARCHAR(20) DEFAULT 'active' CHECK (statut IN ('active', 'annulee', 'terminee')),
+        motif TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT check_heures CHECK (heure_fin > heure_debut)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        message TEXT NOT NULL,
+        type VARCHAR(50) DEFAULT 'info',
+        lu BOOLEAN DEFAULT FALSE,
+        date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reservations_date ON reservations(date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reservations_salle ON reservations(salle_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reservations_utilisateur ON reservations(utilisateur_id)');
+
+    await client.query(`
+      CREATE OR REPLACE VIEW vue_prochaines_reservations AS
+      SELECT 
+        r.id,
+        r.date,
+        r.heure_debut,
+        r.heure_fin,
+        r.motif,
+        r.statut,
+        u.nom as utilisateur_nom,
+        u.email as utilisateur_email,
+        u.telephone as utilisateur_telephone,
+        s.nom as salle_nom,
+        s.capacite as salle_capacite
+      FROM reservations r
+      JOIN utilisateurs u ON r.utilisateur_id = u.id
+      JOIN salles s ON r.salle_id = s.id
+      WHERE r.date >= CURRENT_DATE 
+        AND r.statut = 'active'
+      ORDER BY r.date, r.heure_debut
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP VIEW IF EXISTS vue_prochaines_reservations');
+    await client.query('DROP TABLE IF EXISTS notifications');
+    await client.query('DROP TABLE IF EXISTS reservations');
+    await client.query('DROP TABLE IF EXISTS salles');
+    await client.query('DROP TABLE IF EXISTS utilisateurs');
+  }
+};
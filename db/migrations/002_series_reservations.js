@@ -0,0 +1,36 @@
+// Réservations récurrentes : règles de récurrence et rattachement des occurrences
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS series_reservations (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        frequence VARCHAR(20) NOT NULL CHECK (frequence IN ('quotidienne', 'hebdomadaire', 'mensuelle')),
+        intervalle INTEGER NOT NULL DEFAULT 1 CHECK (intervalle > 0),
+        jours_semaine INTEGER[],
+        date_debut DATE NOT NULL,
+        date_fin DATE,
+        nombre_occurrences INTEGER,
+        heure_debut TIME NOT NULL,
+        heure_fin TIME NOT NULL,
+        motif TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE reservations
+      ADD COLUMN IF NOT EXISTS serie_id INTEGER REFERENCES series_reservations(id) ON DELETE SET NULL
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reservations_serie ON reservations(serie_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_reservations_serie');
+    await client.query('ALTER TABLE reservations DROP COLUMN IF EXISTS serie_id');
+    await client.query('DROP TABLE IF EXISTS series_reservations');
+  }
+};
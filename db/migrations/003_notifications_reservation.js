@@ -0,0 +1,16 @@
+// Lien entre les notifications et la réservation concernée (colonne utilisée par routes/reservations.js)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE notifications
+      ADD COLUMN IF NOT EXISTS reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_utilisateur ON notifications(utilisateur_id, lu)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_notifications_utilisateur');
+    await client.query('ALTER TABLE notifications DROP COLUMN IF EXISTS reservation_id');
+  }
+};
@@ -0,0 +1,21 @@
+// Interdiction des chevauchements de réservations actives d'une même salle au niveau de PostgreSQL.
+// Échoue si la base contient déjà des réservations actives qui se chevauchent : les annuler avant de migrer.
+module.exports = {
+  async up(client) {
+    await client.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_sans_chevauchement
+      EXCLUDE USING gist (
+        salle_id WITH =,
+        tsrange(date + heure_debut, date + heure_fin, '[)') WITH &&
+      )
+      WHERE (statut = 'active')
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_sans_chevauchement');
+  }
+};
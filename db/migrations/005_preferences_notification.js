@@ -0,0 +1,14 @@
+// Canaux de notification préférés de chaque utilisateur (SMS par défaut)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE utilisateurs
+      ADD COLUMN canaux_notification VARCHAR(20)[] NOT NULL DEFAULT ARRAY['sms']::VARCHAR(20)[]
+      CONSTRAINT check_canaux_notification CHECK (canaux_notification <@ ARRAY['sms', 'email']::VARCHAR(20)[])
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE utilisateurs DROP COLUMN IF EXISTS canaux_notification');
+  }
+};
@@ -0,0 +1,35 @@
+// File d'attente durable des messages sortants (SMS, email), envoyés par services/outboxWorker.js
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE messages_sortants (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+        canal VARCHAR(20) NOT NULL,
+        destinataire VARCHAR(255) NOT NULL,
+        sujet VARCHAR(255),
+        contenu TEXT NOT NULL,
+        statut VARCHAR(20) NOT NULL DEFAULT 'en_attente' CHECK (statut IN ('en_attente', 'envoye', 'echec')),
+        tentatives INTEGER NOT NULL DEFAULT 0,
+        max_tentatives INTEGER NOT NULL DEFAULT 5,
+        prochaine_tentative TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        derniere_erreur TEXT,
+        fournisseur_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        envoye_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX idx_messages_sortants_a_envoyer
+      ON messages_sortants(prochaine_tentative)
+      WHERE statut = 'en_attente'
+    `);
+    await client.query('CREATE INDEX idx_messages_sortants_statut ON messages_sortants(statut, created_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS messages_sortants');
+  }
+};
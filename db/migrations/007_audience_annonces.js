@@ -0,0 +1,48 @@
+// Destinataires des annonces de réservation : règle par salle, groupes et abonnements aux salles
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE groupes (
+        id SERIAL PRIMARY KEY,
+        nom VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE groupes_membres (
+        groupe_id INTEGER REFERENCES groupes(id) ON DELETE CASCADE,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (groupe_id, utilisateur_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE abonnements_salles (
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (utilisateur_id, salle_id)
+      )
+    `);
+    await client.query('CREATE INDEX idx_abonnements_salles_salle ON abonnements_salles(salle_id)');
+
+    // NULL : règle par défaut de l'instance (ANNONCES_AUDIENCE)
+    await client.query(`
+      ALTER TABLE salles
+      ADD COLUMN audience_annonces VARCHAR(20)
+        CONSTRAINT check_audience_annonces CHECK (audience_annonces IN ('reservant', 'abonnes', 'groupe', 'tous')),
+      ADD COLUMN groupe_annonces_id INTEGER REFERENCES groupes(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE salles DROP COLUMN IF EXISTS groupe_annonces_id, DROP COLUMN IF EXISTS audience_annonces');
+    await client.query('DROP TABLE IF EXISTS abonnements_salles');
+    await client.query('DROP TABLE IF EXISTS groupes_membres');
+    await client.query('DROP TABLE IF EXISTS groupes');
+  }
+};
@@ -0,0 +1,47 @@
+// Participants invités aux réservations (utilisateurs ou emails externes) et audience « participants »
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE participants_reservation (
+        id SERIAL PRIMARY KEY,
+        reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+        utilisateur_id INTEGER REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        email VARCHAR(255),
+        nom VARCHAR(100),
+        statut VARCHAR(20) NOT NULL DEFAULT 'invite' CHECK (statut IN ('invite', 'accepte', 'refuse')),
+        jeton VARCHAR(64) UNIQUE NOT NULL,
+        repondu_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (utilisateur_id IS NOT NULL OR email IS NOT NULL)
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX idx_participants_reservation_utilisateur
+      ON participants_reservation(reservation_id, utilisateur_id)
+      WHERE utilisateur_id IS NOT NULL
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX idx_participants_reservation_email
+      ON participants_reservation(reservation_id, LOWER(email))
+      WHERE utilisateur_id IS NULL
+    `);
+    await client.query('CREATE INDEX idx_participants_utilisateur ON participants_reservation(utilisateur_id)');
+
+    await client.query('ALTER TABLE salles DROP CONSTRAINT check_audience_annonces');
+    await client.query(`
+      ALTER TABLE salles ADD CONSTRAINT check_audience_annonces
+      CHECK (audience_annonces IN ('reservant', 'participants', 'abonnes', 'groupe', 'tous'))
+    `);
+  },
+
+  async down(client) {
+    await client.query("UPDATE salles SET audience_annonces = NULL WHERE audience_annonces = 'participants'");
+    await client.query('ALTER TABLE salles DROP CONSTRAINT check_audience_annonces');
+    await client.query(`
+      ALTER TABLE salles ADD CONSTRAINT check_audience_annonces
+      CHECK (audience_annonces IN ('reservant', 'abonnes', 'groupe', 'tous'))
+    `);
+    await client.query('DROP TABLE IF EXISTS participants_reservation');
+  }
+};
@@ -0,0 +1,23 @@
+// Flux iCalendar en lecture seule, accessibles par jeton (réservations d'un utilisateur ou d'une salle)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE flux_calendrier (
+        id SERIAL PRIMARY KEY,
+        jeton VARCHAR(64) UNIQUE NOT NULL,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('utilisateur', 'salle')),
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        dernier_acces TIMESTAMP,
+        CHECK ((type = 'salle') = (salle_id IS NOT NULL))
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_flux_calendrier_utilisateur ON flux_calendrier(utilisateur_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS flux_calendrier');
+  }
+};
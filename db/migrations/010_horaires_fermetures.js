@@ -0,0 +1,42 @@
+// Horaires d'ouverture par jour de la semaine (globaux ou propres à une salle) et périodes de fermeture datées
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE horaires_ouverture (
+        id SERIAL PRIMARY KEY,
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        jour_semaine SMALLINT NOT NULL CHECK (jour_semaine BETWEEN 0 AND 6),
+        heure_ouverture TIME NOT NULL,
+        heure_fermeture TIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (heure_fermeture > heure_ouverture)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_horaires_ouverture_salle ON horaires_ouverture(salle_id, jour_semaine)');
+
+    await client.query(`
+      CREATE TABLE fermetures (
+        id SERIAL PRIMARY KEY,
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        date_debut DATE NOT NULL,
+        date_fin DATE NOT NULL,
+        heure_debut TIME,
+        heure_fin TIME,
+        motif VARCHAR(255) NOT NULL,
+        created_by INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (date_fin >= date_debut),
+        CHECK ((heure_debut IS NULL) = (heure_fin IS NULL)),
+        CHECK (heure_fin > heure_debut)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_fermetures_dates ON fermetures(date_debut, date_fin)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS fermetures');
+    await client.query('DROP TABLE IF EXISTS horaires_ouverture');
+  }
+};
@@ -0,0 +1,27 @@
+// Fenêtres de maintenance planifiées : la salle passe en maintenance au début et revient en service à la fin
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE maintenances (
+        id SERIAL PRIMARY KEY,
+        salle_id INTEGER NOT NULL REFERENCES salles(id) ON DELETE CASCADE,
+        debut TIMESTAMP NOT NULL,
+        fin TIMESTAMP NOT NULL,
+        motif VARCHAR(255) NOT NULL,
+        action VARCHAR(20) NOT NULL DEFAULT 'conserver' CHECK (action IN ('conserver', 'annuler', 'deplacer')),
+        statut VARCHAR(20) NOT NULL DEFAULT 'planifiee' CHECK (statut IN ('planifiee', 'en_cours', 'terminee', 'annulee')),
+        created_by INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (fin > debut)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_maintenances_salle ON maintenances(salle_id, debut)');
+    await client.query('CREATE INDEX idx_maintenances_statut ON maintenances(statut, fin)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS maintenances');
+  }
+};
@@ -0,0 +1,47 @@
+// Catalogue d'équipements rattachés aux salles, et emplacement des salles (bâtiment, étage)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE equipements (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL,
+        nom VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE salles_equipements (
+        salle_id INTEGER REFERENCES salles(id) ON DELETE CASCADE,
+        equipement_id INTEGER REFERENCES equipements(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (salle_id, equipement_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_salles_equipements_equipement ON salles_equipements(equipement_id)');
+
+    await client.query(`
+      INSERT INTO equipements (code, nom) VALUES
+        ('projecteur', 'Vidéoprojecteur'),
+        ('ecran', 'Écran'),
+        ('visioconference', 'Visioconférence'),
+        ('tableau_blanc', 'Tableau blanc'),
+        ('accessibilite_pmr', 'Accès personnes à mobilité réduite')
+    `);
+
+    await client.query(`
+      ALTER TABLE salles
+      ADD COLUMN batiment VARCHAR(100),
+      ADD COLUMN etage VARCHAR(20)
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE salles DROP COLUMN IF EXISTS etage, DROP COLUMN IF EXISTS batiment');
+    await client.query('DROP TABLE IF EXISTS salles_equipements');
+    await client.query('DROP TABLE IF EXISTS equipements');
+  }
+};
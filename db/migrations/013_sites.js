@@ -0,0 +1,108 @@
+// Emplacements des salles : site (avec son fuseau horaire) > bâtiment > étage.
+// Les bâtiments et étages saisis en texte sur les salles sont repris dans un site par défaut.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE sites (
+        id SERIAL PRIMARY KEY,
+        nom VARCHAR(100) UNIQUE NOT NULL,
+        adresse TEXT,
+        fuseau_horaire VARCHAR(64) NOT NULL DEFAULT 'Africa/Douala',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE batiments (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+        nom VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (site_id, nom)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE etages (
+        id SERIAL PRIMARY KEY,
+        batiment_id INTEGER NOT NULL REFERENCES batiments(id) ON DELETE CASCADE,
+        nom VARCHAR(50) NOT NULL,
+        niveau INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (batiment_id, nom)
+      )
+    `);
+
+    // Un bâtiment ou un étage occupé par des salles ne peut pas être supprimé
+    await client.query(`
+      ALTER TABLE salles
+      ADD COLUMN batiment_id INTEGER REFERENCES batiments(id) ON DELETE RESTRICT,
+      ADD COLUMN etage_id INTEGER REFERENCES etages(id) ON DELETE RESTRICT
+    `);
+
+    await client.query('CREATE INDEX idx_salles_batiment ON salles(batiment_id)');
+
+    // Reprise des emplacements saisis en texte
+    const aReprendre = await client.query('SELECT 1 FROM salles WHERE batiment IS NOT NULL OR etage IS NOT NULL LIMIT 1');
+    if (aReprendre.rows.length > 0) {
+      const siteResult = await client.query(
+        'INSERT INTO sites (nom, fuseau_horaire) VALUES ($1, $2) RETURNING id',
+        ['Site principal', process.env.FUSEAU_HORAIRE || 'Africa/Douala']
+      );
+      const siteId = siteResult.rows[0].id;
+
+      await client.query(`
+        INSERT INTO batiments (site_id, nom)
+        SELECT DISTINCT $1::int, COALESCE(batiment, 'Bâtiment principal')
+        FROM salles
+        WHERE batiment IS NOT NULL OR etage IS NOT NULL
+      `, [siteId]);
+
+      await client.query(`
+        UPDATE salles s
+        SET batiment_id = b.id
+        FROM batiments b
+        WHERE b.nom = COALESCE(s.batiment, 'Bâtiment principal')
+          AND (s.batiment IS NOT NULL OR s.etage IS NOT NULL)
+      `);
+
+      await client.query(`
+        INSERT INTO etages (batiment_id, nom)
+        SELECT DISTINCT batiment_id, etage
+        FROM salles
+        WHERE etage IS NOT NULL
+      `);
+
+      await client.query(`
+        UPDATE salles s
+        SET etage_id = e.id
+        FROM etages e
+        WHERE e.batiment_id = s.batiment_id AND e.nom = s.etage
+      `);
+    }
+
+    await client.query('ALTER TABLE salles DROP COLUMN batiment, DROP COLUMN etage');
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE salles
+      ADD COLUMN batiment VARCHAR(100),
+      ADD COLUMN etage VARCHAR(20)
+    `);
+
+    await client.query(`
+      UPDATE salles s
+      SET batiment = (SELECT nom FROM batiments WHERE id = s.batiment_id),
+          etage = (SELECT nom FROM etages WHERE id = s.etage_id)
+    `);
+
+    await client.query('ALTER TABLE salles DROP COLUMN IF EXISTS etage_id, DROP COLUMN IF EXISTS batiment_id');
+    await client.query('DROP TABLE IF EXISTS etages');
+    await client.query('DROP TABLE IF EXISTS batiments');
+    await client.query('DROP TABLE IF EXISTS sites');
+  }
+};
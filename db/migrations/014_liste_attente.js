@@ -0,0 +1,38 @@
+// Liste d'attente des créneaux déjà pris : le créneau libéré est proposé à la première personne inscrite
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE liste_attente (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        salle_id INTEGER NOT NULL REFERENCES salles(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        heure_debut TIME NOT NULL,
+        heure_fin TIME NOT NULL,
+        motif VARCHAR(500),
+        statut VARCHAR(20) NOT NULL DEFAULT 'en_attente'
+          CHECK (statut IN ('en_attente', 'proposee', 'acceptee', 'refusee', 'expiree', 'annulee')),
+        proposee_le TIMESTAMP,
+        expire_le TIMESTAMP,
+        reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (heure_fin > heure_debut)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_liste_attente_salle ON liste_attente(salle_id, date, statut)');
+    await client.query('CREATE INDEX idx_liste_attente_expiration ON liste_attente(statut, expire_le)');
+
+    // Une seule inscription en cours par utilisateur et par créneau
+    await client.query(`
+      CREATE UNIQUE INDEX idx_liste_attente_unique
+      ON liste_attente(utilisateur_id, salle_id, date, heure_debut, heure_fin)
+      WHERE statut IN ('en_attente', 'proposee')
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS liste_attente');
+  }
+};
@@ -0,0 +1,81 @@
+// Validation des réservations des salles à accès restreint : la demande reste 'en_attente'
+// (et bloque son créneau) jusqu'à son approbation ou son rejet par un admin ou un gestionnaire de la salle
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE salles ADD COLUMN validation_requise BOOLEAN NOT NULL DEFAULT false');
+    await client.query("UPDATE salles SET validation_requise = true WHERE nom = 'Salle Exécutive D'");
+
+    await client.query(`
+      CREATE TABLE gestionnaires_salles (
+        salle_id INTEGER NOT NULL REFERENCES salles(id) ON DELETE CASCADE,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (salle_id, utilisateur_id)
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_gestionnaires_salles_utilisateur ON gestionnaires_salles(utilisateur_id)');
+
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_statut_check
+      CHECK (statut IN ('active', 'annulee', 'terminee', 'en_attente', 'rejetee'))
+    `);
+
+    await client.query(`
+      ALTER TABLE reservations
+      ADD COLUMN decision_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL,
+      ADD COLUMN decision_le TIMESTAMP,
+      ADD COLUMN motif_decision TEXT
+    `);
+
+    // Une demande en attente bloque son créneau comme une réservation active
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT reservations_sans_chevauchement');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_sans_chevauchement
+      EXCLUDE USING gist (
+        salle_id WITH =,
+        tsrange(date + heure_debut, date + heure_fin, '[)') WITH &&
+      )
+      WHERE (statut IN ('active', 'en_attente'))
+    `);
+
+    await client.query("CREATE INDEX idx_reservations_en_attente ON reservations(salle_id, date) WHERE statut = 'en_attente'");
+  },
+
+  async down(client) {
+    // Les demandes en attente ou rejetées sont annulées pour revenir aux statuts d'origine
+    await client.query("UPDATE reservations SET statut = 'annulee' WHERE statut IN ('en_attente', 'rejetee')");
+
+    await client.query('DROP INDEX IF EXISTS idx_reservations_en_attente');
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT reservations_sans_chevauchement');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_sans_chevauchement
+      EXCLUDE USING gist (
+        salle_id WITH =,
+        tsrange(date + heure_debut, date + heure_fin, '[)') WITH &&
+      )
+      WHERE (statut = 'active')
+    `);
+
+    await client.query(`
+      ALTER TABLE reservations
+      DROP COLUMN IF EXISTS decision_par,
+      DROP COLUMN IF EXISTS decision_le,
+      DROP COLUMN IF EXISTS motif_decision
+    `);
+
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_statut_check
+      CHECK (statut IN ('active', 'annulee', 'terminee'))
+    `);
+
+    await client.query('DROP TABLE IF EXISTS gestionnaires_salles');
+    await client.query('ALTER TABLE salles DROP COLUMN IF EXISTS validation_requise');
+  }
+};
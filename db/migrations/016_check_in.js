@@ -0,0 +1,43 @@
+// Check-in des réservations : sans check-in dans le délai de grâce, la réservation passe 'no_show'
+// et son créneau est libéré. Les tablettes des salles enregistrent le check-in par jeton, dont seule
+// l'empreinte SHA-256 est conservée, comme pour les jetons de session.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE reservations
+      ADD COLUMN check_in_le TIMESTAMP,
+      ADD COLUMN check_in_par INTEGER REFERENCES utilisateurs(id) ON DELETE SET NULL
+    `);
+
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_statut_check
+      CHECK (statut IN ('active', 'annulee', 'terminee', 'en_attente', 'rejetee', 'no_show'))
+    `);
+
+    await client.query("CREATE INDEX idx_reservations_no_show ON reservations(utilisateur_id) WHERE statut = 'no_show'");
+
+    await client.query('ALTER TABLE salles ADD COLUMN jeton_tablette_hash VARCHAR(64) UNIQUE');
+  },
+
+  async down(client) {
+    await client.query("UPDATE reservations SET statut = 'annulee' WHERE statut = 'no_show'");
+
+    await client.query('ALTER TABLE salles DROP COLUMN IF EXISTS jeton_tablette_hash');
+    await client.query('DROP INDEX IF EXISTS idx_reservations_no_show');
+
+    await client.query('ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_statut_check');
+    await client.query(`
+      ALTER TABLE reservations
+      ADD CONSTRAINT reservations_statut_check
+      CHECK (statut IN ('active', 'annulee', 'terminee', 'en_attente', 'rejetee'))
+    `);
+
+    await client.query(`
+      ALTER TABLE reservations
+      DROP COLUMN IF EXISTS check_in_le,
+      DROP COLUMN IF EXISTS check_in_par
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Rappels envoyés avant le début des réservations : un rappel par réservation et par délai,
+// pour qu'une même réservation ne soit jamais rappelée deux fois (plusieurs instances du serveur)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE rappels_reservations (
+        reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+        delai_minutes INTEGER NOT NULL CHECK (delai_minutes > 0),
+        envoye_le TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (reservation_id, delai_minutes)
+      )
+    `);
+
+    // Passage des réservations actives terminées au statut 'terminee'
+    await client.query("CREATE INDEX idx_reservations_actives_date ON reservations(date) WHERE statut = 'active'");
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_reservations_actives_date');
+    await client.query('DROP TABLE IF EXISTS rappels_reservations');
+  }
+};
@@ -0,0 +1,37 @@
+// Sessions de connexion : jetons d'accès de courte durée et jetons de rafraîchissement à usage unique,
+// conservés hachés (SHA-256) et révocables côté serveur
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE sessions (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        user_agent VARCHAR(500),
+        adresse_ip VARCHAR(64),
+        expire_le TIMESTAMP NOT NULL,
+        revoquee_le TIMESTAMP,
+        derniere_activite TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_sessions_utilisateur ON sessions(utilisateur_id) WHERE revoquee_le IS NULL');
+
+    // Chaque rafraîchissement remplace le jeton : un jeton déjà utilisé qui revient signale un vol
+    await client.query(`
+      CREATE TABLE jetons_rafraichissement (
+        hash VARCHAR(64) PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        utilise_le TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_jetons_rafraichissement_session ON jetons_rafraichissement(session_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS jetons_rafraichissement');
+    await client.query('DROP TABLE IF EXISTS sessions');
+  }
+};
@@ -0,0 +1,39 @@
+// Codes à usage unique de réinitialisation du mot de passe, conservés hachés (bcrypt). Le code envoyé
+// ne figure pas dans le contenu des messages sortants : il est conservé à part jusqu'à l'envoi ou à
+// son expiration, puis effacé
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE codes_reinitialisation (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        code_hash VARCHAR(255) NOT NULL,
+        expire_le TIMESTAMP NOT NULL,
+        tentatives INTEGER NOT NULL DEFAULT 0,
+        utilise_le TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_codes_reinitialisation_utilisateur ON codes_reinitialisation(utilisateur_id, created_at)');
+
+    await client.query(`
+      ALTER TABLE messages_sortants
+      ADD COLUMN secret TEXT,
+      ADD COLUMN secret_expire_le TIMESTAMP
+    `);
+
+    await client.query('CREATE INDEX idx_messages_sortants_secrets ON messages_sortants(secret_expire_le) WHERE secret IS NOT NULL');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_messages_sortants_secrets');
+    await client.query(`
+      ALTER TABLE messages_sortants
+      DROP COLUMN IF EXISTS secret,
+      DROP COLUMN IF EXISTS secret_expire_le
+    `);
+
+    await client.query('DROP TABLE IF EXISTS codes_reinitialisation');
+  }
+};
@@ -0,0 +1,53 @@
+// Double authentification : application TOTP ou code par SMS, codes de secours et défis de connexion
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE utilisateurs
+      ADD COLUMN double_auth_methode VARCHAR(10) CHECK (double_auth_methode IN ('totp', 'sms')),
+      ADD COLUMN totp_secret VARCHAR(64),
+      ADD COLUMN totp_secret_provisoire VARCHAR(64),
+      ADD COLUMN totp_dernier_pas BIGINT
+    `);
+
+    await client.query(`
+      CREATE TABLE codes_secours (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        code_hash VARCHAR(255) NOT NULL,
+        utilise_le TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_codes_secours_utilisateur ON codes_secours(utilisateur_id) WHERE utilise_le IS NULL');
+
+    // Seconde étape d'une connexion : le jeton n'est conservé que haché
+    await client.query(`
+      CREATE TABLE defis_connexion (
+        id SERIAL PRIMARY KEY,
+        utilisateur_id INTEGER NOT NULL REFERENCES utilisateurs(id) ON DELETE CASCADE,
+        jeton_hash VARCHAR(64) UNIQUE NOT NULL,
+        methode VARCHAR(10) NOT NULL CHECK (methode IN ('totp', 'sms')),
+        code_hash VARCHAR(255),
+        tentatives INTEGER NOT NULL DEFAULT 0,
+        expire_le TIMESTAMP NOT NULL,
+        utilise_le TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX idx_defis_connexion_expiration ON defis_connexion(expire_le)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS defis_connexion');
+    await client.query('DROP TABLE IF EXISTS codes_secours');
+    await client.query(`
+      ALTER TABLE utilisateurs
+      DROP COLUMN IF EXISTS double_auth_methode,
+      DROP COLUMN IF EXISTS totp_secret,
+      DROP COLUMN IF EXISTS totp_secret_provisoire,
+      DROP COLUMN IF EXISTS totp_dernier_pas
+    `);
+  }
+};
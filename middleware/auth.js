@@ -12,21 +12,37 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Les jetons émis avant les sessions n'en portent pas : une nouvelle connexion est nécessaire
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Session expirée ou révoquée' });
+    }
     
-    // Vérifier que l'utilisateur existe toujours
+    // Vérifier que l'utilisateur existe toujours et que sa session n'est ni révoquée ni expirée
     const pool = getPool();
-    const result = await pool.query(
-      'SELECT id, nom, email, role, telephone FROM utilisateurs WHERE id = $1',
-      [decoded.userId]
-    );
+    const result = await pool.query(`
+      SELECT u.id, u.nom, u.email, u.role, u.telephone
+      FROM sessions se
+      JOIN utilisateurs u ON se.utilisateur_id = u.id
+      WHERE se.id = $1
+        AND se.utilisateur_id = $2
+        AND se.revoquee_le IS NULL
+        AND se.expire_le > LOCALTIMESTAMP
+    `, [decoded.sessionId, decoded.userId]);
 
     if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Utilisateur non trouvé' });
+      return res.status(401).json({ error: 'Session expirée ou révoquée' });
     }
 
     req.user = result.rows[0];
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
+    // Jeton d'accès expiré : le client le renouvelle avec POST /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expiré' });
+    }
+
     console.error('Erreur de vérification du token:', error);
     return res.status(403).json({ error: 'Token invalide' });
   }
@@ -1,9 +1,11 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const { getPool } = require('../db/init');
+const { getPool, withTransaction } = require('../db/init');
 const { authenticateToken } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { requestPasswordReset, resetPassword } = require('../services/motDePasse');
+const doubleAuth = require('../services/doubleAuth');
 
 const router = express.Router();
 
@@ -13,6 +15,52 @@ const loginSchema = Joi.object({
   mot_de_passe: Joi.string().min(6).required()
 });
 
+// Schéma de validation pour le rafraîchissement de session
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required()
+});
+
+// Schémas de validation pour la réinitialisation du mot de passe
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  canal: Joi.string().valid('sms', 'email').optional()
+});
+
+const resetPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  code: Joi.string().pattern(/^\d{6}$/).required(),
+  nouveau_mot_de_passe: Joi.string().min(6).required()
+});
+
+// Schémas de validation pour la double authentification
+const verificationSchema = Joi.object({
+  jeton: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  code_secours: Joi.string().max(20)
+}).xor('code', 'code_secours');
+
+const motDePasseSchema = Joi.object({
+  mot_de_passe: Joi.string().required()
+});
+
+const codeTotpSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+// Vérifier le mot de passe de l'utilisateur connecté avant une opération sensible
+async function checkPassword(db, utilisateurId, motDePasse) {
+  const result = await db.query('SELECT mot_de_passe FROM utilisateurs WHERE id = $1', [utilisateurId]);
+  return result.rows.length > 0 && bcrypt.compare(motDePasse, result.rows[0].mot_de_passe);
+}
+
+// Ouvrir une session : jeton d'accès JWT et jeton de rafraîchissement
+function openSession(req, db, utilisateur) {
+  return createSession(db, utilisateur, {
+    userAgent: req.get('user-agent'),
+    adresseIp: req.ip
+  });
+}
+
 // Route de connexion
 router.post('/login', async (req, res) => {
   try {
@@ -30,7 +78,7 @@ router.post('/login', async (req, res) => {
 
     // Rechercher l'utilisateur
     const result = await pool.query(
-      'SELECT id, nom, email, mot_de_passe, role, telephone FROM utilisateurs WHERE email = $1',
+      'SELECT id, nom, email, mot_de_passe, role, telephone, double_auth_methode FROM utilisateurs WHERE email = $1',
       [email]
     );
 
@@ -46,23 +94,25 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
     }
 
-    // Générer le token JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Double authentification : la session n'est ouverte qu'après POST /login/verification
+    if (doubleAuth.getRequiredMethod(user)) {
+      const defi = await withTransaction(client => doubleAuth.startChallenge(client, user));
+
+      return res.json({
+        message: 'Code de vérification requis',
+        double_authentification: defi
+      });
+    }
+
+    const { token, refresh_token } = await openSession(req, pool, user);
 
     // Retourner les informations utilisateur (sans le mot de passe)
-    const { mot_de_passe: _, ...userInfo } = user;
+    const { mot_de_passe: _, double_auth_methode: __, ...userInfo } = user;
     
     res.json({
       message: 'Connexion réussie',
       token,
+      refresh_token,
       user: userInfo
     });
 
@@ -72,6 +122,329 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Seconde étape de la connexion : code de l'application, code reçu par SMS ou code de secours
+router.post('/login/verification', async (req, res) => {
+  try {
+    const { error, value } = verificationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const connexion = await withTransaction(async (client) => {
+      const user = await doubleAuth.verifyChallenge(client, value);
+      if (!user) {
+        return null;
+      }
+      return { user, ...await openSession(req, client, user) };
+    });
+
+    if (!connexion) {
+      return res.status(401).json({ error: 'Code invalide ou expiré' });
+    }
+
+    res.json({
+      message: 'Connexion réussie',
+      token: connexion.token,
+      refresh_token: connexion.refresh_token,
+      user: connexion.user
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la vérification de la connexion:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir un nouveau jeton d'accès (le jeton de rafraîchissement est remplacé à chaque appel)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const jetons = await withTransaction(client => rotateSession(client, value.refresh_token));
+    if (!jetons) {
+      return res.status(401).json({ error: 'Session expirée ou révoquée' });
+    }
+
+    res.json({
+      message: 'Session rafraîchie',
+      ...jetons
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du rafraîchissement de la session:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Se déconnecter : révoquer la session en cours
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(getPool(), req.sessionId);
+
+    res.json({ message: 'Déconnexion réussie' });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Se déconnecter de toutes les sessions (tous les appareils)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const sessionsRevoquees = await revokeAllSessions(getPool(), req.user.id);
+
+    res.json({
+      message: 'Toutes les sessions ont été fermées',
+      sessions_revoquees: sessionsRevoquees
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion de toutes les sessions:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Mot de passe oublié : envoyer un code de réinitialisation (même réponse que le compte existe ou non)
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    await withTransaction(client => requestPasswordReset(client, value.email, value.canal));
+
+    res.json({
+      message: 'Si un compte correspond à cet email, un code de réinitialisation vient de lui être envoyé'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation du mot de passe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Réinitialiser le mot de passe avec le code reçu (ferme toutes les sessions)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const reinitialise = await withTransaction(client => resetPassword(client, value));
+    if (!reinitialise) {
+      return res.status(400).json({ error: 'Code invalide ou expiré' });
+    }
+
+    res.json({ message: 'Mot de passe réinitialisé, vous pouvez vous connecter' });
+
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir l'état de ma double authentification
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json(await doubleAuth.getStatus(getPool(), req.user.id));
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Enrôler une application d'authentification : secret et URI otpauth:// à afficher en QR code
+router.post('/2fa/totp', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = motDePasseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const pool = getPool();
+    if (!await checkPassword(pool, req.user.id, value.mot_de_passe)) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    const enrolement = await doubleAuth.startTotpEnrolment(pool, req.user);
+
+    res.json({
+      message: 'Saisissez un code de l\'application pour activer la double authentification',
+      ...enrolement
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'enrôlement TOTP:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Activer l'application d'authentification avec un premier code (ferme les autres sessions)
+router.post('/2fa/totp/activer', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = codeTotpSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const codesSecours = await withTransaction(async (client) => {
+      const codes = await doubleAuth.activateTotp(client, req.user.id, value.code);
+      if (codes) {
+        await revokeAllSessions(client, req.user.id, req.sessionId);
+      }
+      return codes;
+    });
+
+    if (!codesSecours) {
+      return res.status(400).json({ error: 'Code invalide ou enrôlement non démarré' });
+    }
+
+    res.json({
+      message: 'Double authentification activée avec l\'application',
+      codes_secours: codesSecours
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'activation TOTP:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Activer la double authentification par SMS (ferme les autres sessions)
+router.post('/2fa/sms', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = motDePasseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const codesSecours = await withTransaction(async (client) => {
+      if (!await checkPassword(client, req.user.id, value.mot_de_passe)) {
+        return null;
+      }
+      const codes = await doubleAuth.enableSms(client, req.user.id);
+      await revokeAllSessions(client, req.user.id, req.sessionId);
+      return codes;
+    });
+
+    if (!codesSecours) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    res.json({
+      message: 'Double authentification activée par SMS',
+      codes_secours: codesSecours
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'activation de la double authentification par SMS:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Remplacer mes codes de secours
+router.post('/2fa/codes-secours', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = motDePasseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      if (!await checkPassword(client, req.user.id, value.mot_de_passe)) {
+        return { status: 401, error: 'Mot de passe incorrect' };
+      }
+
+      // Un administrateur sans méthode choisie reçoit ses codes par SMS : il a aussi droit aux codes de secours
+      const etat = await doubleAuth.getStatus(client, req.user.id);
+      if (!etat.methode_exigee) {
+        return { status: 400, error: 'La double authentification n\'est pas activée' };
+      }
+
+      return { codes_secours: await doubleAuth.generateRecoveryCodes(client, req.user.id) };
+    });
+
+    if (result.error) {
+      const { status, ...corps } = result;
+      return res.status(status).json(corps);
+    }
+
+    res.json({
+      message: 'Codes de secours remplacés',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du remplacement des codes de secours:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Désactiver la double authentification (impossible pour un administrateur)
+router.delete('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = motDePasseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    if (doubleAuth.isMandatory(req.user)) {
+      return res.status(400).json({ error: 'La double authentification est obligatoire pour les administrateurs' });
+    }
+
+    const desactivee = await withTransaction(async (client) => {
+      if (!await checkPassword(client, req.user.id, value.mot_de_passe)) {
+        return false;
+      }
+      await doubleAuth.disable(client, req.user.id);
+      return true;
+    });
+
+    if (!desactivee) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    res.json({ message: 'Double authentification désactivée' });
+
+  } catch (error) {
+    console.error('Erreur lors de la désactivation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
 // Route pour vérifier le token et obtenir les infos utilisateur
 router.get('/me', authenticateToken, (req, res) => {
   res.json({
@@ -113,13 +486,19 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     // Hasher le nouveau mot de passe
     const hashedPassword = await bcrypt.hash(nouveau_mot_de_passe, 10);
 
-    // Mettre à jour le mot de passe
-    await pool.query(
-      'UPDATE utilisateurs SET mot_de_passe = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [hashedPassword, req.user.id]
-    );
+    // Mettre à jour le mot de passe et fermer les autres sessions
+    const sessionsRevoquees = await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE utilisateurs SET mot_de_passe = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashedPassword, req.user.id]
+      );
+      return revokeAllSessions(client, req.user.id, req.sessionId);
+    });
 
-    res.json({ message: 'Mot de passe modifié avec succès' });
+    res.json({
+      message: 'Mot de passe modifié avec succès',
+      sessions_revoquees: sessionsRevoquees
+    });
 
   } catch (error) {
     console.error('Erreur lors du changement de mot de passe:', error);
@@ -0,0 +1,212 @@
+const express = require('express');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken } = require('../middleware/auth');
+const { buildCalendar } = require('../services/ical');
+
+const router = express.Router();
+
+// Historique conservé dans les flux (les réservations plus anciennes n'y figurent plus)
+const HISTORIQUE_JOURS = 90;
+
+// Schéma de validation pour la création d'un flux
+const fluxSchema = Joi.object({
+  type: Joi.string().valid('utilisateur', 'salle').required(),
+  salle_id: Joi.number().integer().positive().when('type', {
+    is: 'salle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// URL publique d'un flux, à coller dans un client de calendrier
+function getFluxUrl(req, jeton) {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/calendrier/flux/${jeton}.ics`;
+}
+
+// Obtenir mes flux de calendrier
+router.get('/flux', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT 
+        f.id,
+        f.type,
+        f.salle_id,
+        s.nom as salle_nom,
+        f.jeton,
+        f.created_at,
+        f.dernier_acces
+      FROM flux_calendrier f
+      LEFT JOIN salles s ON f.salle_id = s.id
+      WHERE f.utilisateur_id = $1
+      ORDER BY f.created_at
+    `, [req.user.id]);
+
+    res.json({
+      flux: result.rows.map(({ jeton, ...flux }) => ({ ...flux, url: getFluxUrl(req, jeton) }))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des flux:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Créer un flux de calendrier (mes réservations, ou réservations d'une salle)
+router.post('/flux', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = fluxSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const pool = getPool();
+
+    if (value.type === 'salle') {
+      const salleResult = await pool.query('SELECT id FROM salles WHERE id = $1', [value.salle_id]);
+      if (salleResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Salle non trouvée' });
+      }
+    }
+
+    const jeton = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(`
+      INSERT INTO flux_calendrier (jeton, utilisateur_id, type, salle_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, type, salle_id, created_at
+    `, [jeton, req.user.id, value.type, value.salle_id || null]);
+
+    res.status(201).json({
+      message: 'Flux de calendrier créé avec succès',
+      flux: {
+        ...result.rows[0],
+        url: getFluxUrl(req, jeton)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du flux:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Révoquer un flux de calendrier (son URL cesse de fonctionner)
+router.delete('/flux/:id', authenticateToken, async (req, res) => {
+  try {
+    const fluxId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(
+      'DELETE FROM flux_calendrier WHERE id = $1 AND utilisateur_id = $2',
+      [fluxId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Flux non trouvé' });
+    }
+
+    res.json({
+      message: 'Flux de calendrier révoqué'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation du flux:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Lire un flux de calendrier (sans authentification : le jeton tient lieu d'accès)
+router.get('/flux/:jeton.ics', async (req, res) => {
+  try {
+    const pool = getPool();
+
+    const fluxResult = await pool.query(`
+      UPDATE flux_calendrier
+      SET dernier_acces = CURRENT_TIMESTAMP
+      WHERE jeton = $1
+      RETURNING type, utilisateur_id, salle_id
+    `, [req.params.jeton]);
+
+    if (fluxResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Flux non trouvé' });
+    }
+
+    const flux = fluxResult.rows[0];
+    let nom;
+    let result;
+    let timeZone;
+
+    // Les réservations annulées restent dans le flux (STATUS:CANCELLED) pour que les clients les retirent
+    if (flux.type === 'utilisateur') {
+      const userResult = await pool.query('SELECT nom FROM utilisateurs WHERE id = $1', [flux.utilisateur_id]);
+      nom = `Réservations de ${userResult.rows[0].nom}`;
+
+      result = await pool.query(`
+        SELECT 
+          r.id,
+          r.date,
+          r.heure_debut,
+          r.heure_fin,
+          r.motif,
+          r.statut,
+          r.created_at,
+          r.updated_at,
+          s.nom as salle_nom,
+          si.fuseau_horaire
+        FROM reservations r
+        JOIN salles s ON r.salle_id = s.id
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+        WHERE r.utilisateur_id = $1
+          AND r.date >= CURRENT_DATE - $2::int
+        ORDER BY r.date, r.heure_debut
+      `, [flux.utilisateur_id, HISTORIQUE_JOURS]);
+    } else {
+      const salleResult = await pool.query(`
+        SELECT s.nom, si.fuseau_horaire
+        FROM salles s
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+        WHERE s.id = $1
+      `, [flux.salle_id]);
+      nom = `Salle ${salleResult.rows[0].nom}`;
+      timeZone = salleResult.rows[0].fuseau_horaire || undefined;
+
+      result = await pool.query(`
+        SELECT 
+          r.id,
+          r.date,
+          r.heure_debut,
+          r.heure_fin,
+          r.motif,
+          r.statut,
+          r.created_at,
+          r.updated_at,
+          s.nom as salle_nom,
+          u.nom as utilisateur_nom
+        FROM reservations r
+        JOIN salles s ON r.salle_id = s.id
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+        WHERE r.salle_id = $1
+          AND r.date >= CURRENT_DATE - $2::int
+        ORDER BY r.date, r.heure_debut
+      `, [flux.salle_id, HISTORIQUE_JOURS]);
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="reservations.ics"');
+    res.send(buildCalendar(nom, result.rows, { timeZone }));
+
+  } catch (error) {
+    console.error('Erreur lors de la génération du flux:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
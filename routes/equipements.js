@@ -0,0 +1,148 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Schéma de validation pour un équipement (le code sert aux filtres de recherche de salles)
+const equipementSchema = Joi.object({
+  code: Joi.string().pattern(/^[a-z0-9_]+$/).min(2).max(50).required(),
+  nom: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).optional()
+});
+
+// Obtenir le catalogue des équipements
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT
+        e.id,
+        e.code,
+        e.nom,
+        e.description,
+        COUNT(se.salle_id) as nombre_salles,
+        e.created_at,
+        e.updated_at
+      FROM equipements e
+      LEFT JOIN salles_equipements se ON e.id = se.equipement_id
+      GROUP BY e.id
+      ORDER BY e.nom
+    `);
+
+    res.json({
+      equipements: result.rows.map(row => ({ ...row, nombre_salles: parseInt(row.nombre_salles) }))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des équipements:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Ajouter un équipement au catalogue (admin seulement)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = equipementSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const { code, nom, description } = value;
+    const pool = getPool();
+
+    // Vérifier que le code et le nom ne sont pas déjà utilisés
+    const existingResult = await pool.query('SELECT id FROM equipements WHERE code = $1 OR nom = $2', [code, nom]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un équipement avec ce code ou ce nom existe déjà' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO equipements (code, nom, description)
+      VALUES ($1, $2, $3)
+      RETURNING id, code, nom, description, created_at
+    `, [code, nom, description]);
+
+    res.status(201).json({
+      message: 'Équipement créé avec succès',
+      equipement: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'équipement:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier un équipement (admin seulement)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const equipementId = parseInt(req.params.id);
+    const { error, value } = equipementSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const { code, nom, description } = value;
+    const pool = getPool();
+
+    // Vérifier que le code et le nom ne sont pas utilisés par un autre équipement
+    const existingResult = await pool.query(
+      'SELECT id FROM equipements WHERE (code = $1 OR nom = $2) AND id != $3',
+      [code, nom, equipementId]
+    );
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un autre équipement utilise déjà ce code ou ce nom' });
+    }
+
+    const result = await pool.query(`
+      UPDATE equipements
+      SET code = $1, nom = $2, description = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id, code, nom, description, updated_at
+    `, [code, nom, description, equipementId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Équipement non trouvé' });
+    }
+
+    res.json({
+      message: 'Équipement modifié avec succès',
+      equipement: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification de l\'équipement:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer un équipement (admin seulement) ; il est retiré de toutes les salles
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const equipementId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query('DELETE FROM equipements WHERE id = $1', [equipementId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Équipement non trouvé' });
+    }
+
+    res.json({
+      message: 'Équipement supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'équipement:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
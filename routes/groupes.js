@@ -0,0 +1,252 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Schéma de validation pour un groupe
+const groupeSchema = Joi.object({
+  nom: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).optional()
+});
+
+// Schéma de validation pour l'ajout de membres
+const membresSchema = Joi.object({
+  utilisateurs: Joi.array().items(Joi.number().integer().positive()).min(1).unique().required()
+});
+
+// Obtenir tous les groupes (admin seulement)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT 
+        g.id,
+        g.nom,
+        g.description,
+        COUNT(m.utilisateur_id) as nombre_membres,
+        g.created_at,
+        g.updated_at
+      FROM groupes g
+      LEFT JOIN groupes_membres m ON g.id = m.groupe_id
+      GROUP BY g.id
+      ORDER BY g.nom
+    `);
+
+    res.json({
+      groupes: result.rows.map(row => ({ ...row, nombre_membres: parseInt(row.nombre_membres) }))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des groupes:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir un groupe et ses membres (admin seulement)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const groupeId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const groupeResult = await pool.query(
+      'SELECT id, nom, description, created_at, updated_at FROM groupes WHERE id = $1',
+      [groupeId]
+    );
+    if (groupeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Groupe non trouvé' });
+    }
+
+    const membresResult = await pool.query(`
+      SELECT u.id, u.nom, u.email, u.telephone
+      FROM groupes_membres m
+      JOIN utilisateurs u ON m.utilisateur_id = u.id
+      WHERE m.groupe_id = $1
+      ORDER BY u.nom
+    `, [groupeId]);
+
+    res.json({
+      groupe: {
+        ...groupeResult.rows[0],
+        membres: membresResult.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du groupe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Créer un groupe (admin seulement)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = groupeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const { nom, description } = value;
+    const pool = getPool();
+
+    // Vérifier que le nom n'existe pas déjà
+    const existingResult = await pool.query('SELECT id FROM groupes WHERE nom = $1', [nom]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un groupe avec ce nom existe déjà' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO groupes (nom, description)
+      VALUES ($1, $2)
+      RETURNING id, nom, description, created_at
+    `, [nom, description]);
+
+    res.status(201).json({
+      message: 'Groupe créé avec succès',
+      groupe: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du groupe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier un groupe (admin seulement)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const groupeId = parseInt(req.params.id);
+    const { error, value } = groupeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const { nom, description } = value;
+    const pool = getPool();
+
+    // Vérifier que le nom n'est pas déjà utilisé par un autre groupe
+    const nameResult = await pool.query('SELECT id FROM groupes WHERE nom = $1 AND id != $2', [nom, groupeId]);
+    if (nameResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un autre groupe utilise déjà ce nom' });
+    }
+
+    const result = await pool.query(`
+      UPDATE groupes
+      SET nom = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, nom, description, updated_at
+    `, [nom, description, groupeId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Groupe non trouvé' });
+    }
+
+    res.json({
+      message: 'Groupe modifié avec succès',
+      groupe: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification du groupe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer un groupe (admin seulement) ; les salles qui l'utilisaient n'annoncent plus qu'au réservant
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const groupeId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query('DELETE FROM groupes WHERE id = $1', [groupeId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Groupe non trouvé' });
+    }
+
+    res.json({
+      message: 'Groupe supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du groupe:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Ajouter des membres à un groupe (admin seulement)
+router.post('/:id/membres', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const groupeId = parseInt(req.params.id);
+    const { error, value } = membresSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const pool = getPool();
+
+    const groupeResult = await pool.query('SELECT id FROM groupes WHERE id = $1', [groupeId]);
+    if (groupeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Groupe non trouvé' });
+    }
+
+    // Vérifier que tous les utilisateurs existent
+    const usersResult = await pool.query('SELECT id FROM utilisateurs WHERE id = ANY($1)', [value.utilisateurs]);
+    const inconnus = value.utilisateurs.filter(id => !usersResult.rows.some(row => row.id === id));
+    if (inconnus.length > 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé', utilisateurs: inconnus });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO groupes_membres (groupe_id, utilisateur_id)
+      SELECT $1, UNNEST($2::int[])
+      ON CONFLICT DO NOTHING
+    `, [groupeId, value.utilisateurs]);
+
+    res.status(201).json({
+      message: 'Membres ajoutés avec succès',
+      membres_ajoutes: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout des membres:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Retirer un membre d'un groupe (admin seulement)
+router.delete('/:id/membres/:utilisateurId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const groupeId = parseInt(req.params.id);
+    const utilisateurId = parseInt(req.params.utilisateurId);
+    const pool = getPool();
+
+    const result = await pool.query(
+      'DELETE FROM groupes_membres WHERE groupe_id = $1 AND utilisateur_id = $2',
+      [groupeId, utilisateurId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Membre non trouvé dans ce groupe' });
+    }
+
+    res.json({
+      message: 'Membre retiré du groupe'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du retrait du membre:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
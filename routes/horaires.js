@@ -0,0 +1,358 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool, withTransaction } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { toMinutes } = require('../services/disponibilites');
+const { toISODate } = require('../services/recurrence');
+
+const router = express.Router();
+
+const heurePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Schéma de validation des horaires d'ouverture (salle_id null : horaires globaux ; liste vide : aucun horaire)
+const horairesSchema = Joi.object({
+  salle_id: Joi.number().integer().positive().allow(null).required(),
+  horaires: Joi.array().items(Joi.object({
+    jour_semaine: Joi.number().integer().min(0).max(6).required(),
+    heure_ouverture: Joi.string().pattern(heurePattern).required(),
+    heure_fermeture: Joi.string().pattern(/^(([0-1]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$/).required()
+  })).max(50).required()
+});
+
+// Schéma de validation d'une fermeture (sans heures : journées entières)
+const fermetureSchema = Joi.object({
+  salle_id: Joi.number().integer().positive().allow(null).default(null),
+  date_debut: Joi.date().iso().required(),
+  date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional(),
+  heure_debut: Joi.string().pattern(heurePattern).optional(),
+  heure_fin: Joi.string().pattern(heurePattern).optional(),
+  motif: Joi.string().min(2).max(255).required()
+}).and('heure_debut', 'heure_fin');
+
+// Schéma de validation de la liste des fermetures
+const fermeturesListeSchema = Joi.object({
+  salle_id: Joi.number().integer().positive().optional(),
+  date_debut: Joi.date().iso().optional(),
+  date_fin: Joi.date().iso().optional()
+});
+
+// Vérifier qu'aucun intervalle d'ouverture ne se termine avant de commencer ou n'en chevauche un autre le même jour
+function findHorairesError(horaires) {
+  const tries = [...horaires].sort((a, b) =>
+    a.jour_semaine - b.jour_semaine || toMinutes(a.heure_ouverture) - toMinutes(b.heure_ouverture)
+  );
+
+  for (let i = 0; i < tries.length; i++) {
+    if (toMinutes(tries[i].heure_fermeture) <= toMinutes(tries[i].heure_ouverture)) {
+      return 'L\'heure de fermeture doit être après l\'heure d\'ouverture';
+    }
+    const precedent = tries[i - 1];
+    if (precedent && precedent.jour_semaine === tries[i].jour_semaine &&
+        toMinutes(tries[i].heure_ouverture) < toMinutes(precedent.heure_fermeture)) {
+      return 'Les horaires d\'un même jour ne doivent pas se chevaucher';
+    }
+  }
+
+  return null;
+}
+
+// Valider une fermeture et la convertir en valeurs SQL
+function parseFermeture(body) {
+  const { error, value } = fermetureSchema.validate(body);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  if (value.heure_debut && toMinutes(value.heure_fin) <= toMinutes(value.heure_debut)) {
+    return { error: 'L\'heure de fin doit être après l\'heure de début' };
+  }
+
+  return {
+    fermeture: {
+      salle_id: value.salle_id,
+      date_debut: toISODate(value.date_debut),
+      date_fin: toISODate(value.date_fin || value.date_debut),
+      heure_debut: value.heure_debut || null,
+      heure_fin: value.heure_fin || null,
+      motif: value.motif
+    }
+  };
+}
+
+// Réservations actives touchées par une fermeture (elles ne sont pas annulées automatiquement)
+async function getReservationsConcernees(db, fermeture) {
+  const result = await db.query(`
+    SELECT
+      r.id,
+      r.salle_id,
+      s.nom as salle_nom,
+      r.date,
+      r.heure_debut,
+      r.heure_fin,
+      u.nom as utilisateur_nom
+    FROM reservations r
+    JOIN salles s ON r.salle_id = s.id
+    JOIN utilisateurs u ON r.utilisateur_id = u.id
+    WHERE r.statut IN ('active', 'en_attente')
+      AND r.date BETWEEN $1 AND $2
+      AND ($3::int IS NULL OR r.salle_id = $3)
+      AND ($4::time IS NULL OR (r.heure_debut < $5 AND r.heure_fin > $4))
+    ORDER BY r.date, r.heure_debut
+  `, [fermeture.date_debut, fermeture.date_fin, fermeture.salle_id, fermeture.heure_debut, fermeture.heure_fin]);
+
+  return result.rows;
+}
+
+// Obtenir les horaires d'ouverture (globaux et propres à chaque salle)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT
+        h.id,
+        h.salle_id,
+        s.nom as salle_nom,
+        h.jour_semaine,
+        h.heure_ouverture,
+        h.heure_fermeture
+      FROM horaires_ouverture h
+      LEFT JOIN salles s ON h.salle_id = s.id
+      ORDER BY s.nom NULLS FIRST, h.jour_semaine, h.heure_ouverture
+    `);
+
+    res.json({
+      globaux: result.rows.filter(h => h.salle_id === null),
+      salles: result.rows.filter(h => h.salle_id !== null)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des horaires:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Remplacer les horaires globaux ou ceux d'une salle (admin seulement)
+router.put('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = horairesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const horairesError = findHorairesError(value.horaires);
+    if (horairesError) {
+      return res.status(400).json({ error: horairesError });
+    }
+
+    const { salle_id, horaires } = value;
+
+    const enregistres = await withTransaction(async (client) => {
+      if (salle_id !== null) {
+        const salleResult = await client.query('SELECT id FROM salles WHERE id = $1', [salle_id]);
+        if (salleResult.rows.length === 0) {
+          return null;
+        }
+      }
+
+      await client.query('DELETE FROM horaires_ouverture WHERE salle_id IS NOT DISTINCT FROM $1', [salle_id]);
+
+      const lignes = [];
+      for (const horaire of horaires) {
+        const result = await client.query(`
+          INSERT INTO horaires_ouverture (salle_id, jour_semaine, heure_ouverture, heure_fermeture)
+          VALUES ($1, $2, $3, $4)
+          RETURNING id, salle_id, jour_semaine, heure_ouverture, heure_fermeture
+        `, [salle_id, horaire.jour_semaine, horaire.heure_ouverture, horaire.heure_fermeture]);
+        lignes.push(result.rows[0]);
+      }
+
+      return lignes;
+    });
+
+    if (!enregistres) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    res.json({
+      message: horaires.length > 0
+        ? 'Horaires d\'ouverture enregistrés'
+        : (salle_id !== null ? 'La salle suit désormais les horaires globaux' : 'Horaires globaux supprimés'),
+      horaires: enregistres
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des horaires:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les fermetures (à venir par défaut)
+router.get('/fermetures', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = fermeturesListeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT
+        f.id,
+        f.salle_id,
+        s.nom as salle_nom,
+        TO_CHAR(f.date_debut, 'YYYY-MM-DD') as date_debut,
+        TO_CHAR(f.date_fin, 'YYYY-MM-DD') as date_fin,
+        f.heure_debut,
+        f.heure_fin,
+        f.motif,
+        f.created_at
+      FROM fermetures f
+      LEFT JOIN salles s ON f.salle_id = s.id
+      WHERE f.date_fin >= COALESCE($1::date, CURRENT_DATE)
+        AND ($2::date IS NULL OR f.date_debut <= $2)
+        AND ($3::int IS NULL OR f.salle_id IS NULL OR f.salle_id = $3)
+      ORDER BY f.date_debut, f.id
+    `, [
+      value.date_debut ? toISODate(value.date_debut) : null,
+      value.date_fin ? toISODate(value.date_fin) : null,
+      value.salle_id || null
+    ]);
+
+    res.json({
+      fermetures: result.rows
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des fermetures:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Créer une fermeture (admin seulement) ; salle_id absent : toutes les salles
+router.post('/fermetures', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, fermeture } = parseFermeture(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error
+      });
+    }
+
+    const pool = getPool();
+
+    if (fermeture.salle_id !== null) {
+      const salleResult = await pool.query('SELECT id FROM salles WHERE id = $1', [fermeture.salle_id]);
+      if (salleResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Salle non trouvée' });
+      }
+    }
+
+    const result = await pool.query(`
+      INSERT INTO fermetures (salle_id, date_debut, date_fin, heure_debut, heure_fin, motif, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, salle_id, TO_CHAR(date_debut, 'YYYY-MM-DD') as date_debut, TO_CHAR(date_fin, 'YYYY-MM-DD') as date_fin,
+        heure_debut, heure_fin, motif, created_at
+    `, [
+      fermeture.salle_id,
+      fermeture.date_debut,
+      fermeture.date_fin,
+      fermeture.heure_debut,
+      fermeture.heure_fin,
+      fermeture.motif,
+      req.user.id
+    ]);
+
+    res.status(201).json({
+      message: 'Fermeture créée avec succès',
+      fermeture: result.rows[0],
+      reservations_concernees: await getReservationsConcernees(pool, fermeture)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de la fermeture:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier une fermeture (admin seulement)
+router.put('/fermetures/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const fermetureId = parseInt(req.params.id);
+    const { error, fermeture } = parseFermeture(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error
+      });
+    }
+
+    const pool = getPool();
+
+    if (fermeture.salle_id !== null) {
+      const salleResult = await pool.query('SELECT id FROM salles WHERE id = $1', [fermeture.salle_id]);
+      if (salleResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Salle non trouvée' });
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE fermetures
+      SET salle_id = $1, date_debut = $2, date_fin = $3, heure_debut = $4, heure_fin = $5, motif = $6
+      WHERE id = $7
+      RETURNING id, salle_id, TO_CHAR(date_debut, 'YYYY-MM-DD') as date_debut, TO_CHAR(date_fin, 'YYYY-MM-DD') as date_fin,
+        heure_debut, heure_fin, motif, created_at
+    `, [
+      fermeture.salle_id,
+      fermeture.date_debut,
+      fermeture.date_fin,
+      fermeture.heure_debut,
+      fermeture.heure_fin,
+      fermeture.motif,
+      fermetureId
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Fermeture non trouvée' });
+    }
+
+    res.json({
+      message: 'Fermeture modifiée avec succès',
+      fermeture: result.rows[0],
+      reservations_concernees: await getReservationsConcernees(pool, fermeture)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification de la fermeture:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer une fermeture (admin seulement)
+router.delete('/fermetures/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const fermetureId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query('DELETE FROM fermetures WHERE id = $1', [fermetureId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Fermeture non trouvée' });
+    }
+
+    res.json({
+      message: 'Fermeture supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la fermeture:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool, withTransaction } = require('../db/init');
+const { respondToInvitation } = require('../services/participants');
+
+const router = express.Router();
+
+// Schéma de validation pour la réponse à une invitation
+const reponseSchema = Joi.object({
+  reponse: Joi.string().valid('accepte', 'refuse').required()
+});
+
+// Ces routes servent aux participants externes, sans compte : le jeton de l'invitation
+// (envoyé par email) tient lieu d'authentification.
+
+// Obtenir une invitation à partir de son jeton
+router.get('/:jeton', async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT 
+        p.nom,
+        p.email,
+        p.statut as reponse,
+        p.repondu_at,
+        r.date,
+        r.heure_debut,
+        r.heure_fin,
+        r.motif,
+        r.statut,
+        s.nom as salle_nom,
+        u.nom as organisateur_nom
+      FROM participants_reservation p
+      JOIN reservations r ON p.reservation_id = r.id
+      JOIN salles s ON r.salle_id = s.id
+      JOIN utilisateurs u ON r.utilisateur_id = u.id
+      WHERE p.jeton = $1
+    `, [req.params.jeton]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation non trouvée' });
+    }
+
+    res.json({
+      invitation: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'invitation:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Accepter ou refuser une invitation à partir de son jeton
+router.post('/:jeton', async (req, res) => {
+  try {
+    const { error, value } = reponseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const participant = await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT 
+          p.*,
+          r.utilisateur_id as organisateur_id,
+          r.statut as reservation_statut,
+          s.nom as salle_nom,
+          s.capacite as salle_capacite
+        FROM participants_reservation p
+        JOIN reservations r ON p.reservation_id = r.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE p.jeton = $1
+        FOR UPDATE OF r, p
+      `, [req.params.jeton]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const invitation = result.rows[0];
+      if (!['active', 'en_attente'].includes(invitation.reservation_statut)) {
+        throw new Error('Cette réservation n\'accepte plus de participants');
+      }
+
+      const participant = await respondToInvitation(client, invitation, value.reponse);
+
+      // Prévenir l'organisateur dans l'application
+      await client.query(`
+        INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        invitation.organisateur_id,
+        invitation.reservation_id,
+        `${invitation.nom || invitation.email} a ${value.reponse === 'accepte' ? 'accepté' : 'refusé'} votre invitation en salle ${invitation.salle_nom}`,
+        'invitation_reponse',
+        false
+      ]);
+
+      return participant;
+    });
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Invitation non trouvée' });
+    }
+
+    res.json({
+      message: value.reponse === 'accepte' ? 'Invitation acceptée' : 'Invitation refusée',
+      reponse: participant.statut
+    });
+
+  } catch (error) {
+    if (error.message === 'Capacité de la salle dépassée' || error.message === 'Cette réservation n\'accepte plus de participants') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Erreur lors de la réponse à l\'invitation:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,420 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool, withTransaction, isReservationOverlapError } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { sendReservationSMS } = require('../services/sendSMS');
+const { getAnnouncementAudience } = require('../services/audience');
+const { toISODate } = require('../services/recurrence');
+const { getTimeZone } = require('../services/ical');
+const { loadOpeningRules, checkOpening, assertSalleOuverte } = require('../services/horaires');
+const { offerFreedSlots } = require('../services/listeAttente');
+const { getInitialStatut, notifyApprovers } = require('../services/validation');
+
+const router = express.Router();
+
+// Schéma de validation pour une inscription sur un créneau déjà pris
+const inscriptionSchema = Joi.object({
+  salle_id: Joi.number().integer().positive().required(),
+  date: Joi.date().iso().required(),
+  heure_debut: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+  heure_fin: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+  motif: Joi.string().max(500).optional()
+});
+
+// Statuts HTTP des erreurs métier levées pendant les transactions de la liste d'attente
+const ERROR_STATUS = {
+  'Salle non trouvée': 404,
+  'Inscription non trouvée': 404,
+  'Accès non autorisé': 403,
+  'Vous êtes déjà inscrit sur ce créneau': 409,
+  'Créneau déjà réservé': 409,
+  'Ce créneau est libre : réservez-le directement': 400,
+  'Impossible de s\'inscrire sur un créneau passé': 400,
+  'L\'heure de fin doit être au moins 1 heure après l\'heure de début': 400,
+  'Aucune offre en cours pour cette inscription': 400,
+  'Cette inscription ne peut plus être retirée': 400,
+  'Salle non disponible': 400,
+  'Salle fermée à cette date': 400,
+  'Salle en maintenance à cet horaire': 400,
+  'En dehors des horaires d\'ouverture de la salle': 400
+};
+
+// Répondre à une erreur levée pendant une transaction de la liste d'attente
+function sendListeAttenteError(res, error, contexte) {
+  if (isReservationOverlapError(error)) {
+    return res.status(409).json({ error: 'Créneau déjà réservé' });
+  }
+
+  const status = ERROR_STATUS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  console.error(`Erreur lors ${contexte}:`, error);
+  return res.status(500).json({ error: 'Erreur interne du serveur' });
+}
+
+// Colonnes d'une inscription, avec son rang parmi les inscrits en attente sur un créneau qui chevauche
+const INSCRIPTION_COLONNES = `
+  la.id,
+  la.utilisateur_id,
+  u.nom as utilisateur_nom,
+  la.salle_id,
+  s.nom as salle_nom,
+  TO_CHAR(la.date, 'YYYY-MM-DD') as date,
+  la.heure_debut,
+  la.heure_fin,
+  la.motif,
+  la.statut,
+  TO_CHAR(la.expire_le, 'YYYY-MM-DD HH24:MI') as expire_le,
+  la.reservation_id,
+  CASE WHEN la.statut = 'en_attente' THEN (
+    SELECT COUNT(*) + 1 FROM liste_attente autre
+    WHERE autre.salle_id = la.salle_id
+      AND autre.date = la.date
+      AND autre.statut = 'en_attente'
+      AND autre.heure_debut < la.heure_fin
+      AND autre.heure_fin > la.heure_debut
+      AND (autre.created_at, autre.id) < (la.created_at, la.id)
+  )::int END as position,
+  la.created_at
+`;
+
+// Récupérer et verrouiller une inscription avec le nom de sa salle
+async function getInscription(db, inscriptionId) {
+  const result = await db.query(`
+    SELECT
+      la.*,
+      TO_CHAR(la.date, 'YYYY-MM-DD') as date_iso,
+      TO_CHAR(la.date, 'DD/MM/YYYY') as date_affichee,
+      la.expire_le > now() AT TIME ZONE COALESCE(si.fuseau_horaire, $2) as offre_valide,
+      s.nom as salle_nom,
+      s.statut as salle_statut,
+      s.validation_requise
+    FROM liste_attente la
+    JOIN salles s ON la.salle_id = s.id
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    WHERE la.id = $1
+    FOR UPDATE OF la
+  `, [inscriptionId, getTimeZone()]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Inscription non trouvée');
+  }
+
+  return result.rows[0];
+}
+
+// Obtenir mes inscriptions (historique=true : y compris celles qui sont closes)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const historique = req.query.historique === 'true';
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT ${INSCRIPTION_COLONNES}
+      FROM liste_attente la
+      JOIN salles s ON la.salle_id = s.id
+      JOIN utilisateurs u ON la.utilisateur_id = u.id
+      WHERE la.utilisateur_id = $1
+        AND ($2 OR la.statut IN ('en_attente', 'proposee'))
+      ORDER BY la.date, la.heure_debut
+    `, [req.user.id, historique]);
+
+    res.json({
+      inscriptions: result.rows
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la liste d\'attente:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir la liste d'attente d'une salle (admin seulement)
+router.get('/salles/:salleId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.salleId);
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT ${INSCRIPTION_COLONNES}
+      FROM liste_attente la
+      JOIN salles s ON la.salle_id = s.id
+      JOIN utilisateurs u ON la.utilisateur_id = u.id
+      WHERE la.salle_id = $1
+        AND la.statut IN ('en_attente', 'proposee')
+      ORDER BY la.date, la.heure_debut, la.created_at
+    `, [salleId]);
+
+    res.json({
+      inscriptions: result.rows
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la liste d\'attente de la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// S'inscrire sur un créneau déjà pris (réservé, salle hors service ou en maintenance)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = inscriptionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const { salle_id, heure_debut, heure_fin, motif } = value;
+    const date = toISODate(value.date);
+
+    const inscription = await withTransaction(async (client) => {
+      const [heuresDebut, minutesDebut] = heure_debut.split(':').map(Number);
+      const [heuresFin, minutesFin] = heure_fin.split(':').map(Number);
+      if (heuresFin * 60 + minutesFin < heuresDebut * 60 + minutesDebut + 60) {
+        throw new Error('L\'heure de fin doit être au moins 1 heure après l\'heure de début');
+      }
+
+      // Le créneau est comparé à l'heure courante du site de la salle
+      const salleResult = await client.query(`
+        SELECT s.id, s.statut, $2::date + $3::time <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $4) as passe
+        FROM salles s
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+        WHERE s.id = $1
+      `, [salle_id, date, heure_debut, getTimeZone()]);
+      if (salleResult.rows.length === 0) {
+        throw new Error('Salle non trouvée');
+      }
+
+      if (salleResult.rows[0].passe) {
+        throw new Error('Impossible de s\'inscrire sur un créneau passé');
+      }
+
+      // Attendre une salle fermée ce jour-là ne servirait à rien ; une maintenance, elle, se termine
+      const regles = await loadOpeningRules(client, [salle_id], date, date);
+      const ouverture = checkOpening(regles, salle_id, date, heure_debut, heure_fin);
+      if (ouverture && !ouverture.maintenance) {
+        throw ouverture;
+      }
+
+      const existingResult = await client.query(`
+        SELECT id FROM liste_attente
+        WHERE utilisateur_id = $1 AND salle_id = $2 AND date = $3 AND heure_debut = $4 AND heure_fin = $5
+          AND statut IN ('en_attente', 'proposee')
+      `, [req.user.id, salle_id, date, heure_debut, heure_fin]);
+      if (existingResult.rows.length > 0) {
+        throw new Error('Vous êtes déjà inscrit sur ce créneau');
+      }
+
+      // Le créneau doit être bloqué : réservation, offre en cours, maintenance ou salle hors service
+      const occupeResult = await client.query(`
+        SELECT 1 FROM reservations
+        WHERE salle_id = $1 AND date = $2 AND statut IN ('active', 'en_attente') AND heure_debut < $4 AND heure_fin > $3
+        UNION ALL
+        SELECT 1 FROM liste_attente
+        WHERE salle_id = $1 AND date = $2 AND statut = 'proposee' AND heure_debut < $4 AND heure_fin > $3
+        LIMIT 1
+      `, [salle_id, date, heure_debut, heure_fin]);
+      const bloque = occupeResult.rows.length > 0
+        || Boolean(ouverture)
+        || !['disponible', 'maintenance'].includes(salleResult.rows[0].statut);
+      if (!bloque) {
+        throw new Error('Ce créneau est libre : réservez-le directement');
+      }
+
+      const result = await client.query(`
+        INSERT INTO liste_attente (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [req.user.id, salle_id, date, heure_debut, heure_fin, motif]);
+
+      const inscriptionResult = await client.query(`
+        SELECT ${INSCRIPTION_COLONNES}
+        FROM liste_attente la
+        JOIN salles s ON la.salle_id = s.id
+        JOIN utilisateurs u ON la.utilisateur_id = u.id
+        WHERE la.id = $1
+      `, [result.rows[0].id]);
+
+      return inscriptionResult.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Inscription sur la liste d\'attente enregistrée',
+      inscription
+    });
+  } catch (error) {
+    sendListeAttenteError(res, error, 'de l\'inscription sur la liste d\'attente');
+  }
+});
+
+// Accepter l'offre d'un créneau libéré : la réservation est créée automatiquement
+router.post('/:id/accepter', authenticateToken, async (req, res) => {
+  try {
+    const inscriptionId = parseInt(req.params.id);
+
+    const { reservation, salleNom, smsResult } = await withTransaction(async (client) => {
+      const inscription = await getInscription(client, inscriptionId);
+
+      if (inscription.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      if (inscription.statut !== 'proposee' || !inscription.offre_valide) {
+        throw new Error('Aucune offre en cours pour cette inscription');
+      }
+
+      if (!['disponible', 'maintenance'].includes(inscription.salle_statut)) {
+        throw new Error('Salle non disponible');
+      }
+
+      await assertSalleOuverte(client, inscription.salle_id, inscription.date_iso, inscription.heure_debut, inscription.heure_fin);
+
+      // Une salle à accès restreint donne une demande en attente de validation
+      const statut = await getInitialStatut(client, { id: inscription.salle_id, validation_requise: inscription.validation_requise }, req.user);
+
+      // Créer la réservation (la contrainte d'exclusion protège des réservations concurrentes)
+      const result = await client.query(`
+        INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif, statut)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, salle_id, date, heure_debut, heure_fin, motif, statut, created_at
+      `, [req.user.id, inscription.salle_id, inscription.date_iso, inscription.heure_debut, inscription.heure_fin, inscription.motif, statut]);
+      const reservation = result.rows[0];
+
+      await client.query(`
+        UPDATE liste_attente
+        SET statut = 'acceptee', reservation_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [reservation.id, inscriptionId]);
+
+      const heureDebut = reservation.heure_debut.slice(0, 5);
+      const heureFin = reservation.heure_fin.slice(0, 5);
+
+      if (statut === 'en_attente') {
+        const notifies = await notifyApprovers(client, {
+          reservationId: reservation.id,
+          salleId: inscription.salle_id,
+          salleNom: inscription.salle_nom,
+          demandeur: req.user.nom,
+          date: inscription.date_affichee,
+          heureDebut,
+          heureFin
+        });
+
+        return { reservation, salleNom: inscription.salle_nom, smsResult: { success: notifies > 0 } };
+      }
+
+      // Mettre en file le SMS de confirmation, selon la règle d'annonce de la salle
+      const smsResult = await sendReservationSMS(
+        await getAnnouncementAudience(client, inscription.salle_id, req.user.id, reservation.id),
+        inscription.salle_nom,
+        inscription.date_affichee,
+        heureDebut,
+        heureFin,
+        { db: client }
+      );
+
+      await client.query(`
+        INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        req.user.id,
+        reservation.id,
+        `Réservation confirmée pour ${inscription.salle_nom} le ${inscription.date_affichee} de ${heureDebut} à ${heureFin}`,
+        smsResult.success ? 'sms_en_attente' : 'sms_echec',
+        false
+      ]);
+
+      return { reservation, salleNom: inscription.salle_nom, smsResult };
+    });
+
+    res.status(201).json({
+      message: reservation.statut === 'en_attente'
+        ? 'Offre acceptée, demande de réservation en attente de validation'
+        : 'Offre acceptée, réservation créée avec succès',
+      reservation: {
+        ...reservation,
+        salle_nom: salleNom,
+        utilisateur_nom: req.user.nom
+      },
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendListeAttenteError(res, error, 'de l\'acceptation de l\'offre');
+  }
+});
+
+// Refuser l'offre d'un créneau libéré : elle passe à la personne suivante
+router.post('/:id/refuser', authenticateToken, async (req, res) => {
+  try {
+    const inscriptionId = parseInt(req.params.id);
+
+    await withTransaction(async (client) => {
+      const inscription = await getInscription(client, inscriptionId);
+
+      if (inscription.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      if (inscription.statut !== 'proposee') {
+        throw new Error('Aucune offre en cours pour cette inscription');
+      }
+
+      await client.query(
+        'UPDATE liste_attente SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['refusee', inscriptionId]
+      );
+
+      await offerFreedSlots(client, [inscription.salle_id]);
+    });
+
+    res.json({
+      message: 'Offre refusée'
+    });
+  } catch (error) {
+    sendListeAttenteError(res, error, 'du refus de l\'offre');
+  }
+});
+
+// Se retirer de la liste d'attente (propriétaire ou admin)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const inscriptionId = parseInt(req.params.id);
+
+    await withTransaction(async (client) => {
+      const inscription = await getInscription(client, inscriptionId);
+
+      if (req.user.role !== 'admin' && inscription.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      if (!['en_attente', 'proposee'].includes(inscription.statut)) {
+        throw new Error('Cette inscription ne peut plus être retirée');
+      }
+
+      await client.query(
+        'UPDATE liste_attente SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['annulee', inscriptionId]
+      );
+
+      // Une offre retirée passe à la personne suivante
+      if (inscription.statut === 'proposee') {
+        await offerFreedSlots(client, [inscription.salle_id]);
+      }
+    });
+
+    res.json({
+      message: 'Inscription retirée de la liste d\'attente'
+    });
+  } catch (error) {
+    sendListeAttenteError(res, error, 'du retrait de la liste d\'attente');
+  }
+});
+
+module.exports = router;
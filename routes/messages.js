@@ -0,0 +1,194 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { retryFailedMessages } = require('../services/outbox');
+
+const router = express.Router();
+
+// Schéma de validation pour la liste des messages sortants
+const listeSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limite: Joi.number().integer().min(1).max(100).default(20),
+  statut: Joi.string().valid('en_attente', 'envoye', 'echec').optional(),
+  canal: Joi.string().max(20).optional(),
+  utilisateur_id: Joi.number().integer().positive().optional()
+});
+
+// Lister les messages sortants (admin seulement)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = listeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limite, statut, canal, utilisateur_id } = value;
+    const pool = getPool();
+
+    // Construire les filtres dynamiquement
+    const conditions = [];
+    const params = [];
+
+    if (statut) {
+      params.push(statut);
+      conditions.push(`m.statut = $${params.length}`);
+    }
+
+    if (canal) {
+      params.push(canal);
+      conditions.push(`m.canal = $${params.length}`);
+    }
+
+    if (utilisateur_id) {
+      params.push(utilisateur_id);
+      conditions.push(`m.utilisateur_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM messages_sortants m ${where}`,
+      params
+    );
+
+    const result = await pool.query(`
+      SELECT
+        m.id,
+        m.utilisateur_id,
+        u.nom as utilisateur_nom,
+        m.canal,
+        m.destinataire,
+        m.sujet,
+        m.statut,
+        m.tentatives,
+        m.max_tentatives,
+        m.prochaine_tentative,
+        m.derniere_erreur,
+        m.fournisseur_id,
+        m.created_at,
+        m.envoye_at
+      FROM messages_sortants m
+      LEFT JOIN utilisateurs u ON m.utilisateur_id = u.id
+      ${where}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limite, (page - 1) * limite]);
+
+    // Compteurs par statut, pour surveiller la file
+    const compteursResult = await pool.query(
+      'SELECT statut, COUNT(*) as total FROM messages_sortants GROUP BY statut'
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      messages: result.rows,
+      compteurs: Object.fromEntries(compteursResult.rows.map(row => [row.statut, parseInt(row.total)])),
+      pagination: {
+        page,
+        limite,
+        total,
+        pages: Math.ceil(total / limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des messages sortants:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Relancer tous les messages en échec (admin seulement)
+router.post('/relancer', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const relances = await retryFailedMessages();
+
+    res.json({
+      message: 'Messages en échec remis en file',
+      messages_relances: relances
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la relance des messages:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir le détail d'un message sortant (admin seulement)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const messageId = parseInt(req.params.id);
+    const pool = getPool();
+
+    // Le contenu n'est pas exposé : il peut contenir des données personnelles
+    const result = await pool.query(`
+      SELECT
+        m.id,
+        m.utilisateur_id,
+        u.nom as utilisateur_nom,
+        m.canal,
+        m.destinataire,
+        m.sujet,
+        m.statut,
+        m.tentatives,
+        m.max_tentatives,
+        m.prochaine_tentative,
+        m.derniere_erreur,
+        m.fournisseur_id,
+        m.created_at,
+        m.updated_at,
+        m.envoye_at
+      FROM messages_sortants m
+      LEFT JOIN utilisateurs u ON m.utilisateur_id = u.id
+      WHERE m.id = $1
+    `, [messageId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message non trouvé' });
+    }
+
+    res.json(result.rows[0]);
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération du message:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Relancer un message en échec (admin seulement)
+router.post('/:id/relancer', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const messageId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const existing = await pool.query('SELECT statut, secret_expire_le FROM messages_sortants WHERE id = $1', [messageId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Message non trouvé' });
+    }
+
+    if (existing.rows[0].statut !== 'echec') {
+      return res.status(400).json({ error: 'Seuls les messages en échec peuvent être relancés' });
+    }
+
+    // Le code à usage unique a été effacé : l'utilisateur doit en demander un nouveau
+    if (existing.rows[0].secret_expire_le) {
+      return res.status(400).json({ error: 'Un message contenant un code à usage unique ne peut pas être relancé' });
+    }
+
+    await retryFailedMessages(messageId);
+
+    res.json({
+      message: 'Message remis en file'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la relance du message:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Schéma de validation pour la liste des notifications
+const listeSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limite: Joi.number().integer().min(1).max(100).default(20),
+  non_lues: Joi.boolean().default(false),
+  type: Joi.string().max(50).optional()
+});
+
+// Schéma de validation pour les opérations groupées
+const groupeSchema = Joi.object({
+  type: Joi.string().max(50).optional(),
+  lues: Joi.boolean().default(false)
+});
+
+// Schéma de validation pour les préférences de notification
+const preferencesSchema = Joi.object({
+  canaux: Joi.array().items(Joi.string().valid('sms', 'email')).unique().required()
+});
+
+// Obtenir les notifications de l'utilisateur connecté
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const { page, limite, non_lues, type } = value;
+    const pool = getPool();
+
+    // Construire les filtres dynamiquement
+    const conditions = ['utilisateur_id = $1'];
+    const params = [req.user.id];
+
+    if (non_lues) {
+      conditions.push('lu = FALSE');
+    }
+
+    if (type) {
+      params.push(type);
+      conditions.push(`type = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM notifications WHERE ${where}`,
+      params
+    );
+
+    const result = await pool.query(`
+      SELECT
+        id,
+        reservation_id,
+        message,
+        type,
+        lu,
+        date
+      FROM notifications
+      WHERE ${where}
+      ORDER BY date DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limite, (page - 1) * limite]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      notifications: result.rows,
+      pagination: {
+        page,
+        limite,
+        total,
+        pages: Math.ceil(total / limite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des notifications:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir le nombre de notifications non lues
+router.get('/non-lues/count', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT COUNT(*) as count FROM notifications WHERE utilisateur_id = $1 AND lu = FALSE',
+      [req.user.id]
+    );
+
+    res.json({
+      non_lues: parseInt(result.rows[0].count)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du comptage des notifications:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les canaux de notification préférés
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(
+      'SELECT canaux_notification FROM utilisateurs WHERE id = $1',
+      [req.user.id]
+    );
+
+    res.json({
+      canaux: result.rows[0].canaux_notification
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des préférences:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier les canaux de notification préférés (liste vide : aucune notification)
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = preferencesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Données invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const pool = getPool();
+    const result = await pool.query(`
+      UPDATE utilisateurs
+      SET canaux_notification = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING canaux_notification
+    `, [value.canaux, req.user.id]);
+
+    res.json({
+      message: 'Préférences de notification mises à jour',
+      canaux: result.rows[0].canaux_notification
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification des préférences:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Marquer toutes les notifications comme lues
+router.patch('/lu', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = groupeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const pool = getPool();
+    const params = [req.user.id];
+    let query = 'UPDATE notifications SET lu = TRUE WHERE utilisateur_id = $1 AND lu = FALSE';
+
+    if (value.type) {
+      params.push(value.type);
+      query += ' AND type = $2';
+    }
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      message: 'Notifications marquées comme lues',
+      notifications_modifiees: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du marquage des notifications:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Marquer une notification comme lue
+router.patch('/:id/lu', authenticateToken, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(`
+      UPDATE notifications
+      SET lu = TRUE
+      WHERE id = $1 AND utilisateur_id = $2
+      RETURNING id, reservation_id, message, type, lu, date
+    `, [notificationId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification non trouvée' });
+    }
+
+    res.json({
+      message: 'Notification marquée comme lue',
+      notification: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du marquage de la notification:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer toutes les notifications (ou seulement celles déjà lues)
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = groupeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
+    const pool = getPool();
+    const params = [req.user.id];
+    let query = 'DELETE FROM notifications WHERE utilisateur_id = $1';
+
+    if (value.lues) {
+      query += ' AND lu = TRUE';
+    }
+
+    if (value.type) {
+      params.push(value.type);
+      query += ' AND type = $2';
+    }
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      message: 'Notifications supprimées avec succès',
+      notifications_supprimees: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression des notifications:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer une notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(
+      'DELETE FROM notifications WHERE id = $1 AND utilisateur_id = $2',
+      [notificationId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Notification non trouvée' });
+    }
+
+    res.json({
+      message: 'Notification supprimée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la notification:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const Joi = require('joi');
-const { getPool } = require('../db/init');
+const { getPool, withTransaction, isReservationOverlapError } = require('../db/init');
 const { authenticateToken, requireAdmin, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { sendReservationSMS, sendSingleReservationSMS, sendCancellationSMS, sendPriorityReservationSMS } = require('../services/sendSMS');
+const { sendReservationSMS, sendSingleReservationSMS, sendCancellationSMS, sendModificationSMS, sendPriorityReservationSMS, sendRelocationSMS, sendApprovalDecisionSMS } = require('../services/sendSMS');
+const { generateOccurrences, toISODate, MAX_OCCURRENCES } = require('../services/recurrence');
+const { getAnnouncementAudience } = require('../services/audience');
+const { buildCalendar, parseICS, getEventSlot, formatLocalDate } = require('../services/ical');
+const { resolveParticipants, countAttendees, assertCapacity, addParticipants, respondToInvitation } = require('../services/participants');
+const { findSuggestions } = require('../services/suggestions');
+const { loadOpeningRules, checkOpening, assertSalleOuverte } = require('../services/horaires');
+const { relocateReservation } = require('../services/relocation');
+const { offerFreedSlots, hasPendingOffer } = require('../services/listeAttente');
+const { canApprove, getInitialStatut, notifyApprovers } = require('../services/validation');
+const { checkInReservation } = require('../services/checkIn');
 
 const router = express.Router();
 
@@ -15,13 +25,85 @@ const reservationSchema = Joi.object({
   motif: Joi.string().max(500).optional()
 });
 
+// Schéma de validation pour la modification d'une réservation
+const reservationUpdateSchema = Joi.object({
+  salle_id: Joi.number().integer().positive().optional(),
+  date: Joi.date().iso().optional(),
+  heure_debut: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  heure_fin: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  motif: Joi.string().max(500).allow('').optional()
+}).min(1);
+
+// Schéma de validation pour une règle de récurrence
+const recurrenceSchema = Joi.object({
+  frequence: Joi.string().valid('quotidienne', 'hebdomadaire', 'mensuelle').required(),
+  intervalle: Joi.number().integer().min(1).max(12).default(1),
+  jours_semaine: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+  date_fin: Joi.date().iso().optional(),
+  nombre_occurrences: Joi.number().integer().min(1).max(MAX_OCCURRENCES).optional()
+}).xor('date_fin', 'nombre_occurrences');
+
+// Schéma de validation pour un participant : utilisateur existant ou email externe
+const participantSchema = Joi.object({
+  utilisateur_id: Joi.number().integer().positive(),
+  email: Joi.string().email(),
+  nom: Joi.string().max(100).optional()
+}).xor('utilisateur_id', 'email');
+
+const participantsSchema = Joi.array().items(participantSchema).min(1).max(200);
+
+// Schéma de validation pour la création d'une réservation (simple ou récurrente)
+const reservationCreationSchema = reservationSchema.keys({
+  recurrence: recurrenceSchema.optional(),
+  participants: participantsSchema.optional()
+}).oxor('recurrence', 'participants');
+
+// Schéma de validation pour l'import iCalendar (correspondances : lieu de l'événement → id de salle)
+const importSchema = Joi.object({
+  ics: Joi.string().required(),
+  correspondances: Joi.object().pattern(Joi.string(), Joi.number().integer().positive()).default({}),
+  simulation: Joi.boolean().default(false)
+});
+
+// Nombre maximal d'événements par import
+const MAX_IMPORT_EVENEMENTS = 2000;
+
+// Schéma de validation pour la réponse à une invitation
+const invitationReponseSchema = Joi.object({
+  reponse: Joi.string().valid('accepte', 'refuse').required()
+});
+
+// Schéma de validation pour la modification d'une série
+const serieUpdateSchema = Joi.object({
+  portee: Joi.string().valid('occurrence', 'suivantes', 'serie').default('serie'),
+  reservation_id: Joi.number().integer().positive()
+    .when('portee', { is: 'serie', then: Joi.optional(), otherwise: Joi.required() }),
+  salle_id: Joi.number().integer().positive().optional(),
+  heure_debut: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  heure_fin: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  motif: Joi.string().max(500).allow('').optional()
+}).or('salle_id', 'heure_debut', 'heure_fin', 'motif');
+
+// Schéma de validation pour l'annulation d'une série
+const serieCancelSchema = Joi.object({
+  portee: Joi.string().valid('occurrence', 'suivantes', 'serie').default('serie'),
+  reservation_id: Joi.number().integer().positive()
+    .when('portee', { is: 'serie', then: Joi.optional(), otherwise: Joi.required() })
+});
+
+// Convertit une heure HH:MM (ou HH:MM:SS) en minutes depuis minuit
+function toMinutes(heure) {
+  const [heures, minutes] = heure.split(':');
+  return parseInt(heures) * 60 + parseInt(minutes);
+}
+
 // Fonction pour vérifier les conflits de réservation
 async function checkReservationConflict(pool, salle_id, date, heure_debut, heure_fin, excludeReservationId = null) {
   let query = `
     SELECT id FROM reservations 
     WHERE salle_id = $1 
       AND date = $2 
-      AND statut = 'active'
+      AND statut IN ('active', 'en_attente')
       AND (
         (heure_debut < $4 AND heure_fin > $3) OR
         (heure_debut < $4 AND heure_fin > $4) OR
@@ -40,10 +122,361 @@ async function checkReservationConflict(pool, salle_id, date, heure_debut, heure
   return result.rows.length > 0;
 }
 
+// Statuts HTTP des erreurs métier levées pendant les transactions de réservation
+const ERROR_STATUS = {
+  'Salle non trouvée': 404,
+  'Réservation non trouvée': 404,
+  'Série non trouvée': 404,
+  'Occurrence non trouvée dans cette série': 404,
+  'Accès non autorisé': 403,
+  'Créneau déjà réservé': 409,
+  'Créneau proposé à une personne de la liste d\'attente': 409,
+  'Créneau déjà réservé pour toutes les occurrences': 409,
+  'Salle non disponible': 400,
+  'Impossible de réserver dans le passé': 400,
+  'L\'heure de fin doit être au moins 1 heure après l\'heure de début': 400,
+  'Cette réservation ne peut pas être annulée': 400,
+  'Cette réservation ne peut pas être modifiée': 400,
+  'Cette réservation n\'est pas en attente de validation': 400,
+  'Seule une réservation active peut faire l\'objet d\'un check-in': 400,
+  'Le check-in n\'est pas ouvert pour cette réservation': 400,
+  'Aucune occurrence à venir à modifier': 400,
+  'Aucune occurrence à venir à annuler': 400,
+  'Capacité de la salle dépassée': 400,
+  'Participant non trouvé': 404,
+  'Invitation non trouvée': 404,
+  'API_URL doit être défini pour inviter des participants externes': 503,
+  'Cette réservation n\'accepte plus de participants': 400,
+  'Salle fermée à cette date': 400,
+  'Salle en maintenance à cet horaire': 400,
+  'En dehors des horaires d\'ouverture de la salle': 400
+};
+
+// Détails joints à la réponse d'erreur lorsqu'ils sont présents
+const ERROR_DETAILS = ['conflits', 'capacite', 'personnes', 'participants', 'alternatives', 'fermeture', 'horaires', 'maintenance'];
+
+// Nombre de créneaux de remplacement proposés quand le créneau demandé est pris
+const NB_ALTERNATIVES = 3;
+
+// Répondre à une erreur levée pendant une transaction de réservation
+function sendReservationError(res, error, contexte) {
+  if (isReservationOverlapError(error)) {
+    return res.status(409).json({
+      error: 'Créneau déjà réservé',
+      ...(error.alternatives ? { alternatives: error.alternatives } : {})
+    });
+  }
+
+  const status = ERROR_STATUS[error.message];
+  if (status) {
+    const details = ERROR_DETAILS.filter(cle => error[cle] !== undefined);
+    return res.status(status).json({
+      error: error.message,
+      ...Object.fromEntries(details.map(cle => [cle, error[cle]]))
+    });
+  }
+
+  console.error(`Erreur lors ${contexte}:`, error);
+  return res.status(500).json({ error: 'Erreur interne du serveur' });
+}
+
+// Proposer des créneaux proches pour une demande de réservation refusée (liste vide en cas d'échec)
+async function suggestAlternatives({ date, heure_debut, heure_fin, participants }) {
+  try {
+    return await findSuggestions(getPool(), {
+      duree: toMinutes(heure_fin) - toMinutes(heure_debut),
+      date: toISODate(date),
+      heureDebut: heure_debut,
+      capaciteMin: 1 + (participants ? participants.length : 0),
+      limite: NB_ALTERNATIVES
+    });
+  } catch (error) {
+    console.error('Erreur lors de la recherche de créneaux de remplacement:', error);
+    return [];
+  }
+}
+
+// Vérifier que le créneau n'est pas dans le passé et dure au moins 1 heure
+function assertReservableSlot(date, heure_debut, heure_fin) {
+  const reservationDate = new Date(date);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (reservationDate < today) {
+    throw new Error('Impossible de réserver dans le passé');
+  }
+
+  if (toMinutes(heure_fin) < toMinutes(heure_debut) + 60) {
+    throw new Error('L\'heure de fin doit être au moins 1 heure après l\'heure de début');
+  }
+}
+
+// Récupérer une salle disponible en bloquant sa mise hors service jusqu'à la fin de la transaction
+async function getAvailableSalle(client, salle_id) {
+  const salleResult = await client.query(
+    'SELECT id, nom, capacite, statut, validation_requise FROM salles WHERE id = $1 FOR SHARE',
+    [salle_id]
+  );
+
+  if (salleResult.rows.length === 0) {
+    throw new Error('Salle non trouvée');
+  }
+
+  // Une salle en maintenance reste réservable en dehors de ses fenêtres de maintenance
+  if (!['disponible', 'maintenance'].includes(salleResult.rows[0].statut)) {
+    throw new Error('Salle non disponible');
+  }
+
+  return salleResult.rows[0];
+}
+
+// Destinataire des notifications : le propriétaire d'une réservation ou d'une série
+function getDestinataire(row) {
+  return {
+    id: row.utilisateur_id,
+    nom: row.utilisateur_nom,
+    telephone: row.utilisateur_telephone
+  };
+}
+
+// Type de la notification in-app selon le résultat de la mise en file des messages
+function notificationType(smsResult) {
+  return smsResult.success ? 'sms_en_attente' : 'sms_echec';
+}
+
+// Enregistrer une notification in-app dans la transaction de l'opération
+async function recordNotification(db, utilisateurId, reservationId, message, type) {
+  await db.query(`
+    INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [utilisateurId, reservationId, message, type, false]);
+}
+
+// Créer une série de réservations récurrentes
+async function createReservationSeries(req, res, value) {
+  const { salle_id, date, heure_debut, heure_fin, motif, recurrence } = value;
+
+  let dates;
+  try {
+    dates = generateOccurrences(date, recurrence);
+  } catch (recurrenceError) {
+    return res.status(400).json({ error: 'Récurrence invalide', details: recurrenceError.message });
+  }
+
+  const formattedHeureDebut = `${heure_debut}:00`;
+  const formattedHeureFin = `${heure_fin}:00`;
+
+  let salle;
+  let serie;
+  let statut;
+  let smsResult;
+  const reservations = [];
+  const conflits = [];
+
+  try {
+    await withTransaction(async (client) => {
+      assertReservableSlot(date, heure_debut, heure_fin);
+      salle = await getAvailableSalle(client, salle_id);
+      statut = await getInitialStatut(client, salle, req.user);
+
+      // Enregistrer la règle de récurrence
+      const serieResult = await client.query(`
+        INSERT INTO series_reservations
+          (utilisateur_id, salle_id, frequence, intervalle, jours_semaine, date_debut, date_fin, nombre_occurrences, heure_debut, heure_fin, motif)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id, frequence, intervalle, jours_semaine, date_debut, date_fin, nombre_occurrences, heure_debut, heure_fin, motif
+      `, [
+        req.user.id,
+        salle_id,
+        recurrence.frequence,
+        recurrence.intervalle,
+        recurrence.jours_semaine || null,
+        toISODate(date),
+        recurrence.date_fin ? toISODate(recurrence.date_fin) : null,
+        recurrence.nombre_occurrences || null,
+        formattedHeureDebut,
+        formattedHeureFin,
+        motif
+      ]);
+
+      serie = serieResult.rows[0];
+
+      // Les occurrences tombant pendant une fermeture de la salle sont écartées comme les conflits
+      const regles = await loadOpeningRules(client, [salle_id], dates[0], dates[dates.length - 1]);
+
+      // Créer chaque occurrence qui n'entre pas en conflit
+      for (const occurrence of dates) {
+        const fermeture = checkOpening(regles, salle_id, occurrence, heure_debut, heure_fin);
+        if (fermeture) {
+          conflits.push({ date: occurrence, heure_debut, heure_fin, raison: fermeture.message });
+          continue;
+        }
+
+        const hasConflict = await checkReservationConflict(client, salle_id, occurrence, formattedHeureDebut, formattedHeureFin);
+        if (hasConflict) {
+          conflits.push({ date: occurrence, heure_debut, heure_fin });
+          continue;
+        }
+
+        if (await hasPendingOffer(client, salle_id, occurrence, formattedHeureDebut, formattedHeureFin, req.user.id)) {
+          conflits.push({ date: occurrence, heure_debut, heure_fin, raison: 'Créneau proposé à une personne de la liste d\'attente' });
+          continue;
+        }
+
+        // Un point de sauvegarde par occurrence : une réservation concurrente ne fait échouer que celle-ci
+        await client.query('SAVEPOINT occurrence');
+        try {
+          const result = await client.query(`
+            INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif, serie_id, statut)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id, date, heure_debut, heure_fin, motif, serie_id, statut, created_at
+          `, [req.user.id, salle_id, occurrence, formattedHeureDebut, formattedHeureFin, motif, serie.id, statut]);
+          await client.query('RELEASE SAVEPOINT occurrence');
+          reservations.push(result.rows[0]);
+        } catch (insertError) {
+          if (!isReservationOverlapError(insertError)) {
+            throw insertError;
+          }
+          await client.query('ROLLBACK TO SAVEPOINT occurrence');
+          conflits.push({ date: occurrence, heure_debut, heure_fin });
+        }
+      }
+
+      if (reservations.length === 0) {
+        const conflictError = new Error('Créneau déjà réservé pour toutes les occurrences');
+        conflictError.conflits = conflits;
+        throw conflictError;
+      }
+
+      const premiereDate = new Date(reservations[0].date).toLocaleDateString('fr-FR');
+      const derniereDate = new Date(reservations[reservations.length - 1].date).toLocaleDateString('fr-FR');
+
+      // Toute la série est validée ou rejetée en une fois
+      if (statut === 'en_attente') {
+        const notifies = await notifyApprovers(client, {
+          reservationId: reservations[0].id,
+          salleId: salle_id,
+          salleNom: salle.nom,
+          demandeur: req.user.nom,
+          date: `${premiereDate} au ${derniereDate} (${reservations.length} occurrences)`,
+          heureDebut: heure_debut,
+          heureFin: heure_fin
+        });
+        smsResult = { success: notifies > 0 };
+
+        await recordNotification(
+          client,
+          req.user.id,
+          reservations[0].id,
+          `Demande de série de ${reservations.length} réservations envoyée pour ${salle.nom} du ${premiereDate} au ${derniereDate} de ${heure_debut} à ${heure_fin}, en attente de validation`,
+          'info'
+        );
+        return;
+      }
+
+      // Mettre en file un seul SMS pour toute la série, selon la règle d'annonce de la salle
+      smsResult = await sendReservationSMS(
+        await getAnnouncementAudience(client, salle_id, req.user.id),
+        salle.nom,
+        `${premiereDate} au ${derniereDate} (${reservations.length} occurrences)`,
+        heure_debut,
+        heure_fin,
+        { db: client }
+      );
+
+      // Enregistrer la notification pour l'utilisateur qui a créé la série
+      await recordNotification(
+        client,
+        req.user.id,
+        reservations[0].id,
+        `Série de ${reservations.length} réservations confirmée pour ${salle.nom} du ${premiereDate} au ${derniereDate} de ${heure_debut} à ${heure_fin}` +
+          (conflits.length > 0 ? ` (${conflits.length} occurrence(s) en conflit non réservée(s))` : ''),
+        notificationType(smsResult)
+      );
+    });
+  } catch (error) {
+    return sendReservationError(res, error, 'de la création de la série');
+  }
+
+  res.status(201).json({
+    message: (conflits.length > 0
+      ? 'Série de réservations créée partiellement (certaines occurrences sont en conflit)'
+      : 'Série de réservations créée avec succès') +
+      (statut === 'en_attente' ? ', en attente de validation' : ''),
+    serie: {
+      ...serie,
+      salle_id,
+      salle_nom: salle.nom,
+      utilisateur_nom: req.user.nom
+    },
+    reservations,
+    conflits,
+    smsStatus: smsResult.success,
+    smsDetails: smsResult.summary,
+    notificationStatus: true
+  });
+}
+
+// Récupérer une série avec les informations de la salle et du propriétaire
+async function getSerie(db, serieId) {
+  const result = await db.query(`
+    SELECT 
+      se.*,
+      s.nom as salle_nom,
+      u.nom as utilisateur_nom,
+      u.telephone as utilisateur_telephone
+    FROM series_reservations se
+    JOIN salles s ON se.salle_id = s.id
+    JOIN utilisateurs u ON se.utilisateur_id = u.id
+    WHERE se.id = $1
+  `, [serieId]);
+
+  return result.rows[0] || null;
+}
+
+// Récupérer les occurrences actives (ou en attente de validation) et à venir d'une série visées par la portée demandée.
+// Retourne null si l'occurrence de référence n'appartient pas à la série.
+async function getSerieTargets(db, serieId, portee, reservationId) {
+  let pivot = null;
+
+  if (portee !== 'serie') {
+    const pivotResult = await db.query(
+      'SELECT id, date FROM reservations WHERE id = $1 AND serie_id = $2',
+      [reservationId, serieId]
+    );
+    if (pivotResult.rows.length === 0) {
+      return null;
+    }
+    pivot = pivotResult.rows[0];
+  }
+
+  let query = `
+    SELECT id, salle_id, date, heure_debut, heure_fin, motif, statut
+    FROM reservations
+    WHERE serie_id = $1
+      AND statut IN ('active', 'en_attente')
+      AND date >= CURRENT_DATE
+  `;
+  const params = [serieId];
+
+  if (portee === 'occurrence') {
+    query += ' AND id = $2';
+    params.push(pivot.id);
+  } else if (portee === 'suivantes') {
+    query += ' AND date >= $2';
+    params.push(pivot.date);
+  }
+
+  query += ' ORDER BY date';
+
+  const result = await db.query(query, params);
+  return { pivot, reservations: result.rows };
+}
+
 // Créer une réservation
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = reservationSchema.validate(req.body);
+    const { error, value } = reservationCreationSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ 
         error: 'Données invalides', 
@@ -51,123 +484,123 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const { salle_id, date, heure_debut, heure_fin, motif } = value;
-    const pool = getPool();
-
-    await pool.query('BEGIN');
-
-    try {
-      // Vérifier que la date n'est pas dans le passé
-      const reservationDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (reservationDate < today) {
-        throw new Error('Impossible de réserver dans le passé');
-      }
-
-      // Vérifier que l'heure de fin est après l'heure de début
-      const startTimeMinutes = parseInt(heure_debut.split(':')[0]) * 60 + parseInt(heure_debut.split(':')[1]);
-      const endTimeMinutes = parseInt(heure_fin.split(':')[0]) * 60 + parseInt(heure_fin.split(':')[1]);
-      if (endTimeMinutes < startTimeMinutes + 60) {
-        throw new Error('L\'heure de fin doit être au moins 1 heure après l\'heure de début');
-      }
+    // Réservation récurrente : créer toute la série
+    if (value.recurrence) {
+      return await createReservationSeries(req, res, value);
+    }
 
-      // Vérifier que la salle existe et est disponible
-      const salleResult = await pool.query(
-        'SELECT nom, statut FROM salles WHERE id = $1',
-        [salle_id]
-      );
+    const { salle_id, date, heure_debut, heure_fin, motif } = value;
 
-      if (salleResult.rows.length === 0) {
-        throw new Error('Salle non trouvée');
-      }
+    const { reservation, salle, participants, smsResult } = await withTransaction(async (client) => {
+      assertReservableSlot(date, heure_debut, heure_fin);
+      const salle = await getAvailableSalle(client, salle_id);
+      await assertSalleOuverte(client, salle_id, toISODate(date), heure_debut, heure_fin);
 
-      if (salleResult.rows[0].statut !== 'disponible') {
-        throw new Error('Salle non disponible');
-      }
+      // Vérifier les participants et la capacité de la salle (organisateur compris)
+      const invites = value.participants
+        ? await resolveParticipants(client, value.participants, req.user.id)
+        : [];
+      assertCapacity(salle.capacite, 1 + invites.length);
 
       // Vérifier les conflits de réservation
-      const hasConflict = await checkReservationConflict(pool, salle_id, date, heure_debut, heure_fin);
+      const hasConflict = await checkReservationConflict(client, salle_id, date, heure_debut, heure_fin);
       if (hasConflict) {
         throw new Error('Créneau déjà réservé');
       }
 
+      // Un créneau libéré reste réservé à la personne de la liste d'attente pendant son délai de réponse
+      if (await hasPendingOffer(client, salle_id, date, heure_debut, heure_fin, req.user.id)) {
+        throw new Error('Créneau proposé à une personne de la liste d\'attente');
+      }
+
       // Formater les heures pour PostgreSQL
       const formattedHeureDebut = `${heure_debut}:00`;
       const formattedHeureFin = `${heure_fin}:00`;
 
-      // Créer la réservation
-      const result = await pool.query(`
-        INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, date, heure_debut, heure_fin, motif, created_at
-      `, [req.user.id, salle_id, date, formattedHeureDebut, formattedHeureFin, motif]);
+      // Une salle à accès restreint donne une demande en attente de validation, qui bloque déjà le créneau
+      const statut = await getInitialStatut(client, salle, req.user);
 
+      // Créer la réservation (la contrainte d'exclusion protège des réservations concurrentes)
+      const result = await client.query(`
+        INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif, statut)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, date, heure_debut, heure_fin, motif, statut, created_at
+      `, [req.user.id, salle_id, date, formattedHeureDebut, formattedHeureFin, motif, statut]);
       const reservation = result.rows[0];
-      let smsStatus = true;
-      let notificationStatus = true;
-
-      // Envoyer SMS de confirmation à tous les utilisateurs
-      let smsResult;
-      try {
-        smsResult = await sendReservationSMS(
-          salleResult.rows[0].nom,
-          new Date(date).toLocaleDateString('fr-FR'),
-          heure_debut,
-          heure_fin
+
+      // Inviter les participants
+      const participants = await addParticipants(client, reservation, invites, {
+        organisateur: req.user,
+        salleNom: salle.nom
+      });
+
+      if (statut === 'en_attente') {
+        const dateAffichee = new Date(date).toLocaleDateString('fr-FR');
+        const notifies = await notifyApprovers(client, {
+          reservationId: reservation.id,
+          salleId: salle_id,
+          salleNom: salle.nom,
+          demandeur: req.user.nom,
+          date: dateAffichee,
+          heureDebut: heure_debut,
+          heureFin: heure_fin
+        });
+
+        await recordNotification(
+          client,
+          req.user.id,
+          reservation.id,
+          `Demande de réservation envoyée pour ${salle.nom} le ${dateAffichee} de ${heure_debut} à ${heure_fin}, en attente de validation`,
+          'info'
         );
-        if (!smsResult.success) {
-          smsStatus = false;
-        }
-      } catch (smsError) {
-        console.error('Erreur envoi SMS:', smsError);
-        smsStatus = false;
+
+        return { reservation, salle, participants, smsResult: { success: notifies > 0 } };
       }
 
+      // Mettre en file le SMS de confirmation, selon la règle d'annonce de la salle
+      const smsResult = await sendReservationSMS(
+        await getAnnouncementAudience(client, salle_id, req.user.id, reservation.id),
+        salle.nom,
+        new Date(date).toLocaleDateString('fr-FR'),
+        heure_debut,
+        heure_fin,
+        { db: client }
+      );
+
       // Enregistrer la notification pour l'utilisateur qui a créé la réservation
-      try {
-        await pool.query(`
-          INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
-          VALUES ($1, $2, $3, $4, $5)
-        `, [
-          req.user.id,
-          reservation.id,
-          `Réservation confirmée pour ${salleResult.rows[0].nom} le ${new Date(date).toLocaleDateString('fr-FR')} de ${heure_debut} à ${heure_fin}`,
-          smsStatus ? 'sms_envoye' : 'sms_echec',
-          false
-        ]);
-      } catch (notificationError) {
-        console.error('Erreur enregistrement notification:', notificationError);
-        notificationStatus = false;
-      }
-
-      await pool.query('COMMIT');
-
-      res.status(201).json({
-        message: 'Réservation créée avec succès',
-        reservation: {
-          ...reservation,
-          salle_nom: salleResult.rows[0].nom,
-          utilisateur_nom: req.user.nom
-        },
-        smsStatus,
-        smsDetails: smsResult.summary,
-        notificationStatus
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      res.status(
-        error.message === 'Salle non trouvée' ? 404 :
-        error.message === 'Créneau déjà réservé' ? 409 :
-        error.message === 'Salle non disponible' ? 400 :
-        error.message === 'Impossible de réserver dans le passé' ? 400 :
-        error.message === 'L\'heure de fin doit être au moins 1 heure après l\'heure de début' ? 400 : 500
-      ).json({ error: error.message || 'Erreur interne du serveur' });
-    }
+      await recordNotification(
+        client,
+        req.user.id,
+        reservation.id,
+        `Réservation confirmée pour ${salle.nom} le ${new Date(date).toLocaleDateString('fr-FR')} de ${heure_debut} à ${heure_fin}`,
+        notificationType(smsResult)
+      );
+
+      return { reservation, salle, participants, smsResult };
+    }).catch(async (transactionError) => {
+      // Créneau pris : joindre quelques créneaux de remplacement à la réponse 409
+      if (isReservationOverlapError(transactionError) || transactionError.message === 'Créneau déjà réservé') {
+        transactionError.alternatives = await suggestAlternatives(value);
+      }
+      throw transactionError;
+    });
+
+    res.status(201).json({
+      message: reservation.statut === 'en_attente'
+        ? 'Demande de réservation envoyée, en attente de validation'
+        : 'Réservation créée avec succès',
+      reservation: {
+        ...reservation,
+        salle_nom: salle.nom,
+        utilisateur_nom: req.user.nom
+      },
+      participants,
+      smsStatus: smsResult.success,
+      smsDetails: smsResult.summary,
+      notificationStatus: true
+    });
   } catch (error) {
-    console.error('Erreur lors de la création de la réservation:', error);
-    res.status(500).json({ error: 'Erreur interne du serveur' });
+    sendReservationError(res, error, 'de la création de la réservation');
   }
 });
 
@@ -183,6 +616,8 @@ router.get('/mes-reservations', authenticateToken, async (req, res) => {
         r.heure_fin,
         r.motif,
         r.statut,
+        r.serie_id,
+        r.check_in_le,
         r.created_at,
         s.nom as salle_nom,
         s.capacite as salle_capacite
@@ -201,6 +636,51 @@ router.get('/mes-reservations', authenticateToken, async (req, res) => {
   }
 });
 
+// Obtenir les invitations reçues par l'utilisateur connecté (réunions à venir)
+router.get('/mes-invitations', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const params = [req.user.id];
+    let filtreStatut = '';
+
+    if (['invite', 'accepte', 'refuse'].includes(req.query.statut)) {
+      params.push(req.query.statut);
+      filtreStatut = 'AND p.statut = $2';
+    }
+
+    const result = await pool.query(`
+      SELECT 
+        p.id as participant_id,
+        p.statut as reponse,
+        p.repondu_at,
+        r.id,
+        r.date,
+        r.heure_debut,
+        r.heure_fin,
+        r.motif,
+        r.statut,
+        s.nom as salle_nom,
+        u.nom as organisateur_nom,
+        u.email as organisateur_email
+      FROM participants_reservation p
+      JOIN reservations r ON p.reservation_id = r.id
+      JOIN salles s ON r.salle_id = s.id
+      JOIN utilisateurs u ON r.utilisateur_id = u.id
+      WHERE p.utilisateur_id = $1
+        AND r.date >= CURRENT_DATE
+        ${filtreStatut}
+      ORDER BY r.date, r.heure_debut
+    `, params);
+
+    res.json({
+      invitations: result.rows
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des invitations:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
 // Obtenir toutes les réservations (admin seulement)
 router.get('/all', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -213,6 +693,7 @@ router.get('/all', authenticateToken, requireAdmin, async (req, res) => {
         r.heure_fin,
         r.motif,
         r.statut,
+        r.serie_id,
         r.created_at,
         u.nom as utilisateur_nom,
         u.email as utilisateur_email,
@@ -234,108 +715,55 @@ router.get('/all', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Annuler une réservation
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Obtenir une série de réservations et ses occurrences
+router.get('/series/:serieId', authenticateToken, async (req, res) => {
   try {
-    const reservationId = parseInt(req.params.id);
+    const serieId = parseInt(req.params.serieId);
     const pool = getPool();
 
-    await pool.query('BEGIN');
-
-    // Récupérer les détails de la réservation
-    const result = await pool.query(`
-      SELECT 
-        r.*,
-        u.nom as utilisateur_nom,
-        u.telephone as utilisateur_telephone,
-        s.nom as salle_nom
-      FROM reservations r
-      JOIN utilisateurs u ON r.utilisateur_id = u.id
-      JOIN salles s ON r.salle_id = s.id
-      WHERE r.id = $1
-    `, [reservationId]);
-
-    if (result.rows.length === 0) {
-      await pool.query('ROLLBACK');
-      return res.status(404).json({ error: 'Réservation non trouvée' });
+    const serie = await getSerie(pool, serieId);
+    if (!serie) {
+      return res.status(404).json({ error: 'Série non trouvée' });
     }
 
-    const reservation = result.rows[0];
-
     // Vérifier les permissions (propriétaire ou admin)
-    if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id) {
-      await pool.query('ROLLBACK');
+    if (req.user.role !== 'admin' && serie.utilisateur_id !== req.user.id) {
       return res.status(403).json({ error: 'Accès non autorisé' });
     }
 
-    // Vérifier que la réservation peut être annulée
-    if (reservation.statut !== 'active') {
-      await pool.query('ROLLBACK');
-      return res.status(400).json({ error: 'Cette réservation ne peut pas être annulée' });
-    }
-
-    // Annuler la réservation
-    await pool.query(
-      'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['annulee', reservationId]
-    );
-
-    let smsStatus = true;
-    let notificationStatus = true;
-
-    // Envoyer SMS d'annulation
-    try {
-      const smsResult = await sendCancellationSMS(
-        reservation.utilisateur_telephone,
-        reservation.utilisateur_nom,
-        reservation.salle_nom,
-        new Date(reservation.date).toLocaleDateString('fr-FR'),
-        reservation.heure_debut,
-        reservation.heure_fin
-      );
-      if (!smsResult.success) {
-        smsStatus = false;
-      }
-    } catch (smsError) {
-      console.error('Erreur envoi SMS:', smsError);
-      smsStatus = false;
-    }
-
-    // Enregistrer la notification
-    try {
-      await pool.query(`
-        INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        reservation.utilisateur_id,
-        reservation.id,
-        `Réservation annulée pour ${reservation.salle_nom} le ${new Date(reservation.date).toLocaleDateString('fr-FR')} de ${reservation.heure_debut} à ${reservation.heure_fin}`,
-        smsStatus ? 'sms_envoye' : 'sms_echec',
-        false
-      ]);
-    } catch (notificationError) {
-      console.error('Erreur enregistrement notification:', notificationError);
-      notificationStatus = false;
-    }
+    const result = await pool.query(`
+      SELECT 
+        r.id,
+        r.date,
+        r.heure_debut,
+        r.heure_fin,
+        r.motif,
+        r.statut,
+        r.salle_id,
+        s.nom as salle_nom
+      FROM reservations r
+      JOIN salles s ON r.salle_id = s.id
+      WHERE r.serie_id = $1
+      ORDER BY r.date, r.heure_debut
+    `, [serieId]);
 
-    await pool.query('COMMIT');
+    const { utilisateur_telephone: _, ...serieInfo } = serie;
 
     res.json({
-      message: 'Réservation annulée avec succès',
-      smsStatus,
-      notificationStatus
+      serie: serieInfo,
+      reservations: result.rows
     });
   } catch (error) {
-    await pool.query('ROLLBACK');
-    console.error('Erreur lors de l\'annulation de la réservation:', error);
+    console.error('Erreur lors de la récupération de la série:', error);
     res.status(500).json({ error: 'Erreur interne du serveur' });
   }
 });
 
-// Réservation prioritaire (admin seulement)
-router.post('/prioritaire', authenticateToken, requireAdmin, async (req, res) => {
+// Modifier une occurrence, les occurrences suivantes ou toute une série
+router.put('/series/:serieId', authenticateToken, async (req, res) => {
   try {
-    const { error, value } = reservationSchema.validate(req.body);
+    const serieId = parseInt(req.params.serieId);
+    const { error, value } = serieUpdateSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ 
         error: 'Données invalides', 
@@ -343,109 +771,1060 @@ router.post('/prioritaire', authenticateToken, requireAdmin, async (req, res) =>
       });
     }
 
-    const { salle_id, date, heure_debut, heure_fin, motif } = value;
-    const pool = getPool();
+    const { portee, reservation_id, salle_id, heure_debut, heure_fin, motif } = value;
+    let serie;
+    let serieModifieeId = serieId;
+    let salleNom;
+    let smsResult;
+    const modifiees = [];
+
+    await withTransaction(async (client) => {
+      serie = await getSerie(client, serieId);
+      if (!serie) {
+        throw new Error('Série non trouvée');
+      }
 
-    await pool.query('BEGIN');
+      // Vérifier les permissions (propriétaire ou admin)
+      if (req.user.role !== 'admin' && serie.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
 
-    try {
-      // Vérifier que la date n'est pas dans le passé
-      const reservationDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      if (reservationDate < today) {
-        throw new Error('Impossible de réserver dans le passé');
+      const targets = await getSerieTargets(client, serieId, portee, reservation_id);
+      if (!targets) {
+        throw new Error('Occurrence non trouvée dans cette série');
       }
 
-      // Vérifier que l'heure de fin est après l'heure de début
-      const startTimeMinutes = parseInt(heure_debut.split(':')[0]) * 60 + parseInt(heure_debut.split(':')[1]);
-      const endTimeMinutes = parseInt(heure_fin.split(':')[0]) * 60 + parseInt(heure_fin.split(':')[1]);
-      if (endTimeMinutes < startTimeMinutes + 60) {
-        throw new Error('L\'heure de fin doit être au moins 1 heure après l\'heure de début');
+      if (targets.reservations.length === 0) {
+        throw new Error('Aucune occurrence à venir à modifier');
       }
 
-      // Vérifier que la salle existe et est disponible
-      const salleResult = await pool.query(
-        'SELECT nom, statut FROM salles WHERE id = $1',
-        [salle_id]
-      );
+      salleNom = serie.salle_nom;
+
+      const nouvelles = targets.reservations.map(r => ({
+        id: r.id,
+        date: r.date,
+        salle_id: salle_id || r.salle_id,
+        heure_debut: heure_debut ? `${heure_debut}:00` : r.heure_debut,
+        heure_fin: heure_fin ? `${heure_fin}:00` : r.heure_fin,
+        motif: motif !== undefined ? motif : r.motif,
+        statut: r.statut,
+        deplacee: false
+      }));
+
+      // Une occurrence changée de salle ou d'heures est soumise à la validation de sa salle, le cas
+      // échéant ; une occurrence déplacée doit tenir dans la nouvelle salle
+      const salles = new Map();
+      for (const [index, occurrence] of nouvelles.entries()) {
+        const actuelle = targets.reservations[index];
+        const salleModifiee = occurrence.salle_id !== actuelle.salle_id;
+        const creneauModifie = toMinutes(occurrence.heure_debut) !== toMinutes(actuelle.heure_debut) ||
+          toMinutes(occurrence.heure_fin) !== toMinutes(actuelle.heure_fin);
+        if (!salleModifiee && !creneauModifie) {
+          continue;
+        }
+
+        if (!salles.has(occurrence.salle_id)) {
+          salles.set(occurrence.salle_id, await getAvailableSalle(client, occurrence.salle_id));
+        }
+        const salle = salles.get(occurrence.salle_id);
 
-      if (salleResult.rows.length === 0) {
-        throw new Error('Salle non trouvée');
+        if (salleModifiee) {
+          assertCapacity(salle.capacite, await countAttendees(client, occurrence.id));
+        }
+        occurrence.statut = await getInitialStatut(client, salle, req.user);
+        occurrence.deplacee = true;
       }
 
-      if (salleResult.rows[0].statut !== 'disponible') {
-        throw new Error('Salle non disponible');
+      if (salle_id) {
+        salleNom = (salles.get(salle_id) || await getAvailableSalle(client, salle_id)).nom;
       }
 
-      // Récupérer les réservations en conflit
-      const conflictResult = await pool.query(`
-        SELECT 
-          r.*,
-          u.nom as utilisateur_nom,
-          u.telephone as utilisateur_telephone,
-          s.nom as salle_nom
-        FROM reservations r
-        JOIN utilisateurs u ON r.utilisateur_id = u.id
+      // Vérifier les heures et les conflits de chaque occurrence modifiée
+      const conflits = [];
+      for (const occurrence of nouvelles) {
+        if (toMinutes(occurrence.heure_fin) < toMinutes(occurrence.heure_debut) + 60) {
+          throw new Error('L\'heure de fin doit être au moins 1 heure après l\'heure de début');
+        }
+
+        await assertSalleOuverte(client, occurrence.salle_id, formatLocalDate(occurrence.date), occurrence.heure_debut, occurrence.heure_fin);
+
+        const hasConflict = await checkReservationConflict(
+          client,
+          occurrence.salle_id,
+          occurrence.date,
+          occurrence.heure_debut,
+          occurrence.heure_fin,
+          occurrence.id
+        );
+        if (hasConflict) {
+          conflits.push({
+            reservation_id: occurrence.id,
+            date: occurrence.date,
+            heure_debut: occurrence.heure_debut,
+            heure_fin: occurrence.heure_fin
+          });
+        }
+      }
+
+      if (conflits.length > 0) {
+        const conflictError = new Error('Créneau déjà réservé');
+        conflictError.conflits = conflits;
+        throw conflictError;
+      }
+
+      if (portee === 'suivantes' && targets.pivot) {
+        // Scinder la série : les occurrences suivantes forment une nouvelle série
+        const nouvelleSerie = await client.query(`
+          INSERT INTO series_reservations
+            (utilisateur_id, salle_id, frequence, intervalle, jours_semaine, date_debut, date_fin, heure_debut, heure_fin, motif)
+          SELECT
+            utilisateur_id,
+            COALESCE($2, salle_id),
+            frequence,
+            intervalle,
+            jours_semaine,
+            $3,
+            COALESCE(date_fin, (SELECT MAX(date) FROM reservations WHERE serie_id = $1)),
+            COALESCE($4, heure_debut),
+            COALESCE($5, heure_fin),
+            COALESCE($6, motif)
+          FROM series_reservations
+          WHERE id = $1
+          RETURNING id
+        `, [
+          serieId,
+          salle_id || null,
+          targets.pivot.date,
+          heure_debut ? `${heure_debut}:00` : null,
+          heure_fin ? `${heure_fin}:00` : null,
+          motif !== undefined ? motif : null
+        ]);
+
+        serieModifieeId = nouvelleSerie.rows[0].id;
+
+        await client.query(
+          'UPDATE reservations SET serie_id = $1 WHERE serie_id = $2 AND date >= $3',
+          [serieModifieeId, serieId, targets.pivot.date]
+        );
+        await client.query(`
+          UPDATE series_reservations
+          SET date_fin = $2::date - 1, nombre_occurrences = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [serieId, targets.pivot.date]);
+      } else if (portee === 'serie') {
+        await client.query(`
+          UPDATE series_reservations
+          SET salle_id = COALESCE($2, salle_id),
+              heure_debut = COALESCE($3, heure_debut),
+              heure_fin = COALESCE($4, heure_fin),
+              motif = COALESCE($5, motif),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [
+          serieId,
+          salle_id || null,
+          heure_debut ? `${heure_debut}:00` : null,
+          heure_fin ? `${heure_fin}:00` : null,
+          motif !== undefined ? motif : null
+        ]);
+      }
+
+      for (const occurrence of nouvelles) {
+        const result = await client.query(`
+          UPDATE reservations
+          SET salle_id = $1, heure_debut = $2, heure_fin = $3, motif = $4, statut = $5, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $6
+          RETURNING id, salle_id, date, heure_debut, heure_fin, motif, statut, serie_id
+        `, [occurrence.salle_id, occurrence.heure_debut, occurrence.heure_fin, occurrence.motif, occurrence.statut, occurrence.id]);
+        modifiees.push(result.rows[0]);
+      }
+
+      const premiereDate = new Date(modifiees[0].date).toLocaleDateString('fr-FR');
+      const derniereDate = new Date(modifiees[modifiees.length - 1].date).toLocaleDateString('fr-FR');
+      const periode = modifiees.length > 1
+        ? `${premiereDate} au ${derniereDate} (${modifiees.length} occurrences)`
+        : premiereDate;
+
+      // Prévenir les gestionnaires de chaque salle des occurrences à valider de nouveau
+      const aValider = nouvelles.filter(occurrence => occurrence.deplacee && occurrence.statut === 'en_attente');
+      for (const [salleAValider, salle] of salles) {
+        const demandes = aValider.filter(occurrence => occurrence.salle_id === salleAValider);
+        if (demandes.length === 0) {
+          continue;
+        }
+
+        const debut = new Date(demandes[0].date).toLocaleDateString('fr-FR');
+        const fin = new Date(demandes[demandes.length - 1].date).toLocaleDateString('fr-FR');
+        await notifyApprovers(client, {
+          reservationId: demandes[0].id,
+          salleId: salleAValider,
+          salleNom: salle.nom,
+          demandeur: serie.utilisateur_nom,
+          date: demandes.length > 1 ? `${debut} au ${fin} (${demandes.length} occurrences)` : debut,
+          heureDebut: demandes[0].heure_debut.slice(0, 5),
+          heureFin: demandes[0].heure_fin.slice(0, 5)
+        });
+      }
+
+      // Mettre en file un seul SMS de modification pour toutes les occurrences
+      smsResult = await sendModificationSMS(
+        getDestinataire(serie),
+        salleNom,
+        periode,
+        modifiees[0].heure_debut.slice(0, 5),
+        modifiees[0].heure_fin.slice(0, 5),
+        { db: client }
+      );
+
+      // Enregistrer la notification pour le propriétaire de la série
+      await recordNotification(
+        client,
+        serie.utilisateur_id,
+        modifiees[0].id,
+        `Réservations modifiées pour ${salleNom} le ${periode}`,
+        notificationType(smsResult)
+      );
+    });
+
+    res.json({
+      message: 'Série modifiée avec succès',
+      portee,
+      serie_id: serieModifieeId,
+      reservations: modifiees,
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de la modification de la série');
+  }
+});
+
+// Annuler une occurrence, les occurrences suivantes ou toute une série
+router.delete('/series/:serieId', authenticateToken, async (req, res) => {
+  try {
+    const serieId = parseInt(req.params.serieId);
+    const { error, value } = serieCancelSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const { portee, reservation_id } = value;
+    let serie;
+    let annulees;
+    let smsResult;
+
+    await withTransaction(async (client) => {
+      serie = await getSerie(client, serieId);
+      if (!serie) {
+        throw new Error('Série non trouvée');
+      }
+
+      // Vérifier les permissions (propriétaire ou admin)
+      if (req.user.role !== 'admin' && serie.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      const targets = await getSerieTargets(client, serieId, portee, reservation_id);
+      if (!targets) {
+        throw new Error('Occurrence non trouvée dans cette série');
+      }
+
+      annulees = targets.reservations;
+      if (annulees.length === 0) {
+        throw new Error('Aucune occurrence à venir à annuler');
+      }
+
+      await client.query(
+        'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
+        ['annulee', annulees.map(r => r.id)]
+      );
+
+      await offerFreedSlots(client, [...new Set(annulees.map(r => r.salle_id))]);
+
+      const premiereDate = new Date(annulees[0].date).toLocaleDateString('fr-FR');
+      const derniereDate = new Date(annulees[annulees.length - 1].date).toLocaleDateString('fr-FR');
+      const periode = annulees.length > 1
+        ? `${premiereDate} au ${derniereDate} (${annulees.length} occurrences)`
+        : premiereDate;
+
+      // Mettre en file un seul SMS d'annulation pour toutes les occurrences
+      smsResult = await sendCancellationSMS(
+        getDestinataire(serie),
+        serie.salle_nom,
+        periode,
+        annulees[0].heure_debut,
+        annulees[0].heure_fin,
+        { db: client }
+      );
+
+      // Enregistrer la notification
+      await recordNotification(
+        client,
+        serie.utilisateur_id,
+        annulees[0].id,
+        `Réservations annulées pour ${serie.salle_nom} le ${periode}`,
+        notificationType(smsResult)
+      );
+    });
+
+    res.json({
+      message: 'Réservations annulées avec succès',
+      portee,
+      reservations_annulees: annulees.length,
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de l\'annulation de la série');
+  }
+});
+
+// Modifier une réservation (salle, date, heures ou motif)
+async function updateReservation(req, res) {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const { error, value } = reservationUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    let reservation;
+    let salleNom;
+    let smsResult;
+
+    const modifiee = await withTransaction(async (client) => {
+      // Récupérer les détails de la réservation
+      const result = await client.query(`
+        SELECT 
+          r.*,
+          u.nom as utilisateur_nom,
+          u.telephone as utilisateur_telephone,
+          s.nom as salle_nom
+        FROM reservations r
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE r.id = $1
+        FOR UPDATE OF r
+      `, [reservationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Réservation non trouvée');
+      }
+
+      reservation = result.rows[0];
+
+      // Vérifier les permissions (propriétaire ou admin)
+      if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      // Vérifier que la réservation peut être modifiée (une demande en attente aussi)
+      if (!['active', 'en_attente'].includes(reservation.statut)) {
+        throw new Error('Cette réservation ne peut pas être modifiée');
+      }
+
+      const salle_id = value.salle_id || reservation.salle_id;
+      const date = value.date || reservation.date;
+      const heure_debut = value.heure_debut ? `${value.heure_debut}:00` : reservation.heure_debut;
+      const heure_fin = value.heure_fin ? `${value.heure_fin}:00` : reservation.heure_fin;
+      const motif = value.motif !== undefined ? value.motif : reservation.motif;
+
+      assertReservableSlot(date, heure_debut, heure_fin);
+
+      salleNom = reservation.salle_nom;
+
+      const dateISO = value.date ? toISODate(value.date) : formatLocalDate(reservation.date);
+      const salleModifiee = salle_id !== reservation.salle_id;
+      const creneauModifie = dateISO !== formatLocalDate(reservation.date) ||
+        toMinutes(heure_debut) !== toMinutes(reservation.heure_debut) ||
+        toMinutes(heure_fin) !== toMinutes(reservation.heure_fin);
+
+      // Changer de salle ou de créneau soumet à la validation de la salle, le cas échéant ;
+      // la nouvelle salle doit aussi pouvoir accueillir les participants
+      let statut = reservation.statut;
+      if (salleModifiee || creneauModifie) {
+        const salle = await getAvailableSalle(client, salle_id);
+        if (salleModifiee) {
+          assertCapacity(salle.capacite, await countAttendees(client, reservationId));
+          salleNom = salle.nom;
+        }
+        statut = await getInitialStatut(client, salle, req.user);
+      }
+
+      // Vérifier les horaires d'ouverture et les fermetures de la salle
+      await assertSalleOuverte(client, salle_id, dateISO, heure_debut, heure_fin);
+
+      // Vérifier les conflits en excluant la réservation elle-même
+      const hasConflict = await checkReservationConflict(client, salle_id, date, heure_debut, heure_fin, reservationId);
+      if (hasConflict) {
+        throw new Error('Créneau déjà réservé');
+      }
+
+      if (await hasPendingOffer(client, salle_id, date, heure_debut, heure_fin, reservation.utilisateur_id)) {
+        throw new Error('Créneau proposé à une personne de la liste d\'attente');
+      }
+
+      const updateResult = await client.query(`
+        UPDATE reservations
+        SET salle_id = $1, date = $2, heure_debut = $3, heure_fin = $4, motif = $5, statut = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7
+        RETURNING id, salle_id, date, heure_debut, heure_fin, motif, statut, serie_id, updated_at
+      `, [salle_id, date, heure_debut, heure_fin, motif, statut, reservationId]);
+      const modifiee = updateResult.rows[0];
+
+      // L'ancien créneau peut intéresser la liste d'attente
+      await offerFreedSlots(client, [reservation.salle_id]);
+
+      const dateAffichee = new Date(modifiee.date).toLocaleDateString('fr-FR');
+      const heureDebut = modifiee.heure_debut.slice(0, 5);
+      const heureFin = modifiee.heure_fin.slice(0, 5);
+
+      if (statut === 'en_attente' && (salleModifiee || creneauModifie)) {
+        await notifyApprovers(client, {
+          reservationId,
+          salleId: salle_id,
+          salleNom,
+          demandeur: reservation.utilisateur_nom,
+          date: dateAffichee,
+          heureDebut,
+          heureFin
+        });
+      }
+
+      // Mettre en file un seul SMS de modification au propriétaire
+      smsResult = await sendModificationSMS(
+        getDestinataire(reservation),
+        salleNom,
+        dateAffichee,
+        heureDebut,
+        heureFin,
+        { db: client }
+      );
+
+      // Enregistrer la notification
+      await recordNotification(
+        client,
+        reservation.utilisateur_id,
+        reservation.id,
+        `Réservation modifiée : ${salleNom} le ${dateAffichee} de ${heureDebut} à ${heureFin}`,
+        notificationType(smsResult)
+      );
+
+      return modifiee;
+    });
+
+    res.json({
+      message: 'Réservation modifiée avec succès',
+      reservation: {
+        ...modifiee,
+        salle_nom: salleNom,
+        utilisateur_nom: reservation.utilisateur_nom
+      },
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de la modification de la réservation');
+  }
+}
+
+router.put('/:id', authenticateToken, updateReservation);
+router.patch('/:id', authenticateToken, updateReservation);
+
+// Annuler une réservation
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+
+    const smsResult = await withTransaction(async (client) => {
+      // Récupérer les détails de la réservation
+      const result = await client.query(`
+        SELECT 
+          r.*,
+          u.nom as utilisateur_nom,
+          u.telephone as utilisateur_telephone,
+          s.nom as salle_nom
+        FROM reservations r
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE r.id = $1
+        FOR UPDATE OF r
+      `, [reservationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Réservation non trouvée');
+      }
+
+      const reservation = result.rows[0];
+
+      // Vérifier les permissions (propriétaire ou admin)
+      if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      // Vérifier que la réservation peut être annulée (une demande en attente peut être retirée)
+      if (!['active', 'en_attente'].includes(reservation.statut)) {
+        throw new Error('Cette réservation ne peut pas être annulée');
+      }
+
+      // Annuler la réservation
+      await client.query(
+        'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['annulee', reservationId]
+      );
+
+      // Proposer le créneau libéré à la première personne de la liste d'attente
+      await offerFreedSlots(client, [reservation.salle_id]);
+
+      // Mettre en file le SMS d'annulation
+      const smsResult = await sendCancellationSMS(
+        getDestinataire(reservation),
+        reservation.salle_nom,
+        new Date(reservation.date).toLocaleDateString('fr-FR'),
+        reservation.heure_debut,
+        reservation.heure_fin,
+        { db: client }
+      );
+
+      // Enregistrer la notification
+      await recordNotification(
+        client,
+        reservation.utilisateur_id,
+        reservation.id,
+        `Réservation annulée pour ${reservation.salle_nom} le ${new Date(reservation.date).toLocaleDateString('fr-FR')} de ${reservation.heure_debut} à ${reservation.heure_fin}`,
+        notificationType(smsResult)
+      );
+
+      return smsResult;
+    });
+
+    res.json({
+      message: 'Réservation annulée avec succès',
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de l\'annulation de la réservation');
+  }
+});
+
+// Comparer les noms de salle et les lieux sans tenir compte de la casse ni des espaces
+function normaliserLieu(lieu) {
+  return (lieu || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Importer des réservations depuis un fichier iCalendar (admin seulement).
+// Corps JSON { ics, correspondances, simulation } ou fichier brut en text/calendar (?simulation=true).
+router.post('/import', authenticateToken, requireAdmin, express.text({ type: 'text/calendar', limit: '10mb' }), async (req, res) => {
+  try {
+    const donnees = typeof req.body === 'string'
+      ? { ics: req.body, simulation: req.query.simulation }
+      : req.body;
+
+    const { error, value } = importSchema.validate(donnees);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const evenements = parseICS(value.ics);
+    if (evenements.length === 0) {
+      return res.status(400).json({ error: 'Aucun événement trouvé dans le fichier' });
+    }
+
+    if (evenements.length > MAX_IMPORT_EVENEMENTS) {
+      return res.status(400).json({ error: `Un import ne peut pas dépasser ${MAX_IMPORT_EVENEMENTS} événements` });
+    }
+
+    const rapport = [];
+
+    await withTransaction(async (client) => {
+      // En simulation, tout est annulé à la fin : les vérifications sont identiques à un import réel
+      await client.query('SAVEPOINT simulation');
+
+      const sallesResult = await client.query(`
+        SELECT s.id, s.nom, si.fuseau_horaire
+        FROM salles s
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+      `);
+      const sallesParLieu = new Map(sallesResult.rows.map(salle => [normaliserLieu(salle.nom), salle.id]));
+      const fuseauxParSalle = new Map(sallesResult.rows.map(salle => [salle.id, salle.fuseau_horaire]));
+      for (const [lieu, salleId] of Object.entries(value.correspondances)) {
+        sallesParLieu.set(normaliserLieu(lieu), salleId);
+      }
+
+      // Les événements dont l'organisateur a un compte lui sont attribués, les autres à l'admin
+      const emails = evenements.filter(e => e.organisateur).map(e => e.organisateur.toLowerCase());
+      const usersResult = await client.query(
+        'SELECT id, LOWER(email) as email FROM utilisateurs WHERE LOWER(email) = ANY($1)',
+        [emails]
+      );
+      const utilisateursParEmail = new Map(usersResult.rows.map(u => [u.email, u.id]));
+
+      for (const [index, evenement] of evenements.entries()) {
+        const ligne = {
+          index: index + 1,
+          uid: evenement.uid || null,
+          resume: evenement.resume || null,
+          lieu: evenement.lieu || null
+        };
+        rapport.push(ligne);
+
+        const ignorer = (raison) => Object.assign(ligne, { resultat: 'ignore', raison });
+
+        if (evenement.statut === 'CANCELLED') {
+          ignorer('Événement annulé');
+          continue;
+        }
+
+        if (evenement.rrule) {
+          ignorer('Événement récurrent non pris en charge');
+          continue;
+        }
+
+        const salleId = sallesParLieu.get(normaliserLieu(evenement.lieu));
+        if (!salleId) {
+          ignorer('Aucune salle ne correspond au lieu de l\'événement');
+          continue;
+        }
+
+        // Les heures sont converties dans le fuseau du site de la salle
+        let creneau;
+        try {
+          creneau = getEventSlot(evenement, fuseauxParSalle.get(salleId) || undefined);
+        } catch (slotError) {
+          ignorer(slotError.message);
+          continue;
+        }
+
+        const { error: validationError, value: reservation } = reservationSchema.validate({
+          salle_id: salleId,
+          ...creneau,
+          motif: evenement.resume ? evenement.resume.slice(0, 500) : undefined
+        });
+        if (validationError) {
+          ignorer(validationError.details[0].message);
+          continue;
+        }
+
+        Object.assign(ligne, creneau, { salle_id: salleId });
+        const utilisateurId = utilisateursParEmail.get((evenement.organisateur || '').toLowerCase()) || req.user.id;
+
+        // Un point de sauvegarde par événement : un échec n'annule que cet événement
+        await client.query('SAVEPOINT evenement');
+        try {
+          assertReservableSlot(reservation.date, reservation.heure_debut, reservation.heure_fin);
+          await getAvailableSalle(client, salleId);
+          await assertSalleOuverte(client, salleId, creneau.date, reservation.heure_debut, reservation.heure_fin);
+
+          const hasConflict = await checkReservationConflict(
+            client,
+            salleId,
+            creneau.date,
+            reservation.heure_debut,
+            reservation.heure_fin
+          );
+          if (hasConflict) {
+            throw new Error('Créneau déjà réservé');
+          }
+
+          const result = await client.query(`
+            INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id
+          `, [utilisateurId, salleId, creneau.date, `${reservation.heure_debut}:00`, `${reservation.heure_fin}:00`, reservation.motif]);
+          await client.query('RELEASE SAVEPOINT evenement');
+
+          Object.assign(ligne, {
+            resultat: 'cree',
+            reservation_id: value.simulation ? undefined : result.rows[0].id,
+            utilisateur_id: utilisateurId
+          });
+        } catch (eventError) {
+          await client.query('ROLLBACK TO SAVEPOINT evenement');
+
+          if (isReservationOverlapError(eventError) || eventError.message === 'Créneau déjà réservé') {
+            Object.assign(ligne, { resultat: 'conflit', raison: 'Créneau déjà réservé' });
+          } else if (ERROR_STATUS[eventError.message]) {
+            ignorer(eventError.message);
+          } else {
+            throw eventError;
+          }
+        }
+      }
+
+      if (value.simulation) {
+        await client.query('ROLLBACK TO SAVEPOINT simulation');
+      }
+    });
+
+    const compter = resultat => rapport.filter(ligne => ligne.resultat === resultat).length;
+
+    res.json({
+      message: value.simulation ? 'Simulation de l\'import terminée (aucune réservation créée)' : 'Import terminé',
+      simulation: value.simulation,
+      resume: {
+        total: rapport.length,
+        crees: compter('cree'),
+        ignores: compter('ignore'),
+        conflits: compter('conflit')
+      },
+      evenements: rapport
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de l\'import iCalendar');
+  }
+});
+
+// Exporter une réservation au format iCalendar (organisateur, participant ou admin)
+router.get('/:id/ics', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT 
+        r.*,
+        u.nom as utilisateur_nom,
+        s.nom as salle_nom,
+        si.fuseau_horaire,
+        EXISTS (
+          SELECT 1 FROM participants_reservation p
+          WHERE p.reservation_id = r.id AND p.utilisateur_id = $2
+        ) as est_participant
+      FROM reservations r
+      JOIN utilisateurs u ON r.utilisateur_id = u.id
+      JOIN salles s ON r.salle_id = s.id
+      LEFT JOIN batiments b ON s.batiment_id = b.id
+      LEFT JOIN sites si ON b.site_id = si.id
+      WHERE r.id = $1
+    `, [reservationId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const reservation = result.rows[0];
+
+    if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id && !reservation.est_participant) {
+      return res.status(403).json({ error: 'Accès non autorisé' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="reservation-${reservation.id}.ics"`);
+    res.send(buildCalendar(`Réservation ${reservation.salle_nom}`, [reservation]));
+  } catch (error) {
+    console.error('Erreur lors de l\'export de la réservation:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les participants d'une réservation (organisateur, participant ou admin)
+router.get('/:id/participants', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const reservationResult = await pool.query(`
+      SELECT r.utilisateur_id, s.capacite as salle_capacite
+      FROM reservations r
+      JOIN salles s ON r.salle_id = s.id
+      WHERE r.id = $1
+    `, [reservationId]);
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    const reservation = reservationResult.rows[0];
+
+    const result = await pool.query(`
+      SELECT 
+        p.id,
+        p.utilisateur_id,
+        COALESCE(u.nom, p.nom) as nom,
+        COALESCE(u.email, p.email) as email,
+        p.statut,
+        p.repondu_at,
+        p.created_at
+      FROM participants_reservation p
+      LEFT JOIN utilisateurs u ON p.utilisateur_id = u.id
+      WHERE p.reservation_id = $1
+      ORDER BY p.created_at, p.id
+    `, [reservationId]);
+
+    // Vérifier les permissions (organisateur, participant ou admin)
+    const estParticipant = result.rows.some(p => p.utilisateur_id === req.user.id);
+    if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id && !estParticipant) {
+      return res.status(403).json({ error: 'Accès non autorisé' });
+    }
+
+    res.json({
+      participants: result.rows,
+      personnes_attendues: 1 + result.rows.filter(p => p.statut !== 'refuse').length,
+      capacite: reservation.salle_capacite
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des participants:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Inviter des participants à une réservation (organisateur ou admin)
+router.post('/:id/participants', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const { error, value } = Joi.object({ participants: participantsSchema.required() }).validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const participants = await withTransaction(async (client) => {
+      // Verrouiller la réservation : les invitations concurrentes ne peuvent pas dépasser la capacité
+      const result = await client.query(`
+        SELECT 
+          r.*,
+          u.nom as utilisateur_nom,
+          s.nom as salle_nom,
+          s.capacite as salle_capacite
+        FROM reservations r
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE r.id = $1
+        FOR UPDATE OF r
+      `, [reservationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Réservation non trouvée');
+      }
+
+      const reservation = result.rows[0];
+
+      if (req.user.role !== 'admin' && reservation.utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      if (!['active', 'en_attente'].includes(reservation.statut)) {
+        throw new Error('Cette réservation n\'accepte plus de participants');
+      }
+
+      const invites = await resolveParticipants(client, value.participants, reservation.utilisateur_id);
+      const ajoutes = await addParticipants(client, reservation, invites, {
+        organisateur: { nom: reservation.utilisateur_nom },
+        salleNom: reservation.salle_nom
+      });
+
+      assertCapacity(reservation.salle_capacite, await countAttendees(client, reservationId));
+
+      return ajoutes;
+    });
+
+    res.status(201).json({
+      message: 'Participants invités avec succès',
+      participants
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de l\'invitation des participants');
+  }
+});
+
+// Retirer un participant d'une réservation (organisateur ou admin)
+router.delete('/:id/participants/:participantId', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const participantId = parseInt(req.params.participantId);
+    const pool = getPool();
+
+    const reservationResult = await pool.query('SELECT utilisateur_id FROM reservations WHERE id = $1', [reservationId]);
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Réservation non trouvée' });
+    }
+
+    if (req.user.role !== 'admin' && reservationResult.rows[0].utilisateur_id !== req.user.id) {
+      return res.status(403).json({ error: 'Accès non autorisé' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM participants_reservation WHERE id = $1 AND reservation_id = $2',
+      [participantId, reservationId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Participant non trouvé' });
+    }
+
+    res.json({
+      message: 'Participant retiré avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors du retrait du participant:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Accepter ou refuser une invitation reçue
+router.put('/:id/invitation', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const { error, value } = invitationReponseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const participant = await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT 
+          p.*,
+          r.utilisateur_id as organisateur_id,
+          r.statut as reservation_statut,
+          s.nom as salle_nom,
+          s.capacite as salle_capacite
+        FROM participants_reservation p
+        JOIN reservations r ON p.reservation_id = r.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE p.reservation_id = $1 AND p.utilisateur_id = $2
+        FOR UPDATE OF r, p
+      `, [reservationId, req.user.id]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Invitation non trouvée');
+      }
+
+      const invitation = result.rows[0];
+
+      if (!['active', 'en_attente'].includes(invitation.reservation_statut)) {
+        throw new Error('Cette réservation n\'accepte plus de participants');
+      }
+
+      const participant = await respondToInvitation(client, invitation, value.reponse);
+
+      // Prévenir l'organisateur dans l'application
+      await recordNotification(
+        client,
+        invitation.organisateur_id,
+        reservationId,
+        `${req.user.nom} a ${value.reponse === 'accepte' ? 'accepté' : 'refusé'} votre invitation en salle ${invitation.salle_nom}`,
+        'invitation_reponse'
+      );
+
+      return participant;
+    });
+
+    res.json({
+      message: value.reponse === 'accepte' ? 'Invitation acceptée' : 'Invitation refusée',
+      participant
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de la réponse à l\'invitation');
+  }
+});
+
+// Réservation prioritaire (admin seulement)
+router.post('/prioritaire', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reservationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const { salle_id, date, heure_debut, heure_fin, motif } = value;
+
+    const { reservation, salle, annulees, deplacees, smsStatus } = await withTransaction(async (client) => {
+      assertReservableSlot(date, heure_debut, heure_fin);
+      const salle = await getAvailableSalle(client, salle_id);
+      await assertSalleOuverte(client, salle_id, toISODate(date), heure_debut, heure_fin);
+
+      // Récupérer et verrouiller les réservations en conflit
+      const conflictResult = await client.query(`
+        SELECT 
+          r.*,
+          u.nom as utilisateur_nom,
+          u.telephone as utilisateur_telephone,
+          s.nom as salle_nom
+        FROM reservations r
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
         JOIN salles s ON r.salle_id = s.id
         WHERE r.salle_id = $1 
           AND r.date = $2 
-          AND r.statut = 'active'
+          AND r.statut IN ('active', 'en_attente')
           AND (
             (r.heure_debut < $4 AND r.heure_fin > $3) OR
             (r.heure_debut < $4 AND r.heure_fin > $4) OR
             (r.heure_debut >= $3 AND r.heure_debut < $4)
           )
+        FOR UPDATE OF r
       `, [salle_id, date, heure_debut, heure_fin]);
 
       let smsStatus = true;
-      let notificationStatus = true;
-
-      // Annuler les réservations en conflit
-      if (conflictResult.rows.length > 0) {
-        const conflictIds = conflictResult.rows.map(r => r.id);
-        await pool.query(
-          'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
-          ['annulee', conflictIds]
-        );
+      const annulees = [];
+      const deplacees = [];
 
-        // Envoyer SMS aux utilisateurs concernés
-        for (const conflict of conflictResult.rows) {
-          try {
-            const smsResult = await sendPriorityReservationSMS(
-              conflict.utilisateur_telephone,
-              conflict.utilisateur_nom,
-              conflict.salle_nom,
-              new Date(conflict.date).toLocaleDateString('fr-FR'),
-              conflict.heure_debut,
-              conflict.heure_fin
-            );
-            if (!smsResult.success) {
-              smsStatus = false;
-            }
-
-            // Enregistrer la notification
-            try {
-              await pool.query(`
-                INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
-                VALUES ($1, $2, $3, $4, $5)
-              `, [
-                conflict.utilisateur_id,
-                conflict.id,
-                `Réservation annulée pour ${conflict.salle_nom} le ${new Date(conflict.date).toLocaleDateString('fr-FR')} de ${conflict.heure_debut} à ${conflict.heure_fin} (réservation prioritaire)`,
-                smsResult.success ? 'sms_envoye' : 'sms_echec',
-                false
-              ]);
-            } catch (notificationError) {
-              console.error('Erreur enregistrement notification:', notificationError);
-              notificationStatus = false;
-            }
-          } catch (smsError) {
-            console.error('Erreur envoi SMS:', smsError);
-            smsStatus = false;
-          }
+      // Déplacer chaque réservation en conflit vers une salle équivalente, ou l'annuler à défaut
+      for (const conflict of conflictResult.rows) {
+        const dateConflit = new Date(conflict.date).toLocaleDateString('fr-FR');
+        const nouvelleSalle = await relocateReservation(client, conflict);
+        let smsResult;
+
+        if (nouvelleSalle) {
+          smsResult = await sendRelocationSMS(
+            getDestinataire(conflict),
+            conflict.salle_nom,
+            nouvelleSalle.nom,
+            dateConflit,
+            conflict.heure_debut,
+            conflict.heure_fin,
+            'réservation prioritaire',
+            { db: client }
+          );
+          deplacees.push({ reservation_id: conflict.id, nouvelle_salle: { id: nouvelleSalle.id, nom: nouvelleSalle.nom } });
+        } else {
+          await client.query(
+            'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            ['annulee', conflict.id]
+          );
+          smsResult = await sendPriorityReservationSMS(
+            getDestinataire(conflict),
+            conflict.salle_nom,
+            dateConflit,
+            conflict.heure_debut,
+            conflict.heure_fin,
+            { db: client }
+          );
+          annulees.push(conflict.id);
+        }
+
+        if (!smsResult.success) {
+          smsStatus = false;
         }
+
+        // Enregistrer la notification
+        await recordNotification(
+          client,
+          conflict.utilisateur_id,
+          conflict.id,
+          nouvelleSalle
+            ? `Réservation déplacée de ${conflict.salle_nom} vers ${nouvelleSalle.nom} le ${dateConflit} de ${conflict.heure_debut} à ${conflict.heure_fin} (réservation prioritaire)`
+            : `Réservation annulée pour ${conflict.salle_nom} le ${dateConflit} de ${conflict.heure_debut} à ${conflict.heure_fin} (réservation prioritaire)`,
+          notificationType(smsResult)
+        );
       }
 
       // Formater les heures pour PostgreSQL
@@ -453,92 +1832,310 @@ router.post('/prioritaire', authenticateToken, requireAdmin, async (req, res) =>
       const formattedHeureFin = `${heure_fin}:00`;
 
       // Créer la réservation prioritaire
-      const result = await pool.query(`
+      const result = await client.query(`
         INSERT INTO reservations (utilisateur_id, salle_id, date, heure_debut, heure_fin, motif)
         VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING id, date, heure_debut, heure_fin, motif, created_at
       `, [req.user.id, salle_id, date, formattedHeureDebut, formattedHeureFin, motif]);
+      const reservation = result.rows[0];
+
+      // Mettre en file le SMS de confirmation à l'admin
+      const smsResult = await sendSingleReservationSMS(
+        req.user,
+        salle.nom,
+        new Date(date).toLocaleDateString('fr-FR'),
+        heure_debut,
+        heure_fin,
+        { db: client }
+      );
+      if (!smsResult.success) {
+        smsStatus = false;
+      }
+
+      // Enregistrer la notification
+      await recordNotification(
+        client,
+        req.user.id,
+        reservation.id,
+        `Réservation prioritaire confirmée pour ${salle.nom} le ${new Date(date).toLocaleDateString('fr-FR')} de ${heure_debut} à ${heure_fin}`,
+        notificationType(smsResult)
+      );
+
+      return { reservation, salle, annulees, deplacees, smsStatus };
+    });
+
+    res.status(201).json({
+      message: 'Réservation prioritaire créée avec succès',
+      reservation: {
+        ...reservation,
+        salle_nom: salle.nom,
+        utilisateur_nom: req.user.nom
+      },
+      reservations_annulees: annulees.length,
+      reservations_deplacees: deplacees,
+      smsStatus,
+      notificationStatus: true
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'de la réservation prioritaire');
+  }
+});
+
+// Schémas de validation pour la décision sur une demande : raison facultative pour une approbation,
+// obligatoire pour un rejet
+const approbationSchema = Joi.object({
+  raison: Joi.string().max(500).optional()
+});
+
+const rejetSchema = Joi.object({
+  raison: Joi.string().min(3).max(500).required()
+});
+
+// Obtenir les demandes en attente de validation que l'utilisateur peut traiter (admin ou gestionnaire)
+router.get('/validations', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+
+    const result = await pool.query(`
+      SELECT 
+        r.id,
+        r.serie_id,
+        r.date,
+        r.heure_debut,
+        r.heure_fin,
+        r.motif,
+        r.statut,
+        r.salle_id,
+        s.nom as salle_nom,
+        r.utilisateur_id,
+        u.nom as utilisateur_nom,
+        u.email as utilisateur_email,
+        r.created_at
+      FROM reservations r
+      JOIN salles s ON r.salle_id = s.id
+      JOIN utilisateurs u ON r.utilisateur_id = u.id
+      WHERE r.statut = 'en_attente'
+        AND r.date >= CURRENT_DATE
+        AND ($1 OR r.salle_id IN (SELECT salle_id FROM gestionnaires_salles WHERE utilisateur_id = $2))
+      ORDER BY r.date, r.heure_debut
+    `, [req.user.role === 'admin', req.user.id]);
+
+    res.json({
+      demandes: result.rows
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des demandes à valider:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Approuver ou rejeter une demande ; pour une série, toutes ses occurrences en attente
+async function decideReservation(req, res, approuvee) {
+  try {
+    const reservationId = parseInt(req.params.id);
+    const { error, value } = (approuvee ? approbationSchema : rejetSchema).validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const { decidees, smsResult } = await withTransaction(async (client) => {
+      const result = await client.query(`
+        SELECT 
+          r.*,
+          u.nom as utilisateur_nom,
+          u.telephone as utilisateur_telephone,
+          s.nom as salle_nom
+        FROM reservations r
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+        JOIN salles s ON r.salle_id = s.id
+        WHERE r.id = $1
+        FOR UPDATE OF r
+      `, [reservationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Réservation non trouvée');
+      }
 
       const reservation = result.rows[0];
 
-      // Envoyer SMS de confirmation à l'admin
-      try {
-        const smsResult = await sendSingleReservationSMS(
-          req.user.telephone,
-          req.user.nom,
-          salleResult.rows[0].nom,
-          new Date(date).toLocaleDateString('fr-FR'),
-          heure_debut,
-          heure_fin
-        );
-        if (!smsResult.success) {
-          smsStatus = false;
+      if (!(await canApprove(client, req.user, reservation.salle_id))) {
+        throw new Error('Accès non autorisé');
+      }
+
+      if (reservation.statut !== 'en_attente' && !reservation.serie_id) {
+        throw new Error('Cette réservation n\'est pas en attente de validation');
+      }
+
+      // Pour une série, la décision porte sur ses occurrences en attente à venir, même si l'occurrence
+      // choisie est déjà passée
+      let cibles = [reservation];
+      if (reservation.serie_id) {
+        const ciblesResult = await client.query(`
+          SELECT id, date, heure_debut, heure_fin
+          FROM reservations
+          WHERE serie_id = $1 AND statut = 'en_attente' AND date >= CURRENT_DATE
+          ORDER BY date, heure_debut
+          FOR UPDATE
+        `, [reservation.serie_id]);
+        cibles = ciblesResult.rows;
+      }
+
+      if (cibles.length === 0) {
+        throw new Error('Cette réservation n\'est pas en attente de validation');
+      }
+
+      if (approuvee) {
+        for (const cible of cibles) {
+          assertReservableSlot(cible.date, cible.heure_debut, cible.heure_fin);
         }
+      }
 
-        // Enregistrer la notification
-        try {
-          await pool.query(`
-            INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
-            VALUES ($1, $2, $3, $4, $5)
-          `, [
-            req.user.id,
-            reservation.id,
-            `Réservation prioritaire confirmée pour ${salleResult.rows[0].nom} le ${new Date(date).toLocaleDateString('fr-FR')} de ${heure_debut} à ${heure_fin}`,
-            smsResult.success ? 'sms_envoye' : 'sms_echec',
-            false
-          ]);
-        } catch (notificationError) {
-          console.error('Erreur enregistrement notification:', notificationError);
-          notificationStatus = false;
+      const decisionResult = await client.query(`
+        UPDATE reservations
+        SET statut = $1, decision_par = $2, decision_le = CURRENT_TIMESTAMP, motif_decision = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE statut = 'en_attente' AND id = ANY($4::int[])
+        RETURNING id, salle_id, serie_id, date, heure_debut, heure_fin, motif, statut, motif_decision
+      `, [approuvee ? 'active' : 'rejetee', req.user.id, value.raison || null, cibles.map(cible => cible.id)]);
+      const decidees = decisionResult.rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+      const premiere = cibles[0];
+
+      const premiereDate = new Date(decidees[0].date).toLocaleDateString('fr-FR');
+      const derniereDate = new Date(decidees[decidees.length - 1].date).toLocaleDateString('fr-FR');
+      const periode = decidees.length > 1
+        ? `${premiereDate} au ${derniereDate} (${decidees.length} occurrences)`
+        : premiereDate;
+      const heureDebut = premiere.heure_debut.slice(0, 5);
+      const heureFin = premiere.heure_fin.slice(0, 5);
+
+      if (approuvee) {
+        // Annoncer la réservation selon la règle de la salle ; le demandeur reçoit la décision
+        const audience = (await getAnnouncementAudience(client, reservation.salle_id, reservation.utilisateur_id, premiere.id))
+          .filter(destinataire => destinataire.id !== reservation.utilisateur_id);
+        if (audience.length > 0) {
+          await sendReservationSMS(audience, reservation.salle_nom, periode, heureDebut, heureFin, { db: client });
         }
-      } catch (smsError) {
-        console.error('Erreur envoi SMS:', smsError);
-        smsStatus = false;
+      } else {
+        // Le créneau libéré peut intéresser la liste d'attente
+        await offerFreedSlots(client, [reservation.salle_id]);
       }
 
-      await pool.query('COMMIT');
+      const smsResult = await sendApprovalDecisionSMS(
+        getDestinataire(reservation),
+        reservation.salle_nom,
+        periode,
+        heureDebut,
+        heureFin,
+        approuvee,
+        value.raison || null,
+        { db: client }
+      );
+
+      await recordNotification(
+        client,
+        reservation.utilisateur_id,
+        premiere.id,
+        `Réservation ${approuvee ? 'approuvée' : 'rejetée'} pour ${reservation.salle_nom} le ${periode} de ${heureDebut} à ${heureFin}` +
+          (value.raison ? ` : ${value.raison}` : ''),
+        notificationType(smsResult)
+      );
+
+      return { decidees, smsResult };
+    });
 
-      res.status(201).json({
-        message: 'Réservation prioritaire créée avec succès',
-        reservation: {
-          ...reservation,
-          salle_nom: salleResult.rows[0].nom,
-          utilisateur_nom: req.user.nom
-        },
-        reservations_annulees: conflictResult.rows.length,
-        smsStatus,
-        notificationStatus
-      });
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      res.status(
-        error.message === 'Salle non trouvée' ? 404 :
-        error.message === 'Créneau déjà réservé' ? 409 :
-        error.message === 'Salle non disponible' ? 400 :
-        error.message === 'Impossible de réserver dans le passé' ? 400 :
-        error.message === 'L\'heure de fin doit être au moins 1 heure après l\'heure de début' ? 400 : 500
-      ).json({ error: error.message || 'Erreur interne du serveur' });
-    }
+    res.json({
+      message: approuvee ? 'Réservation approuvée' : 'Réservation rejetée',
+      reservations: decidees,
+      smsStatus: smsResult.success,
+      notificationStatus: true
+    });
   } catch (error) {
-    console.error('Erreur lors de la réservation prioritaire:', error);
-    res.status(500).json({ error: 'Erreur interne du serveur' });
+    sendReservationError(res, error, `de ${approuvee ? 'l\'approbation' : 'du rejet'} de la réservation`);
+  }
+}
+
+router.post('/:id/approuver', authenticateToken, (req, res) => decideReservation(req, res, true));
+router.post('/:id/rejeter', authenticateToken, (req, res) => decideReservation(req, res, false));
+
+// Signaler le début de la réunion (check-in) : sans check-in, la salle est libérée après le délai de grâce
+router.post('/:id/check-in', authenticateToken, async (req, res) => {
+  try {
+    const reservationId = parseInt(req.params.id);
+
+    const reservation = await withTransaction(async (client) => {
+      const result = await client.query('SELECT utilisateur_id FROM reservations WHERE id = $1', [reservationId]);
+
+      if (result.rows.length === 0) {
+        throw new Error('Réservation non trouvée');
+      }
+
+      // Vérifier les permissions (propriétaire ou admin)
+      if (req.user.role !== 'admin' && result.rows[0].utilisateur_id !== req.user.id) {
+        throw new Error('Accès non autorisé');
+      }
+
+      return checkInReservation(client, reservationId, req.user.id);
+    });
+
+    res.json({
+      message: 'Check-in enregistré',
+      reservation
+    });
+  } catch (error) {
+    sendReservationError(res, error, 'du check-in de la réservation');
   }
 });
 
+// Filtres des statistiques par emplacement
+const statsSchema = Joi.object({
+  site_id: Joi.number().integer().positive().optional(),
+  batiment_id: Joi.number().integer().positive().optional()
+});
+
 // Obtenir les statistiques des réservations (admin)
 router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
   try {
+    const { error, value } = statsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Paramètres invalides',
+        details: error.details[0].message
+      });
+    }
+
     const pool = getPool();
-    
+
+    // Restreindre aux salles d'un site ou d'un bâtiment
+    const sallesConditions = [];
+    const params = [];
+    if (value.site_id) {
+      params.push(value.site_id);
+      sallesConditions.push(`s.batiment_id IN (SELECT id FROM batiments WHERE site_id = $${params.length})`);
+    }
+    if (value.batiment_id) {
+      params.push(value.batiment_id);
+      sallesConditions.push(`s.batiment_id = $${params.length}`);
+    }
+    const sallesWhere = sallesConditions.length > 0 ? `WHERE ${sallesConditions.join(' AND ')}` : '';
+    const reservationsWhere = sallesConditions.length > 0
+      ? `WHERE salle_id IN (SELECT s.id FROM salles s ${sallesWhere})`
+      : '';
+
     const stats = await pool.query(`
       SELECT 
         COUNT(*) as total_reservations,
         COUNT(*) FILTER (WHERE statut = 'active') as reservations_actives,
         COUNT(*) FILTER (WHERE statut = 'annulee') as reservations_annulees,
+        COUNT(*) FILTER (WHERE statut = 'terminee') as reservations_terminees,
+        COUNT(*) FILTER (WHERE statut = 'en_attente') as reservations_en_attente,
+        COUNT(*) FILTER (WHERE statut = 'no_show') as reservations_no_show,
         COUNT(*) FILTER (WHERE date >= CURRENT_DATE) as reservations_futures,
         COUNT(*) FILTER (WHERE date = CURRENT_DATE) as reservations_aujourd_hui
       FROM reservations
-    `);
+      ${reservationsWhere}
+    `, params);
 
     const sallesPopulaires = await pool.query(`
       SELECT 
@@ -546,10 +2143,11 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
         COUNT(r.id) as nombre_reservations
       FROM salles s
       LEFT JOIN reservations r ON s.id = r.salle_id
+      ${sallesWhere}
       GROUP BY s.id, s.nom
       ORDER BY nombre_reservations DESC
       LIMIT 5
-    `);
+    `, params);
 
     res.json({
       statistiques: stats.rows[0],
@@ -1,8 +1,19 @@
 const express = require('express');
+const crypto = require('crypto');
 const Joi = require('joi');
-const { getPool } = require('../db/init');
+const { getPool, withTransaction } = require('../db/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { sendOutOfServiceSMS } = require('../services/sendSMS');
+const { sendOutOfServiceSMS, sendMaintenanceCancellationSMS, sendRelocationSMS } = require('../services/sendSMS');
+const { AUDIENCES, getDefaultAudience } = require('../services/audience');
+const { toMinutes, listDates, fetchReservations, buildAvailabilityGrid } = require('../services/disponibilites');
+const { findSuggestions } = require('../services/suggestions');
+const { loadOpeningRules, getClosedIntervals, checkOpening } = require('../services/horaires');
+const { getAffectedReservations, restoreSalles, processMaintenances, listMaintenances } = require('../services/maintenances');
+const { relocateReservation } = require('../services/relocation');
+const { offerFreedSlots } = require('../services/listeAttente');
+const { listApprovers } = require('../services/validation');
+const { formatLocalDate, getTimeZone } = require('../services/ical');
+const { checkInReservation, findCurrentReservation } = require('../services/checkIn');
 
 const router = express.Router();
 
@@ -10,28 +21,205 @@ const router = express.Router();
 const salleSchema = Joi.object({
   nom: Joi.string().min(2).max(100).required(),
   capacite: Joi.number().integer().min(1).max(1000).required(),
-  description: Joi.string().max(500).optional()
+  description: Joi.string().max(500).optional(),
+  batiment_id: Joi.number().integer().positive().allow(null).optional(),
+  etage_id: Joi.number().integer().positive().allow(null).optional(),
+  validation_requise: Joi.boolean().optional()
 });
 
-// Obtenir toutes les salles
+// Schéma de validation pour les gestionnaires d'une salle (liste vide : validation par les admins)
+const gestionnairesSchema = Joi.object({
+  utilisateurs: Joi.array().items(Joi.number().integer().positive()).unique().max(50).required()
+});
+
+// Filtres d'emplacement des salles
+const emplacementFiltres = {
+  site_id: Joi.number().integer().positive().optional(),
+  batiment_id: Joi.number().integer().positive().optional(),
+  etage_id: Joi.number().integer().positive().optional()
+};
+
+// Schéma de validation des filtres de recherche de salles (codes d'équipements séparés par des virgules)
+const salleFiltresSchema = Joi.object({
+  capacite_min: Joi.number().integer().min(1).max(1000).optional(),
+  equipements: Joi.string().pattern(/^[a-z0-9_]+(,[a-z0-9_]+)*$/).optional(),
+  ...emplacementFiltres
+});
+
+// Schéma de validation des équipements d'une salle
+const salleEquipementsSchema = Joi.object({
+  equipements: Joi.array().items(Joi.number().integer().positive()).unique().required()
+});
+
+// Équipements d'une salle, sous forme de tableau JSON (alias s pour la salle)
+const EQUIPEMENTS_SALLE = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', e.id, 'code', e.code, 'nom', e.nom) ORDER BY e.nom)
+    FROM salles_equipements se
+    JOIN equipements e ON se.equipement_id = e.id
+    WHERE se.salle_id = s.id
+  ), '[]') as equipements
+`;
+
+// Emplacement d'une salle : colonnes et jointures (alias s pour la salle)
+const EMPLACEMENT_COLONNES = `
+  si.id as site_id,
+  si.nom as site_nom,
+  si.fuseau_horaire,
+  s.batiment_id,
+  b.nom as batiment_nom,
+  s.etage_id,
+  et.nom as etage_nom
+`;
+const EMPLACEMENT_JOINTURES = `
+  LEFT JOIN batiments b ON s.batiment_id = b.id
+  LEFT JOIN sites si ON b.site_id = si.id
+  LEFT JOIN etages et ON s.etage_id = et.id
+`;
+
+// Ajouter les conditions des filtres de recherche de salles (alias s pour la salle)
+function addSalleFilters(filtres, conditions, params) {
+  if (filtres.capacite_min) {
+    params.push(filtres.capacite_min);
+    conditions.push(`s.capacite >= $${params.length}`);
+  }
+
+  if (filtres.site_id) {
+    params.push(filtres.site_id);
+    conditions.push(`s.batiment_id IN (SELECT id FROM batiments WHERE site_id = $${params.length})`);
+  }
+
+  if (filtres.batiment_id) {
+    params.push(filtres.batiment_id);
+    conditions.push(`s.batiment_id = $${params.length}`);
+  }
+
+  if (filtres.etage_id) {
+    params.push(filtres.etage_id);
+    conditions.push(`s.etage_id = $${params.length}`);
+  }
+
+  // La salle doit disposer de tous les équipements demandés
+  if (filtres.equipements) {
+    params.push([...new Set(filtres.equipements.split(','))]);
+    conditions.push(`(
+      SELECT COUNT(*) FROM salles_equipements se
+      JOIN equipements e ON se.equipement_id = e.id
+      WHERE se.salle_id = s.id AND e.code = ANY($${params.length})
+    ) = CARDINALITY($${params.length}::text[])`);
+  }
+}
+
+// Vérifier l'emplacement d'une salle ; l'étage suffit à déterminer le bâtiment
+async function resolveEmplacement(db, batimentId, etageId) {
+  if (etageId) {
+    const etageResult = await db.query('SELECT batiment_id FROM etages WHERE id = $1', [etageId]);
+    if (etageResult.rows.length === 0) {
+      return { status: 404, error: 'Étage non trouvé' };
+    }
+    if (batimentId && batimentId !== etageResult.rows[0].batiment_id) {
+      return { status: 400, error: 'L\'étage n\'appartient pas à ce bâtiment' };
+    }
+    return { batiment_id: etageResult.rows[0].batiment_id, etage_id: etageId };
+  }
+
+  if (batimentId) {
+    const batimentResult = await db.query('SELECT id FROM batiments WHERE id = $1', [batimentId]);
+    if (batimentResult.rows.length === 0) {
+      return { status: 404, error: 'Bâtiment non trouvé' };
+    }
+  }
+
+  return { batiment_id: batimentId || null, etage_id: null };
+}
+
+// Nombre maximal de jours d'une grille de disponibilités
+const MAX_JOURS_DISPONIBILITES = 31;
+
+// Schéma de validation pour la grille de disponibilités
+const disponibilitesSchema = Joi.object({
+  date_debut: Joi.date().iso().required(),
+  date_fin: Joi.date().iso().min(Joi.ref('date_debut')).optional(),
+  salles: Joi.string().pattern(/^\d+(,\d+)*$/).optional(),
+  granularite: Joi.number().integer().valid(5, 10, 15, 20, 30, 60).default(30),
+  heure_debut: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).default('08:00'),
+  heure_fin: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).default('20:00'),
+  ...emplacementFiltres
+});
+
+// Schéma de validation pour la recherche de créneaux (durée en minutes, codes d'équipements séparés par des virgules)
+const suggestionsSchema = Joi.object({
+  duree: Joi.number().integer().min(60).max(720).default(60),
+  capacite_min: Joi.number().integer().min(1).max(1000).default(1),
+  date: Joi.date().iso().required(),
+  heure_debut: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).default('08:00'),
+  heure_fin: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+  equipements: Joi.string().pattern(/^[a-z0-9_]+(,[a-z0-9_]+)*$/).optional(),
+  jours: Joi.number().integer().min(1).max(MAX_JOURS_DISPONIBILITES).default(7),
+  limite: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Horodatage local YYYY-MM-DDTHH:MM (ou avec une espace)
+const horodatagePattern = /^\d{4}-\d{2}-\d{2}[T ]([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Schéma de validation pour une fenêtre de maintenance
+const maintenanceSchema = Joi.object({
+  debut: Joi.string().pattern(horodatagePattern).required(),
+  fin: Joi.string().pattern(horodatagePattern).required(),
+  motif: Joi.string().min(2).max(255).required(),
+  action: Joi.string().valid('conserver', 'annuler', 'deplacer').default('conserver'),
+  simulation: Joi.boolean().default(false)
+});
+
+// Schéma de validation pour la règle d'annonce d'une salle (audience null : règle par défaut)
+const annoncesSchema = Joi.object({
+  audience: Joi.string().valid(...AUDIENCES).allow(null).required(),
+  groupe_id: Joi.number().integer().positive().when('audience', {
+    is: 'groupe',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Obtenir toutes les salles (filtres : capacite_min, equipements, site_id, batiment_id, etage_id)
 router.get('/', authenticateToken, async (req, res) => {
   try {
+    const { error, value } = salleFiltresSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Paramètres invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const conditions = ['TRUE'];
+    const params = [];
+    addSalleFilters(value, conditions, params);
+
     const pool = getPool();
     const result = await pool.query(`
       SELECT 
-        id,
-        nom,
-        capacite,
-        statut,
-        description,
-        created_at,
-        updated_at
-      FROM salles
-      ORDER BY nom
-    `);
+        s.id,
+        s.nom,
+        s.capacite,
+        s.statut,
+        s.description,
+        s.validation_requise,
+        ${EMPLACEMENT_COLONNES},
+        ${EQUIPEMENTS_SALLE},
+        s.audience_annonces,
+        s.groupe_annonces_id,
+        s.created_at,
+        s.updated_at
+      FROM salles s
+      ${EMPLACEMENT_JOINTURES}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.nom
+    `, params);
 
     res.json({
-      salles: result.rows
+      salles: result.rows,
+      audience_par_defaut: getDefaultAudience()
     });
 
   } catch (error) {
@@ -43,7 +231,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // Obtenir les salles disponibles pour une période donnée
 router.get('/libres', authenticateToken, async (req, res) => {
   try {
-    const { date, heure_debut, heure_fin } = req.query;
+    const { date, heure_debut, heure_fin, ...autresFiltres } = req.query;
 
     if (!date || !heure_debut || !heure_fin) {
       return res.status(400).json({ 
@@ -51,6 +239,14 @@ router.get('/libres', authenticateToken, async (req, res) => {
       });
     }
 
+    const { error, value: filtres } = salleFiltresSchema.validate(autresFiltres);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Paramètres invalides', 
+        details: error.details[0].message 
+      });
+    }
+
     // Validation du format des heures
     const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
     if (!timeRegex.test(heure_debut) || !timeRegex.test(heure_fin)) {
@@ -67,6 +263,10 @@ router.get('/libres', authenticateToken, async (req, res) => {
 
     const pool = getPool();
     
+    const conditions = [];
+    const params = [date, heure_debut, heure_fin];
+    addSalleFilters(filtres, conditions, params);
+
     // Récupérer les salles disponibles (pas de conflit de réservation)
     const result = await pool.query(`
       SELECT 
@@ -74,14 +274,19 @@ router.get('/libres', authenticateToken, async (req, res) => {
         s.nom,
         s.capacite,
         s.description,
+        s.validation_requise,
+        ${EMPLACEMENT_COLONNES},
+        ${EQUIPEMENTS_SALLE},
         s.statut
       FROM salles s
-      WHERE s.statut = 'disponible'
+      ${EMPLACEMENT_JOINTURES}
+      WHERE s.statut IN ('disponible', 'maintenance')
+        ${conditions.map(condition => `AND ${condition}`).join('\n        ')}
         AND s.id NOT IN (
           SELECT DISTINCT r.salle_id
           FROM reservations r
           WHERE r.date = $1
-            AND r.statut = 'active'
+            AND r.statut IN ('active', 'en_attente')
             AND (
               (r.heure_debut < $3 AND r.heure_fin > $2) OR
               (r.heure_debut < $3 AND r.heure_fin > $3) OR
@@ -89,15 +294,21 @@ router.get('/libres', authenticateToken, async (req, res) => {
             )
         )
       ORDER BY s.nom
-    `, [date, heure_debut, heure_fin]);
+    `, params);
+
+    // Écarter les salles fermées pendant la période (horaires d'ouverture, fermetures, maintenances)
+    const jour = date.slice(0, 10);
+    const regles = await loadOpeningRules(pool, result.rows.map(s => s.id), jour, jour);
+    const sallesOuvertes = result.rows.filter(s => !checkOpening(regles, s.id, jour, heure_debut, heure_fin));
 
     res.json({
-      salles_libres: result.rows,
+      salles_libres: sallesOuvertes,
       periode: {
         date,
         heure_debut,
         heure_fin
-      }
+      },
+      filtres
     });
 
   } catch (error) {
@@ -106,6 +317,252 @@ router.get('/libres', authenticateToken, async (req, res) => {
   }
 });
 
+// Grille de disponibilités : créneaux occupés et libres de chaque salle sur une période
+router.get('/disponibilites', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = disponibilitesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Paramètres invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const dateDebut = req.query.date_debut.slice(0, 10);
+    const dateFin = (req.query.date_fin || req.query.date_debut).slice(0, 10);
+    const dates = listDates(dateDebut, dateFin);
+
+    if (dates.length > MAX_JOURS_DISPONIBILITES) {
+      return res.status(400).json({ 
+        error: `La période ne peut pas dépasser ${MAX_JOURS_DISPONIBILITES} jours` 
+      });
+    }
+
+    if (toMinutes(value.heure_debut) >= toMinutes(value.heure_fin)) {
+      return res.status(400).json({ 
+        error: 'L\'heure de fin doit être après l\'heure de début' 
+      });
+    }
+
+    const conditions = ['($1::int[] IS NULL OR s.id = ANY($1))'];
+    const params = [value.salles ? value.salles.split(',').map(Number) : null];
+    addSalleFilters(value, conditions, params);
+
+    const pool = getPool();
+
+    const sallesResult = await pool.query(`
+      SELECT s.id, s.nom, s.capacite, s.statut
+      FROM salles s
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.nom
+    `, params);
+    const salleIds = sallesResult.rows.map(salle => salle.id);
+
+    // Toutes les réservations de la période en une seule requête
+    const reservations = await fetchReservations(pool, dateDebut, dateFin, salleIds);
+    const regles = await loadOpeningRules(pool, salleIds, dateDebut, dateFin);
+
+    res.json({
+      periode: {
+        date_debut: dateDebut,
+        date_fin: dateFin,
+        heure_debut: value.heure_debut,
+        heure_fin: value.heure_fin,
+        granularite: value.granularite
+      },
+      salles: buildAvailabilityGrid({
+        salles: sallesResult.rows,
+        reservations,
+        dates,
+        heureDebut: value.heure_debut,
+        heureFin: value.heure_fin,
+        granularite: value.granularite,
+        fermetures: (salleId, date) => getClosedIntervals(regles, salleId, date)
+      })
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du calcul des disponibilités:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Proposer les prochains créneaux libres : les plus proches de la plage souhaitée, puis la salle la mieux dimensionnée
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = suggestionsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Paramètres invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    if (value.heure_fin && toMinutes(value.heure_fin) - toMinutes(value.heure_debut) < value.duree) {
+      return res.status(400).json({ 
+        error: 'La plage horaire est plus courte que la durée demandée' 
+      });
+    }
+
+    const date = req.query.date.slice(0, 10);
+    const equipements = value.equipements
+      ? value.equipements.split(',').map(e => e.trim()).filter(Boolean)
+      : [];
+
+    const suggestions = await findSuggestions(getPool(), {
+      duree: value.duree,
+      date,
+      heureDebut: value.heure_debut,
+      heureFin: value.heure_fin,
+      capaciteMin: value.capacite_min,
+      equipements,
+      jours: value.jours,
+      limite: value.limite
+    });
+
+    res.json({
+      criteres: {
+        duree: value.duree,
+        capacite_min: value.capacite_min,
+        date,
+        heure_debut: value.heure_debut,
+        heure_fin: value.heure_fin || null,
+        equipements,
+        jours: value.jours
+      },
+      suggestions
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la recherche de créneaux:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les salles auxquelles l'utilisateur connecté est abonné
+router.get('/abonnements', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      SELECT 
+        s.id,
+        s.nom,
+        s.capacite,
+        s.statut,
+        a.created_at as abonne_depuis
+      FROM abonnements_salles a
+      JOIN salles s ON a.salle_id = s.id
+      WHERE a.utilisateur_id = $1
+      ORDER BY s.nom
+    `, [req.user.id]);
+
+    res.json({
+      abonnements: result.rows
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des abonnements:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// S'abonner à l'activité d'une salle
+router.post('/:id/abonnement', authenticateToken, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const pool = getPool();
+
+    // Vérifier que la salle existe
+    const salleResult = await pool.query('SELECT id, nom FROM salles WHERE id = $1', [salleId]);
+    if (salleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    await pool.query(`
+      INSERT INTO abonnements_salles (utilisateur_id, salle_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [req.user.id, salleId]);
+
+    res.status(201).json({
+      message: `Abonnement à la salle ${salleResult.rows[0].nom} enregistré`
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'abonnement à la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Se désabonner de l'activité d'une salle
+router.delete('/:id/abonnement', authenticateToken, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(
+      'DELETE FROM abonnements_salles WHERE utilisateur_id = $1 AND salle_id = $2',
+      [req.user.id, salleId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Abonnement non trouvé' });
+    }
+
+    res.json({
+      message: 'Désabonnement effectué avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du désabonnement de la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Définir qui reçoit les annonces de réservation d'une salle (admin seulement)
+router.put('/:id/annonces', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const { error, value } = annoncesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const pool = getPool();
+
+    if (value.groupe_id) {
+      const groupeResult = await pool.query('SELECT id FROM groupes WHERE id = $1', [value.groupe_id]);
+      if (groupeResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Groupe non trouvé' });
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE salles
+      SET audience_annonces = $1, groupe_annonces_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, nom, audience_annonces, groupe_annonces_id
+    `, [value.audience, value.groupe_id || null, salleId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    res.json({
+      message: 'Règle d\'annonce mise à jour',
+      salle: result.rows[0],
+      audience_effective: result.rows[0].audience_annonces || getDefaultAudience()
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification de la règle d\'annonce:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
 // Obtenir les réservations d'une salle pour une date donnée
 router.get('/:id/reservations', authenticateToken, async (req, res) => {
   try {
@@ -138,7 +595,7 @@ router.get('/:id/reservations', authenticateToken, async (req, res) => {
       JOIN utilisateurs u ON r.utilisateur_id = u.id
       WHERE r.salle_id = $1 
         AND r.date = $2
-        AND r.statut = 'active'
+        AND r.statut IN ('active', 'en_attente', 'terminee')
       ORDER BY r.heure_debut
     `, [salleId, date]);
 
@@ -174,12 +631,17 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(409).json({ error: 'Une salle avec ce nom existe déjà' });
     }
 
+    const emplacement = await resolveEmplacement(pool, value.batiment_id, value.etage_id);
+    if (emplacement.error) {
+      return res.status(emplacement.status).json({ error: emplacement.error });
+    }
+
     // Créer la salle
     const result = await pool.query(`
-      INSERT INTO salles (nom, capacite, description)
-      VALUES ($1, $2, $3)
-      RETURNING id, nom, capacite, statut, description, created_at
-    `, [nom, capacite, description]);
+      INSERT INTO salles (nom, capacite, description, batiment_id, etage_id, validation_requise)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, nom, capacite, statut, description, batiment_id, etage_id, validation_requise, created_at
+    `, [nom, capacite, description, emplacement.batiment_id, emplacement.etage_id, value.validation_requise || false]);
 
     res.status(201).json({
       message: 'Salle créée avec succès',
@@ -219,13 +681,19 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(409).json({ error: 'Une autre salle utilise déjà ce nom' });
     }
 
-    // Modifier la salle
+    const emplacement = await resolveEmplacement(pool, value.batiment_id, value.etage_id);
+    if (emplacement.error) {
+      return res.status(emplacement.status).json({ error: emplacement.error });
+    }
+
+    // Modifier la salle (validation_requise absent : inchangé)
     const result = await pool.query(`
       UPDATE salles 
-      SET nom = $1, capacite = $2, description = $3, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-      RETURNING id, nom, capacite, statut, description, updated_at
-    `, [nom, capacite, description, salleId]);
+      SET nom = $1, capacite = $2, description = $3, batiment_id = $4, etage_id = $5,
+          validation_requise = COALESCE($6, validation_requise), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING id, nom, capacite, statut, description, batiment_id, etage_id, validation_requise, updated_at
+    `, [nom, capacite, description, emplacement.batiment_id, emplacement.etage_id, value.validation_requise, salleId]);
 
     res.json({
       message: 'Salle modifiée avec succès',
@@ -238,31 +706,444 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Mettre une salle hors service (admin seulement)
-router.post('/:id/hors-service', authenticateToken, requireAdmin, async (req, res) => {
+// Remplacer les équipements d'une salle (admin seulement)
+router.put('/:id/equipements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const { error, value } = salleEquipementsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const salleResult = await client.query('SELECT id FROM salles WHERE id = $1 FOR UPDATE', [salleId]);
+      if (salleResult.rows.length === 0) {
+        return { error: 'Salle non trouvée' };
+      }
+
+      const equipementsResult = await client.query('SELECT id FROM equipements WHERE id = ANY($1)', [value.equipements]);
+      if (equipementsResult.rows.length !== value.equipements.length) {
+        const connus = new Set(equipementsResult.rows.map(e => e.id));
+        return { error: 'Équipement non trouvé', equipements: value.equipements.filter(id => !connus.has(id)) };
+      }
+
+      await client.query('DELETE FROM salles_equipements WHERE salle_id = $1', [salleId]);
+      await client.query(`
+        INSERT INTO salles_equipements (salle_id, equipement_id)
+        SELECT $1, UNNEST($2::int[])
+      `, [salleId, value.equipements]);
+
+      const salle = await client.query(`
+        SELECT s.id, s.nom, ${EQUIPEMENTS_SALLE}
+        FROM salles s
+        WHERE s.id = $1
+      `, [salleId]);
+      return { salle: salle.rows[0] };
+    });
+
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+
+    res.json({
+      message: 'Équipements de la salle mis à jour',
+      salle: result.salle
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des équipements de la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les gestionnaires d'une salle, qui valident ses demandes de réservation
+router.get('/:id/gestionnaires', authenticateToken, async (req, res) => {
   try {
     const salleId = parseInt(req.params.id);
     const pool = getPool();
 
-    await pool.query('BEGIN');
+    const salleResult = await pool.query('SELECT id, nom, validation_requise FROM salles WHERE id = $1', [salleId]);
+    if (salleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
 
-    try {
-      // Vérifier que la salle existe
-      const salleResult = await pool.query('SELECT nom, statut FROM salles WHERE id = $1', [salleId]);
+    res.json({
+      salle: salleResult.rows[0],
+      gestionnaires: await listApprovers(pool, salleId)
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des gestionnaires de la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Remplacer les gestionnaires d'une salle (admin seulement)
+router.put('/:id/gestionnaires', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const { error, value } = gestionnairesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const salleResult = await client.query('SELECT id, nom, validation_requise FROM salles WHERE id = $1 FOR UPDATE', [salleId]);
+      if (salleResult.rows.length === 0) {
+        return { status: 404, error: 'Salle non trouvée' };
+      }
+
+      const usersResult = await client.query('SELECT id FROM utilisateurs WHERE id = ANY($1)', [value.utilisateurs]);
+      if (usersResult.rows.length !== value.utilisateurs.length) {
+        const connus = new Set(usersResult.rows.map(u => u.id));
+        return { status: 404, error: 'Utilisateur non trouvé', utilisateurs: value.utilisateurs.filter(id => !connus.has(id)) };
+      }
+
+      await client.query('DELETE FROM gestionnaires_salles WHERE salle_id = $1', [salleId]);
+      await client.query(`
+        INSERT INTO gestionnaires_salles (salle_id, utilisateur_id)
+        SELECT $1, UNNEST($2::int[])
+      `, [salleId, value.utilisateurs]);
+
+      return { salle: salleResult.rows[0], gestionnaires: await listApprovers(client, salleId) };
+    });
+
+    if (result.error) {
+      const { status, ...corps } = result;
+      return res.status(status).json(corps);
+    }
+
+    res.json({
+      message: 'Gestionnaires de la salle mis à jour',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des gestionnaires de la salle:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Seule l'empreinte des jetons de tablette est conservée en base
+function hashJetonTablette(jeton) {
+  return crypto.createHash('sha256').update(jeton).digest('hex');
+}
+
+// Générer le jeton de la tablette d'une salle (admin seulement) ; un nouveau jeton remplace l'ancien
+// et n'est affiché qu'une fois
+router.post('/:id/tablette', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const jeton = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(`
+      UPDATE salles SET jeton_tablette_hash = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, nom
+    `, [hashJetonTablette(jeton), salleId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    res.status(201).json({
+      message: 'Jeton de tablette généré',
+      salle: result.rows[0],
+      jeton
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la génération du jeton de tablette:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Révoquer le jeton de la tablette d'une salle (admin seulement)
+router.delete('/:id/tablette', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const result = await pool.query(`
+      UPDATE salles SET jeton_tablette_hash = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `, [salleId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    res.json({ message: 'Jeton de tablette révoqué' });
+
+  } catch (error) {
+    console.error('Erreur lors de la révocation du jeton de tablette:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Check-in depuis la tablette d'une salle (sans authentification : le jeton tient lieu d'accès)
+router.post('/tablette/:jeton/check-in', async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const salleResult = await client.query(
+        'SELECT id, nom FROM salles WHERE jeton_tablette_hash = $1',
+        [hashJetonTablette(req.params.jeton)]
+      );
+      if (salleResult.rows.length === 0) {
+        return { status: 404, error: 'Tablette non reconnue' };
+      }
+
+      const salle = salleResult.rows[0];
+      const reservationId = await findCurrentReservation(client, salle.id);
+      if (!reservationId) {
+        return { status: 404, error: 'Aucune réservation à enregistrer en ce moment' };
+      }
+
+      return { salle, reservation: await checkInReservation(client, reservationId) };
+    });
+
+    if (result.error) {
+      const { status, ...corps } = result;
+      return res.status(status).json(corps);
+    }
+
+    res.json({
+      message: 'Check-in enregistré',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Erreur lors du check-in depuis la tablette:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Obtenir les fenêtres de maintenance d'une salle (à venir et en cours ; toutes avec historique=true)
+router.get('/:id/maintenances', authenticateToken, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const salleResult = await pool.query('SELECT id, nom, statut FROM salles WHERE id = $1', [salleId]);
+    if (salleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    res.json({
+      salle: salleResult.rows[0],
+      maintenances: await listMaintenances(pool, salleId, req.query.historique === 'true')
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des maintenances:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Planifier une fenêtre de maintenance (admin seulement). Les réservations touchées sont conservées,
+// annulées ou déplacées vers une salle équivalente selon "action" ; "simulation" renvoie l'aperçu sans rien enregistrer
+router.post('/:id/maintenances', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const { error, value } = maintenanceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Données invalides', 
+        details: error.details[0].message 
+      });
+    }
+
+    const debut = value.debut.replace('T', ' ');
+    const fin = value.fin.replace('T', ' ');
+
+    if (fin <= debut) {
+      return res.status(400).json({ 
+        error: 'La fin de la maintenance doit être après son début' 
+      });
+    }
+
+    const pool = getPool();
+    const passeeResult = await pool.query(`
+      SELECT $1::timestamp <= now() AT TIME ZONE COALESCE((
+        SELECT si.fuseau_horaire
+        FROM salles s
+        JOIN batiments b ON s.batiment_id = b.id
+        JOIN sites si ON b.site_id = si.id
+        WHERE s.id = $2
+      ), $3) as passee
+    `, [fin, salleId, getTimeZone()]);
+    if (passeeResult.rows[0].passee) {
+      return res.status(400).json({ 
+        error: 'La fin de la maintenance est déjà passée' 
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      // En simulation, tout est annulé à la fin : l'aperçu est identique à une planification réelle
+      await client.query('SAVEPOINT simulation');
+
+      const salleResult = await client.query('SELECT id, nom FROM salles WHERE id = $1 FOR UPDATE', [salleId]);
       if (salleResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Salle non trouvée' });
+        return null;
+      }
+
+      const salle = salleResult.rows[0];
+
+      const maintenanceResult = await client.query(`
+        INSERT INTO maintenances (salle_id, debut, fin, motif, action, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, salle_id, TO_CHAR(debut, 'YYYY-MM-DD HH24:MI') as debut, TO_CHAR(fin, 'YYYY-MM-DD HH24:MI') as fin,
+          motif, action, statut, created_at
+      `, [salleId, debut, fin, value.motif, value.action, req.user.id]);
+      const maintenance = maintenanceResult.rows[0];
+
+      const rapport = [];
+      for (const reservation of await getAffectedReservations(client, salleId, debut, fin)) {
+        const destinataire = {
+          id: reservation.utilisateur_id,
+          nom: reservation.utilisateur_nom,
+          telephone: reservation.utilisateur_telephone
+        };
+        const date = formatLocalDate(reservation.date);
+        const dateAffichee = new Date(reservation.date).toLocaleDateString('fr-FR');
+        const heureDebut = reservation.heure_debut.slice(0, 5);
+        const heureFin = reservation.heure_fin.slice(0, 5);
+        const ligne = {
+          reservation_id: reservation.id,
+          utilisateur_nom: reservation.utilisateur_nom,
+          date,
+          heure_debut: heureDebut,
+          heure_fin: heureFin,
+          resultat: 'conservee'
+        };
+        rapport.push(ligne);
+
+        if (value.action === 'deplacer') {
+          const nouvelleSalle = await relocateReservation(client, reservation);
+          if (nouvelleSalle) {
+            await sendRelocationSMS(destinataire, salle.nom, nouvelleSalle.nom, dateAffichee, heureDebut, heureFin, `maintenance : ${value.motif}`, { db: client });
+            Object.assign(ligne, { resultat: 'deplacee', nouvelle_salle: { id: nouvelleSalle.id, nom: nouvelleSalle.nom } });
+            continue;
+          }
+        }
+
+        // Sans salle équivalente, une réservation à déplacer est annulée
+        if (value.action !== 'conserver') {
+          await client.query(
+            'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            ['annulee', reservation.id]
+          );
+          await sendMaintenanceCancellationSMS(destinataire, salle.nom, dateAffichee, heureDebut, heureFin, value.motif, { db: client });
+          ligne.resultat = 'annulee';
+        }
+      }
+
+      if (value.simulation) {
+        await client.query('ROLLBACK TO SAVEPOINT simulation');
+      }
+
+      return { maintenance, rapport };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
+    }
+
+    // Une fenêtre déjà commencée met la salle en maintenance sans attendre le prochain passage planifié
+    if (!value.simulation) {
+      await processMaintenances();
+    }
+
+    const compter = (resultat) => result.rapport.filter(ligne => ligne.resultat === resultat).length;
+
+    res.status(value.simulation ? 200 : 201).json({
+      message: value.simulation
+        ? 'Simulation de maintenance (aucune modification enregistrée)'
+        : 'Maintenance planifiée avec succès',
+      simulation: value.simulation,
+      maintenance: value.simulation ? { ...result.maintenance, id: undefined } : result.maintenance,
+      resume: {
+        reservations_concernees: result.rapport.length,
+        conservees: compter('conservee'),
+        deplacees: compter('deplacee'),
+        annulees: compter('annulee')
+      },
+      reservations: result.rapport
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la planification de la maintenance:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Annuler une fenêtre de maintenance (admin seulement) ; une salle en maintenance revient en service
+router.delete('/:id/maintenances/:maintenanceId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+    const maintenanceId = parseInt(req.params.maintenanceId);
+
+    const annulee = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE maintenances
+        SET statut = 'annulee', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND salle_id = $2 AND statut IN ('planifiee', 'en_cours')
+        RETURNING id
+      `, [maintenanceId, salleId]);
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await restoreSalles(client, [salleId]);
+      await offerFreedSlots(client, [salleId]);
+      return true;
+    });
+
+    if (!annulee) {
+      return res.status(404).json({ error: 'Maintenance non trouvée ou déjà terminée' });
+    }
+
+    res.json({
+      message: 'Maintenance annulée avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation de la maintenance:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Mettre une salle hors service (admin seulement)
+router.post('/:id/hors-service', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const salleId = parseInt(req.params.id);
+
+    const result = await withTransaction(async (client) => {
+      // Vérifier que la salle existe (et la verrouiller)
+      const salleResult = await client.query('SELECT nom, statut FROM salles WHERE id = $1 FOR UPDATE', [salleId]);
+      if (salleResult.rows.length === 0) {
+        return null;
       }
 
       const salle = salleResult.rows[0];
 
       // Mettre la salle hors service
-      await pool.query(
+      await client.query(
         'UPDATE salles SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
         ['hors_service', salleId]
       );
 
-      // Récupérer les réservations actives des 7 prochains jours
-      const reservationsResult = await pool.query(`
+      // Récupérer et verrouiller les réservations actives des 7 prochains jours
+      const reservationsResult = await client.query(`
         SELECT 
           r.*,
           u.nom as utilisateur_nom,
@@ -270,44 +1151,60 @@ router.post('/:id/hors-service', authenticateToken, requireAdmin, async (req, re
         FROM reservations r
         JOIN utilisateurs u ON r.utilisateur_id = u.id
         WHERE r.salle_id = $1 
-          AND r.statut = 'active'
+          AND r.statut IN ('active', 'en_attente')
           AND r.date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '7 days'
+        FOR UPDATE OF r
       `, [salleId]);
 
-      // Annuler les réservations
-      if (reservationsResult.rows.length > 0) {
-        const reservationIds = reservationsResult.rows.map(r => r.id);
-        await pool.query(
-          'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
-          ['annulee', reservationIds]
-        );
+      const annulees = [];
+      const deplacees = [];
 
-        // Envoyer SMS aux utilisateurs concernés
-        for (const reservation of reservationsResult.rows) {
-          try {
-            await sendOutOfServiceSMS(
-              reservation.utilisateur_telephone,
-              reservation.utilisateur_nom,
-              salle.nom
-            );
-          } catch (smsError) {
-            console.error('Erreur envoi SMS:', smsError);
-          }
+      // Déplacer chaque réservation vers une salle équivalente, ou l'annuler à défaut.
+      // Les SMS sont mis en file et envoyés une fois la transaction validée.
+      for (const reservation of reservationsResult.rows) {
+        const destinataire = {
+          id: reservation.utilisateur_id,
+          nom: reservation.utilisateur_nom,
+          telephone: reservation.utilisateur_telephone
+        };
+
+        const nouvelleSalle = await relocateReservation(client, reservation);
+        if (nouvelleSalle) {
+          await sendRelocationSMS(
+            destinataire,
+            salle.nom,
+            nouvelleSalle.nom,
+            new Date(reservation.date).toLocaleDateString('fr-FR'),
+            reservation.heure_debut.slice(0, 5),
+            reservation.heure_fin.slice(0, 5),
+            'salle hors service',
+            { db: client }
+          );
+          deplacees.push({ reservation_id: reservation.id, nouvelle_salle: { id: nouvelleSalle.id, nom: nouvelleSalle.nom } });
+          continue;
         }
-      }
 
-      await pool.query('COMMIT');
+        await client.query(
+          'UPDATE reservations SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          ['annulee', reservation.id]
+        );
+        await sendOutOfServiceSMS(destinataire, salle.nom, { db: client });
+        annulees.push(reservation.id);
+      }
 
-      res.json({
-        message: 'Salle mise hors service avec succès',
-        reservations_annulees: reservationsResult.rows.length
-      });
+      return { salle, annulees, deplacees };
+    });
 
-    } catch (error) {
-      await pool.query('ROLLBACK');
-      throw error;
+    if (!result) {
+      return res.status(404).json({ error: 'Salle non trouvée' });
     }
 
+    res.json({
+      message: 'Salle mise hors service avec succès',
+      reservations_annulees: result.annulees.length,
+      reservations_deplacees: result.deplacees
+    });
+
   } catch (error) {
     console.error('Erreur lors de la mise hors service de la salle:', error);
     res.status(500).json({ error: 'Erreur interne du serveur' });
@@ -318,22 +1215,31 @@ router.post('/:id/hors-service', authenticateToken, requireAdmin, async (req, re
 router.post('/:id/en-service', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const salleId = parseInt(req.params.id);
-    const pool = getPool();
 
-    // Vérifier que la salle existe
-    const salleResult = await pool.query('SELECT nom, statut FROM salles WHERE id = $1', [salleId]);
-    if (salleResult.rows.length === 0) {
+    const offres = await withTransaction(async (client) => {
+      // Vérifier que la salle existe
+      const salleResult = await client.query('SELECT nom, statut FROM salles WHERE id = $1 FOR UPDATE', [salleId]);
+      if (salleResult.rows.length === 0) {
+        return null;
+      }
+
+      // Remettre la salle en service
+      await client.query(
+        'UPDATE salles SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['disponible', salleId]
+      );
+
+      // Proposer les créneaux de nouveau libres à la liste d'attente
+      return offerFreedSlots(client, [salleId]);
+    });
+
+    if (!offres) {
       return res.status(404).json({ error: 'Salle non trouvée' });
     }
 
-    // Remettre la salle en service
-    await pool.query(
-      'UPDATE salles SET statut = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['disponible', salleId]
-    );
-
     res.json({
-      message: 'Salle remise en service avec succès'
+      message: 'Salle remise en service avec succès',
+      offres_liste_attente: offres.length
     });
 
   } catch (error) {
@@ -356,8 +1262,8 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     // Vérifier s'il y a des réservations futures
     const reservationsResult = await pool.query(
-      'SELECT COUNT(*) as count FROM reservations WHERE salle_id = $1 AND date >= CURRENT_DATE AND statut = $2',
-      [salleId, 'active']
+      'SELECT COUNT(*) as count FROM reservations WHERE salle_id = $1 AND date >= CURRENT_DATE AND statut = ANY($2)',
+      [salleId, ['active', 'en_attente']]
     );
 
     if (parseInt(reservationsResult.rows[0].count) > 0) {
@@ -0,0 +1,407 @@
+const express = require('express');
+const Joi = require('joi');
+const { getPool } = require('../db/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Vérifier qu'un fuseau horaire IANA est connu (ex. Africa/Douala)
+const fuseauHoraire = Joi.string().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('fr-FR', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('Fuseau horaire inconnu');
+  }
+});
+
+// Schéma de validation pour un site
+const siteSchema = Joi.object({
+  nom: Joi.string().min(2).max(100).required(),
+  adresse: Joi.string().max(500).optional(),
+  fuseau_horaire: fuseauHoraire.default(process.env.FUSEAU_HORAIRE || 'Africa/Douala')
+});
+
+// Schéma de validation pour un bâtiment
+const batimentSchema = Joi.object({
+  nom: Joi.string().min(1).max(100).required()
+});
+
+// Schéma de validation pour un étage (niveau : 0 pour le rez-de-chaussée)
+const etageSchema = Joi.object({
+  nom: Joi.string().min(1).max(50).required(),
+  niveau: Joi.number().integer().min(-20).max(200).optional()
+});
+
+// Répondre à une erreur de validation
+function sendValidationError(res, error) {
+  return res.status(400).json({
+    error: 'Données invalides',
+    details: error.details[0].message
+  });
+}
+
+// Obtenir l'arborescence des emplacements : sites, bâtiments, étages et nombre de salles
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+
+    const sitesResult = await pool.query(`
+      SELECT id, nom, adresse, fuseau_horaire, created_at, updated_at
+      FROM sites
+      ORDER BY nom
+    `);
+
+    const batimentsResult = await pool.query(`
+      SELECT b.id, b.site_id, b.nom, COUNT(s.id) as nombre_salles
+      FROM batiments b
+      LEFT JOIN salles s ON s.batiment_id = b.id
+      GROUP BY b.id
+      ORDER BY b.nom
+    `);
+
+    const etagesResult = await pool.query(`
+      SELECT e.id, e.batiment_id, e.nom, e.niveau, COUNT(s.id) as nombre_salles
+      FROM etages e
+      LEFT JOIN salles s ON s.etage_id = e.id
+      GROUP BY e.id
+      ORDER BY e.niveau NULLS LAST, e.nom
+    `);
+
+    res.json({
+      sites: sitesResult.rows.map(site => ({
+        ...site,
+        batiments: batimentsResult.rows
+          .filter(batiment => batiment.site_id === site.id)
+          .map(batiment => ({
+            ...batiment,
+            nombre_salles: parseInt(batiment.nombre_salles),
+            etages: etagesResult.rows
+              .filter(etage => etage.batiment_id === batiment.id)
+              .map(etage => ({ ...etage, nombre_salles: parseInt(etage.nombre_salles) }))
+          }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sites:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Créer un site (admin seulement)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = siteSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { nom, adresse, fuseau_horaire } = value;
+    const pool = getPool();
+
+    const existingResult = await pool.query('SELECT id FROM sites WHERE nom = $1', [nom]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un site avec ce nom existe déjà' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO sites (nom, adresse, fuseau_horaire)
+      VALUES ($1, $2, $3)
+      RETURNING id, nom, adresse, fuseau_horaire, created_at
+    `, [nom, adresse, fuseau_horaire]);
+
+    res.status(201).json({
+      message: 'Site créé avec succès',
+      site: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du site:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier un site (admin seulement)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    const { error, value } = siteSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { nom, adresse, fuseau_horaire } = value;
+    const pool = getPool();
+
+    const nameResult = await pool.query('SELECT id FROM sites WHERE nom = $1 AND id != $2', [nom, siteId]);
+    if (nameResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un autre site utilise déjà ce nom' });
+    }
+
+    const result = await pool.query(`
+      UPDATE sites
+      SET nom = $1, adresse = $2, fuseau_horaire = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id, nom, adresse, fuseau_horaire, updated_at
+    `, [nom, adresse, fuseau_horaire, siteId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Site non trouvé' });
+    }
+
+    res.json({
+      message: 'Site modifié avec succès',
+      site: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification du site:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer un site et ses bâtiments (admin seulement), s'il n'abrite aucune salle
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const sallesResult = await pool.query(
+      'SELECT COUNT(*) as total FROM salles s JOIN batiments b ON s.batiment_id = b.id WHERE b.site_id = $1',
+      [siteId]
+    );
+    if (parseInt(sallesResult.rows[0].total) > 0) {
+      return res.status(409).json({ error: 'Des salles sont encore rattachées à ce site' });
+    }
+
+    const result = await pool.query('DELETE FROM sites WHERE id = $1', [siteId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Site non trouvé' });
+    }
+
+    res.json({
+      message: 'Site supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du site:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Ajouter un bâtiment à un site (admin seulement)
+router.post('/:id/batiments', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const siteId = parseInt(req.params.id);
+    const { error, value } = batimentSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const pool = getPool();
+
+    const siteResult = await pool.query('SELECT id FROM sites WHERE id = $1', [siteId]);
+    if (siteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Site non trouvé' });
+    }
+
+    const existingResult = await pool.query('SELECT id FROM batiments WHERE site_id = $1 AND nom = $2', [siteId, value.nom]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un bâtiment avec ce nom existe déjà sur ce site' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO batiments (site_id, nom)
+      VALUES ($1, $2)
+      RETURNING id, site_id, nom, created_at
+    `, [siteId, value.nom]);
+
+    res.status(201).json({
+      message: 'Bâtiment créé avec succès',
+      batiment: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création du bâtiment:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Renommer un bâtiment (admin seulement)
+router.put('/batiments/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batimentId = parseInt(req.params.id);
+    const { error, value } = batimentSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const pool = getPool();
+
+    const nameResult = await pool.query(`
+      SELECT autre.id
+      FROM batiments b
+      JOIN batiments autre ON autre.site_id = b.site_id AND autre.id != b.id
+      WHERE b.id = $1 AND autre.nom = $2
+    `, [batimentId, value.nom]);
+    if (nameResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un autre bâtiment de ce site utilise déjà ce nom' });
+    }
+
+    const result = await pool.query(`
+      UPDATE batiments
+      SET nom = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, site_id, nom, updated_at
+    `, [value.nom, batimentId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Bâtiment non trouvé' });
+    }
+
+    res.json({
+      message: 'Bâtiment modifié avec succès',
+      batiment: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification du bâtiment:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer un bâtiment et ses étages (admin seulement), s'il n'abrite aucune salle
+router.delete('/batiments/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batimentId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const sallesResult = await pool.query('SELECT COUNT(*) as total FROM salles WHERE batiment_id = $1', [batimentId]);
+    if (parseInt(sallesResult.rows[0].total) > 0) {
+      return res.status(409).json({ error: 'Des salles sont encore rattachées à ce bâtiment' });
+    }
+
+    const result = await pool.query('DELETE FROM batiments WHERE id = $1', [batimentId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Bâtiment non trouvé' });
+    }
+
+    res.json({
+      message: 'Bâtiment supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression du bâtiment:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Ajouter un étage à un bâtiment (admin seulement)
+router.post('/batiments/:id/etages', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batimentId = parseInt(req.params.id);
+    const { error, value } = etageSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const pool = getPool();
+
+    const batimentResult = await pool.query('SELECT id FROM batiments WHERE id = $1', [batimentId]);
+    if (batimentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Bâtiment non trouvé' });
+    }
+
+    const existingResult = await pool.query('SELECT id FROM etages WHERE batiment_id = $1 AND nom = $2', [batimentId, value.nom]);
+    if (existingResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un étage avec ce nom existe déjà dans ce bâtiment' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO etages (batiment_id, nom, niveau)
+      VALUES ($1, $2, $3)
+      RETURNING id, batiment_id, nom, niveau, created_at
+    `, [batimentId, value.nom, value.niveau]);
+
+    res.status(201).json({
+      message: 'Étage créé avec succès',
+      etage: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'étage:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Modifier un étage (admin seulement)
+router.put('/etages/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const etageId = parseInt(req.params.id);
+    const { error, value } = etageSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const pool = getPool();
+
+    const nameResult = await pool.query(`
+      SELECT autre.id
+      FROM etages e
+      JOIN etages autre ON autre.batiment_id = e.batiment_id AND autre.id != e.id
+      WHERE e.id = $1 AND autre.nom = $2
+    `, [etageId, value.nom]);
+    if (nameResult.rows.length > 0) {
+      return res.status(409).json({ error: 'Un autre étage de ce bâtiment utilise déjà ce nom' });
+    }
+
+    const result = await pool.query(`
+      UPDATE etages
+      SET nom = $1, niveau = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, batiment_id, nom, niveau, updated_at
+    `, [value.nom, value.niveau, etageId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Étage non trouvé' });
+    }
+
+    res.json({
+      message: 'Étage modifié avec succès',
+      etage: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la modification de l\'étage:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+// Supprimer un étage (admin seulement), s'il n'abrite aucune salle
+router.delete('/etages/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const etageId = parseInt(req.params.id);
+    const pool = getPool();
+
+    const sallesResult = await pool.query('SELECT COUNT(*) as total FROM salles WHERE etage_id = $1', [etageId]);
+    if (parseInt(sallesResult.rows[0].total) > 0) {
+      return res.status(409).json({ error: 'Des salles sont encore rattachées à cet étage' });
+    }
+
+    const result = await pool.query('DELETE FROM etages WHERE id = $1', [etageId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Étage non trouvé' });
+    }
+
+    res.json({
+      message: 'Étage supprimé avec succès'
+    });
+
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'étage:', error);
+    res.status(500).json({ error: 'Erreur interne du serveur' });
+  }
+});
+
+module.exports = router;
@@ -209,8 +209,8 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     // Empêcher la suppression si l'utilisateur a des réservations futures
     const reservationsResult = await pool.query(
-      'SELECT COUNT(*) as count FROM reservations WHERE utilisateur_id = $1 AND date >= CURRENT_DATE AND statut = $2',
-      [userId, 'active']
+      'SELECT COUNT(*) as count FROM reservations WHERE utilisateur_id = $1 AND date >= CURRENT_DATE AND statut = ANY($2)',
+      [userId, ['active', 'en_attente']]
     );
 
     if (parseInt(reservationsResult.rows[0].count) > 0) {
@@ -250,7 +250,8 @@ router.get('/stats/overview', authenticateToken, requireAdmin, async (req, res)
       SELECT 
         u.nom,
         u.email,
-        COUNT(r.id) as nombre_reservations
+        COUNT(r.id) as nombre_reservations,
+        COUNT(r.id) FILTER (WHERE r.statut = 'no_show') as nombre_no_show
       FROM utilisateurs u
       LEFT JOIN reservations r ON u.id = r.utilisateur_id 
         AND r.created_at >= CURRENT_DATE - INTERVAL '30 days'
@@ -259,9 +260,24 @@ router.get('/stats/overview', authenticateToken, requireAdmin, async (req, res)
       LIMIT 10
     `);
 
+    // Réservations libérées faute de check-in, par utilisateur
+    const noShows = await pool.query(`
+      SELECT 
+        u.id,
+        u.nom,
+        u.email,
+        COUNT(r.id) as nombre_no_show,
+        COUNT(r.id) FILTER (WHERE r.date >= CURRENT_DATE - INTERVAL '30 days') as nombre_no_show_30j
+      FROM utilisateurs u
+      JOIN reservations r ON u.id = r.utilisateur_id AND r.statut = 'no_show'
+      GROUP BY u.id, u.nom, u.email
+      ORDER BY nombre_no_show DESC, u.nom
+    `);
+
     res.json({
       statistiques: stats.rows[0],
-      utilisateurs_actifs: utilisateursActifs.rows
+      utilisateurs_actifs: utilisateursActifs.rows,
+      no_shows: noShows.rows
     });
 
   } catch (error) {
@@ -9,6 +9,23 @@ const authRoutes = require('./routes/auth');
 const reservationRoutes = require('./routes/reservations');
 const salleRoutes = require('./routes/salles');
 const utilisateurRoutes = require('./routes/utilisateurs');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const groupeRoutes = require('./routes/groupes');
+const invitationRoutes = require('./routes/invitations');
+const calendrierRoutes = require('./routes/calendrier');
+const horaireRoutes = require('./routes/horaires');
+const equipementRoutes = require('./routes/equipements');
+const siteRoutes = require('./routes/sites');
+const listeAttenteRoutes = require('./routes/listeAttente');
+
+// Vérification du schéma de base de données
+const { getPool } = require('./db/init');
+const { assertSchemaUpToDate } = require('./db/migrate');
+
+// Envoi des messages en file (SMS, email)
+const { startOutboxWorker } = require('./services/outboxWorker');
+const { startScheduler } = require('./services/scheduler');
 
 // Import de Twilio pour l'envoi de SMS
 const twilio = require('twilio');
@@ -36,6 +53,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/salles', salleRoutes);
 app.use('/api/utilisateurs', utilisateurRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/groupes', groupeRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/calendrier', calendrierRoutes);
+app.use('/api/horaires', horaireRoutes);
+app.use('/api/equipements', equipementRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/liste-attente', listeAttenteRoutes);
 
 // Route de test
 app.get('/api/health', (req, res) => {
@@ -115,6 +141,10 @@ const testSMS = async () => {
 // Démarrage du serveur
 async function startServer() {
   try {
+    // Refuser de servir sur un schéma obsolète
+    await assertSchemaUpToDate(getPool());
+    console.log('✅ Schéma de base de données à jour');
+
     console.log('📞 Test de l\'envoi de SMS...');
     const smsTestSuccess = await testSMS();
     if (!smsTestSuccess) {
@@ -123,6 +153,9 @@ async function startServer() {
       console.log('✅ Test SMS réussi. Le serveur est prêt.');
     }
 
+    startOutboxWorker();
+    startScheduler();
+
     app.listen(PORT, () => {
       console.log(`🚀 Serveur démarré sur le port ${PORT}`);
       console.log(`📱 API disponible sur http://localhost:${PORT}/api`);
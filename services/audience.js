@@ -0,0 +1,73 @@
+const AUDIENCES = ['reservant', 'participants', 'abonnes', 'groupe', 'tous'];
+
+const COLONNES_UTILISATEUR = 'u.id, u.nom, u.email, u.telephone, u.canaux_notification';
+
+// Règle par défaut des salles sans règle propre (variable ANNONCES_AUDIENCE)
+function getDefaultAudience() {
+  const audience = process.env.ANNONCES_AUDIENCE || 'reservant';
+  return AUDIENCES.includes(audience) ? audience : 'reservant';
+}
+
+/**
+ * Détermine les destinataires de l'annonce d'une réservation selon la règle de la salle :
+ * - reservant : la personne qui réserve uniquement
+ * - participants : le réservant et les participants inscrits qui n'ont pas refusé
+ * - abonnes : le réservant et les abonnés de la salle
+ * - groupe : le réservant et les membres du groupe choisi pour la salle
+ * - tous : tous les utilisateurs
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Salle réservée
+ * @param {number} reservantId - Utilisateur qui réserve
+ * @param {number|null} [reservationId] - Réservation annoncée (pour ses participants)
+ * @returns {Promise<Array>} - Utilisateurs destinataires, sans doublon
+ */
+async function getAnnouncementAudience(db, salleId, reservantId, reservationId = null) {
+  const salleResult = await db.query(
+    'SELECT audience_annonces, groupe_annonces_id FROM salles WHERE id = $1',
+    [salleId]
+  );
+  const salle = salleResult.rows[0] || {};
+  const audience = salle.audience_annonces || getDefaultAudience();
+
+  let result;
+  if (audience === 'tous') {
+    result = await db.query(`SELECT ${COLONNES_UTILISATEUR} FROM utilisateurs u ORDER BY u.id`);
+  } else if (audience === 'participants') {
+    result = await db.query(`
+      SELECT ${COLONNES_UTILISATEUR}
+      FROM utilisateurs u
+      WHERE u.id = $1
+         OR u.id IN (
+           SELECT utilisateur_id FROM participants_reservation
+           WHERE reservation_id = $2 AND statut != 'refuse'
+         )
+      ORDER BY u.id
+    `, [reservantId, reservationId]);
+  } else if (audience === 'abonnes') {
+    result = await db.query(`
+      SELECT ${COLONNES_UTILISATEUR}
+      FROM utilisateurs u
+      WHERE u.id = $1
+         OR u.id IN (SELECT utilisateur_id FROM abonnements_salles WHERE salle_id = $2)
+      ORDER BY u.id
+    `, [reservantId, salleId]);
+  } else if (audience === 'groupe') {
+    result = await db.query(`
+      SELECT ${COLONNES_UTILISATEUR}
+      FROM utilisateurs u
+      WHERE u.id = $1
+         OR u.id IN (SELECT utilisateur_id FROM groupes_membres WHERE groupe_id = $2)
+      ORDER BY u.id
+    `, [reservantId, salle.groupe_annonces_id || null]);
+  } else {
+    result = await db.query(`SELECT ${COLONNES_UTILISATEUR} FROM utilisateurs u WHERE u.id = $1`, [reservantId]);
+  }
+
+  return result.rows;
+}
+
+module.exports = {
+  AUDIENCES,
+  getDefaultAudience,
+  getAnnouncementAudience
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+// Canal de développement : écrit les messages dans la console ou dans NOTIFICATIONS_LOG_FILE
+module.exports = {
+  name: 'console',
+
+  getAddress(utilisateur) {
+    return utilisateur.email || utilisateur.telephone || `utilisateur:${utilisateur.id}`;
+  },
+
+  async send(adresse, { sujet, message }) {
+    const entree = `[${new Date().toISOString()}] ${adresse} | ${sujet}\n${message}\n`;
+
+    try {
+      if (process.env.NOTIFICATIONS_LOG_FILE) {
+        await fs.promises.appendFile(process.env.NOTIFICATIONS_LOG_FILE, `${entree}\n`);
+      } else {
+        console.log(`📨 ${entree}`);
+      }
+
+      return {
+        success: true,
+        to: adresse,
+        message: message
+      };
+    } catch (error) {
+      console.error('❌ Erreur lors de l\'écriture de la notification:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        to: adresse,
+        message: message
+      };
+    }
+  }
+};
@@ -0,0 +1,70 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Créer le transport SMTP (à la première utilisation)
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Envoie un email via SMTP
+ * @param {string} to - Adresse email destinataire
+ * @param {string} sujet - Sujet de l'email
+ * @param {string} message - Contenu texte de l'email
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+async function sendEmail(to, sujet, message) {
+  try {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST non défini');
+    }
+
+    const result = await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || 'Réservation de salles <no-reply@meetingroom.com>',
+      to: to,
+      subject: sujet,
+      text: message
+    });
+
+    console.log(`✅ Email envoyé avec succès à ${to}. ID: ${result.messageId}`);
+    return {
+      success: true,
+      messageId: result.messageId,
+      to: to,
+      message: message
+    };
+  } catch (error) {
+    console.error(`❌ Erreur lors de l'envoi de l'email à ${to}:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      to: to,
+      message: message
+    };
+  }
+}
+
+module.exports = {
+  name: 'email',
+
+  getAddress(utilisateur) {
+    return utilisateur.email || null;
+  },
+
+  async send(adresse, { sujet, message }) {
+    return sendEmail(adresse, sujet, message);
+  },
+
+  sendEmail
+};
@@ -0,0 +1,72 @@
+const twilio = require('twilio');
+
+let client = null;
+
+// Initialiser le client Twilio avec API Key (à la première utilisation)
+function getClient() {
+  if (!client) {
+    client = twilio(process.env.TWILIO_API_KEY_SID, process.env.TWILIO_API_KEY_SECRET, {
+      accountSid: process.env.TWILIO_MAIN_ACCOUNT_SID,
+      httpProxy: process.env.http_proxy && process.env.http_proxy !== 'http_proxy' ? process.env.http_proxy : null,
+      httpsProxy: process.env.https_proxy && process.env.https_proxy !== 'https_proxy' ? process.env.https_proxy : null
+    });
+  }
+  return client;
+}
+
+/**
+ * Envoie un SMS via Twilio
+ * @param {string} to - Numéro de téléphone destinataire (format international)
+ * @param {string} message - Message à envoyer
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+async function sendSMS(to, message) {
+  try {
+    // Vérifier que le numéro est au format international et valide
+    if (!to || !to.match(/^\+\d{10,15}$/)) {
+      throw new Error(`Numéro de téléphone invalide: ${to}. Attendu format international (ex. +237677865607)`);
+    }
+
+    console.log(`Attempting to send SMS to ${to} with message: ${message}`);
+    console.log(`Twilio config: Account SID=${process.env.TWILIO_MAIN_ACCOUNT_SID}, From=${process.env.TWILIO_PHONE_NUMBER}`);
+    console.log(`Proxy config: http_proxy=${process.env.http_proxy || 'none'}, https_proxy=${process.env.https_proxy || 'none'}`);
+
+    const result = await getClient().messages.create({
+      body: message,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: to
+    });
+
+    console.log(`✅ SMS envoyé avec succès à ${to}. SID: ${result.sid}`);
+    return {
+      success: true,
+      sid: result.sid,
+      to: to,
+      message: message
+    };
+  } catch (error) {
+    console.error(`❌ Erreur lors de l'envoi du SMS à ${to}:`, error.message, JSON.stringify(error, null, 2));
+    return {
+      success: false,
+      error: error.message,
+      errorDetails: error,
+      to: to,
+      message: message
+    };
+  }
+}
+
+module.exports = {
+  name: 'sms',
+
+  // Numéro du destinataire s'il est au format international, sinon null
+  getAddress(utilisateur) {
+    return utilisateur.telephone && /^\+\d{10,15}$/.test(utilisateur.telephone) ? utilisateur.telephone : null;
+  },
+
+  async send(adresse, { message }) {
+    return sendSMS(adresse, message);
+  },
+
+  sendSMS
+};
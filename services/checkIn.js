@@ -0,0 +1,198 @@
+// Check-in des réservations et libération des salles réservées mais non occupées
+const { withTransaction } = require('../db/init');
+const { offerFreedSlots } = require('./listeAttente');
+const { sendNoShowSMS } = require('./sendSMS');
+const { getTimeZone } = require('./ical');
+
+// Ouverture du check-in avant le début de la réunion, en minutes (variable CHECK_IN_AVANCE_MINUTES)
+function getCheckInAdvance() {
+  return parseInt(process.env.CHECK_IN_AVANCE_MINUTES || '15');
+}
+
+// Délai de grâce après le début de la réunion, en minutes (variable CHECK_IN_DELAI_MINUTES, 0 désactive la libération)
+function getGracePeriod() {
+  return parseInt(process.env.CHECK_IN_DELAI_MINUTES || '15');
+}
+
+// Heure courante dans le fuseau horaire du site de la salle (alias si), ou dans le fuseau passé en paramètre SQL
+function heureLocale(parametreFuseau) {
+  return `now() AT TIME ZONE COALESCE(si.fuseau_horaire, ${parametreFuseau})`;
+}
+
+/**
+ * Enregistre le check-in d'une réservation. Le check-in est ouvert à partir de CHECK_IN_AVANCE_MINUTES
+ * avant le début et jusqu'à la fin du créneau, tant que la réservation n'a pas été libérée.
+ * Un second check-in ne modifie pas le premier. Les heures sont celles du site de la salle.
+ * @param {Object} db - Client de transaction
+ * @param {number} reservationId - Identifiant de la réservation
+ * @param {number|null} [utilisateurId] - Auteur du check-in (null pour une tablette de salle)
+ * @returns {Promise<Object>} - { id, salle_id, date, heure_debut, heure_fin, check_in_le, check_in_par }
+ */
+async function checkInReservation(db, reservationId, utilisateurId = null) {
+  const result = await db.query(`
+    SELECT
+      r.statut,
+      r.check_in_le IS NOT NULL as deja_enregistree,
+      ${heureLocale('$3')} >= r.date + r.heure_debut - make_interval(mins => $2) as ouverte,
+      ${heureLocale('$3')} < r.date + r.heure_fin as en_cours
+    FROM reservations r
+    JOIN salles s ON r.salle_id = s.id
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    WHERE r.id = $1
+    FOR UPDATE OF r
+  `, [reservationId, getCheckInAdvance(), getTimeZone()]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Réservation non trouvée');
+  }
+
+  const reservation = result.rows[0];
+
+  if (!reservation.deja_enregistree) {
+    if (reservation.statut !== 'active') {
+      throw new Error('Seule une réservation active peut faire l\'objet d\'un check-in');
+    }
+    if (!reservation.ouverte || !reservation.en_cours) {
+      throw new Error('Le check-in n\'est pas ouvert pour cette réservation');
+    }
+
+    await db.query(`
+      UPDATE reservations
+      SET check_in_le = LOCALTIMESTAMP, check_in_par = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [reservationId, utilisateurId]);
+  }
+
+  const checkInResult = await db.query(`
+    SELECT
+      id,
+      salle_id,
+      TO_CHAR(date, 'YYYY-MM-DD') as date,
+      heure_debut,
+      heure_fin,
+      TO_CHAR(check_in_le, 'YYYY-MM-DD HH24:MI') as check_in_le,
+      check_in_par
+    FROM reservations
+    WHERE id = $1
+  `, [reservationId]);
+
+  return checkInResult.rows[0];
+}
+
+/**
+ * Réservation d'une salle dont le check-in est ouvert en ce moment (utilisée par les tablettes)
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Identifiant de la salle
+ * @returns {Promise<number|null>} - Identifiant de la réservation, null s'il n'y en a pas
+ */
+async function findCurrentReservation(db, salleId) {
+  const result = await db.query(`
+    SELECT r.id
+    FROM reservations r
+    JOIN salles s ON r.salle_id = s.id
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    WHERE r.salle_id = $1
+      AND r.statut = 'active'
+      AND ${heureLocale('$3')} >= r.date + r.heure_debut - make_interval(mins => $2)
+      AND ${heureLocale('$3')} < r.date + r.heure_fin
+    ORDER BY r.check_in_le IS NULL DESC, r.date, r.heure_debut
+    LIMIT 1
+  `, [salleId, getCheckInAdvance(), getTimeZone()]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+/**
+ * Passe en 'no_show' les réservations sans check-in à l'issue du délai de grâce, y compris celles déjà
+ * terminées (dans le fuseau horaire du site de chaque salle), prévient leurs auteurs et propose les
+ * créneaux libérés à la liste d'attente
+ * @returns {Promise<Object>} - { liberees, proposees } : nombre de réservations et d'offres
+ */
+async function processNoShows() {
+  const delai = getGracePeriod();
+  if (delai <= 0) {
+    return { liberees: 0, proposees: 0 };
+  }
+
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      WITH liberees AS (
+        UPDATE reservations
+        SET statut = 'no_show', updated_at = CURRENT_TIMESTAMP
+        WHERE statut = 'active'
+          AND check_in_le IS NULL
+          AND id IN (
+            SELECT r.id
+            FROM reservations r
+            JOIN salles s ON r.salle_id = s.id
+            LEFT JOIN batiments b ON s.batiment_id = b.id
+            LEFT JOIN sites si ON b.site_id = si.id
+            WHERE r.statut = 'active'
+              AND r.check_in_le IS NULL
+              AND r.date + r.heure_debut + make_interval(mins => $1) <= ${heureLocale('$2')}
+          )
+        RETURNING id, utilisateur_id, salle_id, date, heure_debut, heure_fin
+      )
+      SELECT
+        l.id,
+        l.salle_id,
+        TO_CHAR(l.date, 'DD/MM/YYYY') as date_affichee,
+        l.heure_debut,
+        l.heure_fin,
+        s.nom as salle_nom,
+        u.id as utilisateur_id,
+        u.nom as utilisateur_nom,
+        u.email as utilisateur_email,
+        u.telephone as utilisateur_telephone
+      FROM liberees l
+      JOIN salles s ON l.salle_id = s.id
+      JOIN utilisateurs u ON l.utilisateur_id = u.id
+    `, [delai, getTimeZone()]);
+
+    for (const reservation of result.rows) {
+      const heureDebut = reservation.heure_debut.slice(0, 5);
+      const heureFin = reservation.heure_fin.slice(0, 5);
+
+      const smsResult = await sendNoShowSMS(
+        {
+          id: reservation.utilisateur_id,
+          nom: reservation.utilisateur_nom,
+          email: reservation.utilisateur_email,
+          telephone: reservation.utilisateur_telephone
+        },
+        reservation.salle_nom,
+        reservation.date_affichee,
+        heureDebut,
+        heureFin,
+        { db: client }
+      );
+
+      await client.query(`
+        INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        reservation.utilisateur_id,
+        reservation.id,
+        `Sans check-in, votre réservation de ${reservation.salle_nom} le ${reservation.date_affichee} de ${heureDebut} à ${heureFin} a été libérée`,
+        smsResult.success ? 'sms_en_attente' : 'sms_echec',
+        false
+      ]);
+    }
+
+    const salleIds = [...new Set(result.rows.map(reservation => reservation.salle_id))];
+    const offres = await offerFreedSlots(client, salleIds);
+
+    return {
+      liberees: result.rows.length,
+      proposees: offres.length
+    };
+  });
+}
+
+module.exports = {
+  checkInReservation,
+  findCurrentReservation,
+  processNoShows
+};
@@ -0,0 +1,147 @@
+// Calcul des créneaux occupés et libres des salles (grille de disponibilités)
+
+// Convertit une heure HH:MM (ou HH:MM:SS) en minutes depuis minuit
+function toMinutes(heure) {
+  const [heures, minutes] = heure.split(':');
+  return parseInt(heures) * 60 + parseInt(minutes);
+}
+
+// Convertit des minutes depuis minuit en heure HH:MM
+function fromMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Liste les dates d'une période, bornes comprises
+ * @param {string} dateDebut - Date YYYY-MM-DD
+ * @param {string} dateFin - Date YYYY-MM-DD
+ * @returns {string[]} - Dates YYYY-MM-DD
+ */
+function listDates(dateDebut, dateFin) {
+  const dates = [];
+  const [annee, mois, jour] = dateDebut.split('-').map(Number);
+  const courant = new Date(Date.UTC(annee, mois - 1, jour));
+
+  while (courant.toISOString().slice(0, 10) <= dateFin) {
+    dates.push(courant.toISOString().slice(0, 10));
+    courant.setUTCDate(courant.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Calcule les intervalles libres d'une journée, alignés sur la granularité
+ * @param {Array} occupes - Intervalles occupés { debut, fin } en minutes
+ * @param {number} ouverture - Début de la plage en minutes
+ * @param {number} fermeture - Fin de la plage en minutes
+ * @param {number} granularite - Taille d'un créneau en minutes
+ * @returns {Array} - Intervalles libres { debut, fin } en minutes, d'au moins un créneau
+ */
+function computeFreeIntervals(occupes, ouverture, fermeture, granularite) {
+  const libres = [];
+  let curseur = ouverture;
+
+  const tries = [...occupes].sort((a, b) => a.debut - b.debut);
+  for (const occupe of [...tries, { debut: fermeture, fin: fermeture }]) {
+    // Aligner le début sur la grille (vers le haut) et la fin (vers le bas)
+    const debut = ouverture + Math.ceil((curseur - ouverture) / granularite) * granularite;
+    const fin = ouverture + Math.floor((Math.min(occupe.debut, fermeture) - ouverture) / granularite) * granularite;
+
+    if (fin - debut >= granularite) {
+      libres.push({ debut, fin });
+    }
+
+    curseur = Math.max(curseur, occupe.fin);
+  }
+
+  return libres;
+}
+
+/**
+ * Construit la grille de disponibilités de plusieurs salles sur une période
+ * @param {Object} params
+ * @param {Array} params.salles - Salles { id, nom, capacite, statut }
+ * @param {Array} params.reservations - Réservations actives { id, salle_id, date (YYYY-MM-DD), heure_debut, heure_fin }
+ * @param {string[]} params.dates - Dates de la période
+ * @param {string} params.heureDebut - Début de la plage quotidienne (HH:MM)
+ * @param {string} params.heureFin - Fin de la plage quotidienne (HH:MM)
+ * @param {number} params.granularite - Taille d'un créneau en minutes
+ * @param {Function} [params.fermetures] - (salleId, date) => intervalles fermés { debut, fin, motif } en minutes
+ * @returns {Array} - Par salle : { ...salle, jours: [{ date, occupe, ferme, libre }] }
+ */
+function buildAvailabilityGrid({ salles, reservations, dates, heureDebut, heureFin, granularite, fermetures = () => [] }) {
+  const ouverture = toMinutes(heureDebut);
+  const fermeture = toMinutes(heureFin);
+
+  // Regrouper les réservations par salle et par date
+  const parSalleEtDate = new Map();
+  for (const reservation of reservations) {
+    const cle = `${reservation.salle_id}|${reservation.date}`;
+    if (!parSalleEtDate.has(cle)) {
+      parSalleEtDate.set(cle, []);
+    }
+    parSalleEtDate.get(cle).push(reservation);
+  }
+
+  return salles.map(salle => ({
+    ...salle,
+    jours: dates.map(date => {
+      const occupes = (parSalleEtDate.get(`${salle.id}|${date}`) || [])
+        .map(r => ({ reservation_id: r.id, debut: toMinutes(r.heure_debut), fin: toMinutes(r.heure_fin) }))
+        .sort((a, b) => a.debut - b.debut);
+
+      // Heures de fermeture comprises dans la plage étudiée
+      const fermes = fermetures(salle.id, date)
+        .filter(f => f.debut < fermeture && f.fin > ouverture)
+        .map(f => ({ debut: Math.max(f.debut, ouverture), fin: Math.min(f.fin, fermeture), motif: f.motif || null }));
+
+      // Une salle hors service n'a aucun créneau libre ; une maintenance n'occupe que sa fenêtre
+      const libres = salle.statut === 'disponible' || salle.statut === 'maintenance'
+        ? computeFreeIntervals([...occupes, ...fermes], ouverture, fermeture, granularite)
+        : [];
+
+      return {
+        date,
+        occupe: occupes.map(o => ({ reservation_id: o.reservation_id, debut: fromMinutes(o.debut), fin: fromMinutes(o.fin) })),
+        ferme: fermes.map(f => ({ debut: fromMinutes(f.debut), fin: fromMinutes(f.fin), motif: f.motif })),
+        libre: libres.map(l => ({ debut: fromMinutes(l.debut), fin: fromMinutes(l.fin) }))
+      };
+    })
+  }));
+}
+
+/**
+ * Récupère en une requête les réservations qui occupent plusieurs salles sur une période (actives,
+ * en attente de validation ou terminées)
+ * @param {Object} db - Client de transaction ou pool
+ * @param {string} dateDebut - Date YYYY-MM-DD
+ * @param {string} dateFin - Date YYYY-MM-DD
+ * @param {number[]|null} salleIds - Salles concernées, ou null pour toutes
+ * @returns {Promise<Array>} - Réservations { id, salle_id, date (YYYY-MM-DD), heure_debut, heure_fin }
+ */
+async function fetchReservations(db, dateDebut, dateFin, salleIds) {
+  const result = await db.query(`
+    SELECT 
+      r.id,
+      r.salle_id,
+      TO_CHAR(r.date, 'YYYY-MM-DD') as date,
+      r.heure_debut,
+      r.heure_fin
+    FROM reservations r
+    WHERE r.date BETWEEN $1 AND $2
+      AND r.statut IN ('active', 'en_attente', 'terminee')
+      AND ($3::int[] IS NULL OR r.salle_id = ANY($3))
+  `, [dateDebut, dateFin, salleIds]);
+
+  return result.rows;
+}
+
+module.exports = {
+  fetchReservations,
+  toMinutes,
+  fromMinutes,
+  listDates,
+  computeFreeIntervals,
+  buildAvailabilityGrid
+};
@@ -0,0 +1,309 @@
+// Double authentification des connexions : application TOTP ou code par SMS, et codes de secours
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+const { sendLoginCodeSMS } = require('./sendSMS');
+
+// Nombre de codes de secours générés à l'activation
+const NB_CODES_SECOURS = 10;
+
+// Durée de la seconde étape de connexion, en minutes (variable DOUBLE_AUTH_DUREE_MINUTES)
+function getChallengeDuration() {
+  return parseInt(process.env.DOUBLE_AUTH_DUREE_MINUTES || '5');
+}
+
+// Essais autorisés par connexion (variable DOUBLE_AUTH_MAX_TENTATIVES)
+function getMaxAttempts() {
+  return parseInt(process.env.DOUBLE_AUTH_MAX_TENTATIVES || '5');
+}
+
+// Nom du service affiché dans les applications d'authentification (variable DOUBLE_AUTH_EMETTEUR)
+function getIssuer() {
+  return process.env.DOUBLE_AUTH_EMETTEUR || 'Réservation de salles';
+}
+
+function hashToken(jeton) {
+  return crypto.createHash('sha256').update(jeton).digest('hex');
+}
+
+// Les codes de secours sont affichés en deux groupes (ex. 3f9a1-c07e2) mais comparés sans séparateur
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * La double authentification est obligatoire pour les administrateurs
+ * @param {Object} utilisateur - { role }
+ * @returns {boolean}
+ */
+function isMandatory(utilisateur) {
+  return utilisateur.role === 'admin';
+}
+
+/**
+ * Méthode exigée à la connexion : celle choisie par l'utilisateur, le code par SMS pour un
+ * administrateur qui n'en a pas choisi, aucune sinon
+ * @param {Object} utilisateur - { role, double_auth_methode }
+ * @returns {string|null} - 'totp', 'sms' ou null
+ */
+function getRequiredMethod(utilisateur) {
+  if (utilisateur.double_auth_methode) {
+    return utilisateur.double_auth_methode;
+  }
+  return isMandatory(utilisateur) ? 'sms' : null;
+}
+
+/**
+ * Remplace les codes de secours d'un utilisateur
+ * @param {Object} db - Client de transaction
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ * @returns {Promise<string[]>} - Nouveaux codes, à montrer une seule fois
+ */
+async function generateRecoveryCodes(db, utilisateurId) {
+  await db.query('DELETE FROM codes_secours WHERE utilisateur_id = $1', [utilisateurId]);
+
+  const codes = [];
+  for (let i = 0; i < NB_CODES_SECOURS; i++) {
+    const brut = crypto.randomBytes(5).toString('hex');
+    await db.query(
+      'INSERT INTO codes_secours (utilisateur_id, code_hash) VALUES ($1, $2)',
+      [utilisateurId, await bcrypt.hash(brut, 10)]
+    );
+    codes.push(`${brut.slice(0, 5)}-${brut.slice(5)}`);
+  }
+
+  return codes;
+}
+
+async function consumeRecoveryCode(db, utilisateurId, code) {
+  const result = await db.query(
+    'SELECT id, code_hash FROM codes_secours WHERE utilisateur_id = $1 AND utilise_le IS NULL',
+    [utilisateurId]
+  );
+
+  const saisi = normalizeRecoveryCode(code);
+  for (const codeSecours of result.rows) {
+    if (await bcrypt.compare(saisi, codeSecours.code_hash)) {
+      await db.query('UPDATE codes_secours SET utilise_le = CURRENT_TIMESTAMP WHERE id = $1', [codeSecours.id]);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * État de la double authentification d'un utilisateur
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ * @returns {Promise<Object>} - { methode, methode_exigee, obligatoire, codes_secours_restants }
+ */
+async function getStatus(db, utilisateurId) {
+  const result = await db.query(`
+    SELECT
+      u.role,
+      u.double_auth_methode,
+      (SELECT COUNT(*) FROM codes_secours c WHERE c.utilisateur_id = u.id AND c.utilise_le IS NULL) as codes_secours_restants
+    FROM utilisateurs u
+    WHERE u.id = $1
+  `, [utilisateurId]);
+  const utilisateur = result.rows[0];
+
+  return {
+    methode: utilisateur.double_auth_methode,
+    methode_exigee: getRequiredMethod(utilisateur),
+    obligatoire: isMandatory(utilisateur),
+    codes_secours_restants: parseInt(utilisateur.codes_secours_restants)
+  };
+}
+
+/**
+ * Démarre l'enrôlement d'une application d'authentification : un secret provisoire est conservé
+ * jusqu'à la saisie d'un premier code (activateTotp)
+ * @param {Object} db - Client de transaction ou pool
+ * @param {Object} utilisateur - { id, email }
+ * @returns {Promise<Object>} - { secret, otpauth_url }
+ */
+async function startTotpEnrolment(db, utilisateur) {
+  const secret = generateSecret();
+  await db.query(
+    'UPDATE utilisateurs SET totp_secret_provisoire = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [secret, utilisateur.id]
+  );
+
+  return {
+    secret,
+    otpauth_url: buildOtpauthUrl(secret, utilisateur.email, getIssuer())
+  };
+}
+
+/**
+ * Active la méthode TOTP si le code correspond au secret provisoire
+ * @param {Object} db - Client de transaction
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ * @param {string} code - Code affiché par l'application
+ * @returns {Promise<string[]|null>} - Codes de secours, null si le code n'est pas valable
+ */
+async function activateTotp(db, utilisateurId, code) {
+  const result = await db.query(
+    'SELECT totp_secret_provisoire FROM utilisateurs WHERE id = $1 FOR UPDATE',
+    [utilisateurId]
+  );
+  const secret = result.rows[0].totp_secret_provisoire;
+  if (!secret) {
+    return null;
+  }
+
+  const pas = verifyCode(secret, code);
+  if (pas === null) {
+    return null;
+  }
+
+  await db.query(`
+    UPDATE utilisateurs
+    SET double_auth_methode = 'totp', totp_secret = $1, totp_secret_provisoire = NULL, totp_dernier_pas = $2,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [secret, pas, utilisateurId]);
+
+  return generateRecoveryCodes(db, utilisateurId);
+}
+
+/**
+ * Active la méthode par SMS (le numéro du compte est géré par les administrateurs)
+ * @param {Object} db - Client de transaction
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ * @returns {Promise<string[]>} - Codes de secours
+ */
+async function enableSms(db, utilisateurId) {
+  await db.query(`
+    UPDATE utilisateurs
+    SET double_auth_methode = 'sms', totp_secret = NULL, totp_secret_provisoire = NULL, totp_dernier_pas = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [utilisateurId]);
+
+  return generateRecoveryCodes(db, utilisateurId);
+}
+
+/**
+ * Désactive la double authentification et supprime les codes de secours
+ * @param {Object} db - Client de transaction
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ */
+async function disable(db, utilisateurId) {
+  await db.query(`
+    UPDATE utilisateurs
+    SET double_auth_methode = NULL, totp_secret = NULL, totp_secret_provisoire = NULL, totp_dernier_pas = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [utilisateurId]);
+  await db.query('DELETE FROM codes_secours WHERE utilisateur_id = $1', [utilisateurId]);
+}
+
+/**
+ * Ouvre la seconde étape d'une connexion dont le mot de passe est correct. Avec la méthode SMS,
+ * le code est envoyé immédiatement.
+ * @param {Object} db - Client de transaction
+ * @param {Object} utilisateur - { id, nom, email, telephone, role, double_auth_methode }
+ * @returns {Promise<Object>} - { jeton, methode, expire_le }
+ */
+async function startChallenge(db, utilisateur) {
+  const methode = getRequiredMethod(utilisateur);
+  const jeton = crypto.randomBytes(32).toString('hex');
+  const code = methode === 'sms' ? crypto.randomInt(0, 1000000).toString().padStart(6, '0') : null;
+
+  const result = await db.query(`
+    INSERT INTO defis_connexion (utilisateur_id, jeton_hash, methode, code_hash, expire_le)
+    VALUES ($1, $2, $3, $4, LOCALTIMESTAMP + make_interval(mins => $5))
+    RETURNING TO_CHAR(expire_le, 'YYYY-MM-DD HH24:MI:SS') as expire_le
+  `, [utilisateur.id, hashToken(jeton), methode, code ? await bcrypt.hash(code, 10) : null, getChallengeDuration()]);
+
+  if (code) {
+    await sendLoginCodeSMS({ ...utilisateur, canaux_notification: ['sms'] }, code, getChallengeDuration(), { db });
+  }
+
+  return {
+    jeton,
+    methode,
+    expire_le: result.rows[0].expire_le
+  };
+}
+
+/**
+ * Termine une connexion avec le code de la méthode exigée ou un code de secours. Un essai manqué
+ * est compté ; au-delà de DOUBLE_AUTH_MAX_TENTATIVES, la connexion doit être recommencée.
+ * @param {Object} db - Client de transaction
+ * @param {Object} verification - { jeton, code } ou { jeton, code_secours }
+ * @returns {Promise<Object|null>} - Utilisateur { id, nom, email, role, telephone }, null si refusé
+ */
+async function verifyChallenge(db, { jeton, code, code_secours }) {
+  const result = await db.query(`
+    SELECT
+      d.id,
+      d.methode,
+      d.code_hash,
+      d.tentatives,
+      u.id as utilisateur_id,
+      u.nom,
+      u.email,
+      u.role,
+      u.telephone,
+      u.totp_secret,
+      u.totp_dernier_pas
+    FROM defis_connexion d
+    JOIN utilisateurs u ON d.utilisateur_id = u.id
+    WHERE d.jeton_hash = $1
+      AND d.utilise_le IS NULL
+      AND d.expire_le > LOCALTIMESTAMP
+    FOR UPDATE OF d, u
+  `, [hashToken(jeton)]);
+
+  if (result.rows.length === 0 || result.rows[0].tentatives >= getMaxAttempts()) {
+    return null;
+  }
+
+  const defi = result.rows[0];
+  let valide = false;
+
+  if (code_secours) {
+    valide = await consumeRecoveryCode(db, defi.utilisateur_id, code_secours);
+  } else if (defi.methode === 'totp') {
+    const dernierPas = defi.totp_dernier_pas === null ? null : Number(defi.totp_dernier_pas);
+    const pas = defi.totp_secret ? verifyCode(defi.totp_secret, code, { dernierPas }) : null;
+    if (pas !== null) {
+      await db.query('UPDATE utilisateurs SET totp_dernier_pas = $1 WHERE id = $2', [pas, defi.utilisateur_id]);
+      valide = true;
+    }
+  } else {
+    valide = await bcrypt.compare(code, defi.code_hash);
+  }
+
+  if (!valide) {
+    await db.query('UPDATE defis_connexion SET tentatives = tentatives + 1 WHERE id = $1', [defi.id]);
+    return null;
+  }
+
+  await db.query('UPDATE defis_connexion SET utilise_le = CURRENT_TIMESTAMP WHERE id = $1', [defi.id]);
+
+  return {
+    id: defi.utilisateur_id,
+    nom: defi.nom,
+    email: defi.email,
+    role: defi.role,
+    telephone: defi.telephone
+  };
+}
+
+module.exports = {
+  isMandatory,
+  getRequiredMethod,
+  generateRecoveryCodes,
+  getStatus,
+  startTotpEnrolment,
+  activateTotp,
+  enableSms,
+  disable,
+  startChallenge,
+  verifyChallenge
+};
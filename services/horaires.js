@@ -0,0 +1,204 @@
+// Horaires d'ouverture, fermetures et fenêtres de maintenance des salles
+const { toMinutes, fromMinutes } = require('./disponibilites');
+
+const JOURNEE = 24 * 60;
+
+/**
+ * Récupère les horaires d'ouverture, les fermetures et les maintenances applicables à des salles sur une période
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number[]|null} salleIds - Salles concernées, ou null pour toutes
+ * @param {string} dateDebut - Date YYYY-MM-DD
+ * @param {string} dateFin - Date YYYY-MM-DD
+ * @returns {Promise<Object>} - Règles { horaires, fermetures, maintenances }
+ */
+async function loadOpeningRules(db, salleIds, dateDebut, dateFin) {
+  const horairesResult = await db.query(`
+    SELECT salle_id, jour_semaine, heure_ouverture, heure_fermeture
+    FROM horaires_ouverture
+    WHERE salle_id IS NULL OR $1::int[] IS NULL OR salle_id = ANY($1)
+    ORDER BY jour_semaine, heure_ouverture
+  `, [salleIds]);
+
+  const fermeturesResult = await db.query(`
+    SELECT 
+      id,
+      salle_id,
+      TO_CHAR(date_debut, 'YYYY-MM-DD') as date_debut,
+      TO_CHAR(date_fin, 'YYYY-MM-DD') as date_fin,
+      heure_debut,
+      heure_fin,
+      motif
+    FROM fermetures
+    WHERE date_debut <= $3 AND date_fin >= $2
+      AND (salle_id IS NULL OR $1::int[] IS NULL OR salle_id = ANY($1))
+    ORDER BY date_debut
+  `, [salleIds, dateDebut, dateFin]);
+
+  const maintenancesResult = await db.query(`
+    SELECT 
+      id,
+      salle_id,
+      TO_CHAR(debut, 'YYYY-MM-DD HH24:MI') as debut,
+      TO_CHAR(fin, 'YYYY-MM-DD HH24:MI') as fin,
+      motif
+    FROM maintenances
+    WHERE statut IN ('planifiee', 'en_cours')
+      AND debut < $3::date + 1 AND fin > $2::date
+      AND ($1::int[] IS NULL OR salle_id = ANY($1))
+    ORDER BY debut
+  `, [salleIds, dateDebut, dateFin]);
+
+  return {
+    horaires: horairesResult.rows,
+    fermetures: fermeturesResult.rows,
+    maintenances: maintenancesResult.rows
+  };
+}
+
+/**
+ * Intervalles d'ouverture d'une salle un jour donné. Les horaires propres à la salle remplacent
+ * les horaires globaux ; sans aucun horaire défini, la salle est ouverte toute la journée.
+ * @param {Object} regles - Résultat de loadOpeningRules
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string} date - Date YYYY-MM-DD
+ * @returns {Array} - Intervalles { debut, fin } en minutes
+ */
+function getOpeningIntervals(regles, salleId, date) {
+  const propres = regles.horaires.filter(h => h.salle_id === salleId);
+  const horaires = propres.length > 0 ? propres : regles.horaires.filter(h => h.salle_id === null);
+
+  if (horaires.length === 0) {
+    return [{ debut: 0, fin: JOURNEE }];
+  }
+
+  // Un jour sans horaire est un jour de fermeture
+  const [annee, mois, jour] = date.split('-').map(Number);
+  const jourSemaine = new Date(Date.UTC(annee, mois - 1, jour)).getUTCDay();
+
+  return horaires
+    .filter(h => h.jour_semaine === jourSemaine)
+    .map(h => ({ debut: toMinutes(h.heure_ouverture), fin: toMinutes(h.heure_fermeture) }))
+    .sort((a, b) => a.debut - b.debut);
+}
+
+/**
+ * Intervalles où une salle ne peut pas être réservée un jour donné : hors des horaires
+ * d'ouverture (motif null), pendant une fermeture ou une maintenance
+ * @param {Object} regles - Résultat de loadOpeningRules
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string} date - Date YYYY-MM-DD
+ * @returns {Array} - Intervalles { debut, fin, motif, fermeture, maintenance } en minutes, triés
+ */
+function getClosedIntervals(regles, salleId, date) {
+  const fermes = [];
+
+  // Complément des intervalles d'ouverture sur la journée
+  let curseur = 0;
+  for (const ouverture of getOpeningIntervals(regles, salleId, date)) {
+    if (ouverture.debut > curseur) {
+      fermes.push({ debut: curseur, fin: ouverture.debut, motif: null, fermeture: null });
+    }
+    curseur = Math.max(curseur, ouverture.fin);
+  }
+  if (curseur < JOURNEE) {
+    fermes.push({ debut: curseur, fin: JOURNEE, motif: null, fermeture: null });
+  }
+
+  for (const fermeture of regles.fermetures) {
+    const concerne = fermeture.salle_id === null || fermeture.salle_id === salleId;
+    if (concerne && fermeture.date_debut <= date && fermeture.date_fin >= date) {
+      fermes.push({
+        debut: fermeture.heure_debut ? toMinutes(fermeture.heure_debut) : 0,
+        fin: fermeture.heure_fin ? toMinutes(fermeture.heure_fin) : JOURNEE,
+        motif: fermeture.motif,
+        fermeture
+      });
+    }
+  }
+
+  // Une maintenance court d'un instant à un autre, éventuellement sur plusieurs jours
+  for (const maintenance of regles.maintenances || []) {
+    const [jourDebut, heureDebut] = maintenance.debut.split(' ');
+    const [jourFin, heureFin] = maintenance.fin.split(' ');
+    if (maintenance.salle_id === salleId && jourDebut <= date && jourFin >= date) {
+      fermes.push({
+        debut: jourDebut === date ? toMinutes(heureDebut) : 0,
+        fin: jourFin === date ? toMinutes(heureFin) : JOURNEE,
+        motif: maintenance.motif,
+        maintenance
+      });
+    }
+  }
+
+  return fermes.sort((a, b) => a.debut - b.debut || a.fin - b.fin);
+}
+
+/**
+ * Vérifie qu'un créneau tient dans les horaires d'ouverture et ne chevauche aucune fermeture
+ * @param {Object} regles - Résultat de loadOpeningRules
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string} date - Date YYYY-MM-DD
+ * @param {string} heureDebut - Heure HH:MM
+ * @param {string} heureFin - Heure HH:MM
+ * @returns {Error|null} - Erreur décrivant la fermeture, ou null si le créneau est ouvert
+ */
+function checkOpening(regles, salleId, date, heureDebut, heureFin) {
+  const debut = toMinutes(heureDebut);
+  const fin = toMinutes(heureFin);
+  const chevauchements = getClosedIntervals(regles, salleId, date).filter(f => f.debut < fin && f.fin > debut);
+
+  if (chevauchements.length === 0) {
+    return null;
+  }
+
+  // Une maintenance ou une fermeture datée est plus parlante que les horaires habituels
+  const maintenance = chevauchements.find(f => f.maintenance);
+  if (maintenance) {
+    const error = new Error('Salle en maintenance à cet horaire');
+    error.maintenance = { ...maintenance.maintenance };
+    return error;
+  }
+
+  const fermeture = chevauchements.find(f => f.fermeture);
+  if (fermeture) {
+    const error = new Error('Salle fermée à cette date');
+    error.fermeture = {
+      id: fermeture.fermeture.id,
+      date_debut: fermeture.fermeture.date_debut,
+      date_fin: fermeture.fermeture.date_fin,
+      heure_debut: fermeture.fermeture.heure_debut,
+      heure_fin: fermeture.fermeture.heure_fin,
+      motif: fermeture.motif
+    };
+    return error;
+  }
+
+  const error = new Error('En dehors des horaires d\'ouverture de la salle');
+  error.horaires = getOpeningIntervals(regles, salleId, date)
+    .map(o => ({ debut: fromMinutes(o.debut), fin: fromMinutes(o.fin) }));
+  return error;
+}
+
+/**
+ * Lève une erreur si la salle est fermée pendant le créneau
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string} date - Date YYYY-MM-DD
+ * @param {string} heureDebut - Heure HH:MM
+ * @param {string} heureFin - Heure HH:MM
+ */
+async function assertSalleOuverte(db, salleId, date, heureDebut, heureFin) {
+  const regles = await loadOpeningRules(db, [salleId], date, date);
+  const error = checkOpening(regles, salleId, date, heureDebut, heureFin);
+  if (error) {
+    throw error;
+  }
+}
+
+module.exports = {
+  loadOpeningRules,
+  getOpeningIntervals,
+  getClosedIntervals,
+  checkOpening,
+  assertSalleOuverte
+};
@@ -0,0 +1,364 @@
+// Génération de calendriers iCalendar (RFC 5545) pour les réservations
+
+const PRODID = '-//MKBA//Reservation de salles//FR';
+
+// Fuseau horaire des dates et heures enregistrées (variable FUSEAU_HORAIRE)
+function getTimeZone() {
+  return process.env.FUSEAU_HORAIRE || 'Africa/Douala';
+}
+
+function pad(nombre) {
+  return String(nombre).padStart(2, '0');
+}
+
+// Date YYYY-MM-DD d'une colonne DATE (objet Date à minuit local, ou chaîne)
+function formatLocalDate(date) {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Décalage (en minutes) d'un fuseau horaire par rapport à UTC à un instant donné
+function getOffsetMinutes(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const valeurs = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  const commeUTC = Date.UTC(valeurs.year, valeurs.month - 1, valeurs.day, valeurs.hour, valeurs.minute, valeurs.second);
+  return (commeUTC - instant.getTime()) / 60000;
+}
+
+/**
+ * Convertit une date et une heure locales d'un fuseau horaire en instant UTC
+ * @param {Date|string} date - Date de la réservation
+ * @param {string} heure - Heure HH:MM ou HH:MM:SS
+ * @param {string} [timeZone] - Fuseau horaire IANA
+ * @returns {Date} - Instant correspondant
+ */
+function toUTC(date, heure, timeZone = getTimeZone()) {
+  const [annee, mois, jour] = formatLocalDate(date).split('-').map(Number);
+  const [heures, minutes, secondes = 0] = heure.split(':').map(Number);
+  const naif = Date.UTC(annee, mois - 1, jour, heures, minutes, secondes);
+
+  // Deux passes : le décalage peut changer entre l'heure naïve et l'heure réelle (heure d'été)
+  const decalage = getOffsetMinutes(new Date(naif), timeZone);
+  const instant = naif - decalage * 60000;
+  const decalageReel = getOffsetMinutes(new Date(instant), timeZone);
+  return new Date(naif - decalageReel * 60000);
+}
+
+// Format UTC iCalendar : 20300107T080000Z
+function formatUTC(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Échapper un texte (virgules, points-virgules, antislashs, retours à la ligne)
+function escapeText(texte) {
+  return String(texte)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Replier les lignes de plus de 75 octets
+function foldLine(ligne) {
+  const morceaux = [];
+  let courant = '';
+
+  for (const caractere of ligne) {
+    const limite = morceaux.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(courant + caractere) > limite) {
+      morceaux.push(courant);
+      courant = '';
+    }
+    courant += caractere;
+  }
+  morceaux.push(courant);
+
+  return morceaux.join('\r\n ');
+}
+
+/**
+ * Construit l'événement VEVENT d'une réservation
+ * @param {Object} reservation - Réservation avec salle_nom et, si disponible, utilisateur_nom
+ *   et fuseau_horaire (fuseau du site de la salle, prioritaire sur options.timeZone)
+ * @param {Object} [options] - { timeZone }
+ * @returns {string[]} - Lignes de l'événement
+ */
+function buildEvent(reservation, options = {}) {
+  const timeZone = reservation.fuseau_horaire || options.timeZone || getTimeZone();
+  const domaine = process.env.ICAL_DOMAINE || 'reservation.local';
+  const modification = reservation.updated_at || reservation.created_at || new Date();
+  const description = [
+    reservation.utilisateur_nom ? `Organisateur : ${reservation.utilisateur_nom}` : null,
+    reservation.motif || null
+  ].filter(Boolean).join('\n');
+
+  const lignes = [
+    'BEGIN:VEVENT',
+    `UID:reservation-${reservation.id}@${domaine}`,
+    `DTSTAMP:${formatUTC(new Date(modification))}`,
+    `LAST-MODIFIED:${formatUTC(new Date(modification))}`,
+    `DTSTART:${formatUTC(toUTC(reservation.date, reservation.heure_debut, timeZone))}`,
+    `DTEND:${formatUTC(toUTC(reservation.date, reservation.heure_fin, timeZone))}`,
+    `SUMMARY:${escapeText(reservation.motif || `Réservation ${reservation.salle_nom}`)}`,
+    `LOCATION:${escapeText(reservation.salle_nom)}`,
+    `STATUS:${reservation.statut === 'annulee' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) {
+    lignes.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  lignes.push('END:VEVENT');
+  return lignes;
+}
+
+/**
+ * Construit un calendrier iCalendar complet
+ * @param {string} nom - Nom du calendrier affiché par les clients
+ * @param {Array} reservations - Réservations à inclure
+ * @param {Object} [options] - { timeZone }
+ * @returns {string} - Contenu du fichier .ics
+ */
+function buildCalendar(nom, reservations, options = {}) {
+  const timeZone = options.timeZone || getTimeZone();
+
+  const lignes = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(nom)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...reservations.flatMap(reservation => buildEvent(reservation, { timeZone })),
+    'END:VCALENDAR'
+  ];
+
+  return lignes.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Instant UTC vers date (YYYY-MM-DD) et heure (HH:MM) locales d'un fuseau horaire
+function fromUTC(instant, timeZone = getTimeZone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant);
+  const valeurs = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    date: `${valeurs.year}-${valeurs.month}-${valeurs.day}`,
+    heure: `${valeurs.hour}:${valeurs.minute}`
+  };
+}
+
+function unescapeText(texte) {
+  return texte.replace(/\\([\\;,nN])/g, (_, caractere) => (caractere === 'n' || caractere === 'N' ? '\n' : caractere));
+}
+
+// Découper « NOM;PARAM=valeur:contenu » en respectant les paramètres entre guillemets
+function parseLine(ligne) {
+  let guillemets = false;
+  let separateur = -1;
+  for (let i = 0; i < ligne.length; i++) {
+    if (ligne[i] === '"') {
+      guillemets = !guillemets;
+    } else if (ligne[i] === ':' && !guillemets) {
+      separateur = i;
+      break;
+    }
+  }
+
+  if (separateur === -1) {
+    return null;
+  }
+
+  const [nom, ...params] = ligne.slice(0, separateur).split(';');
+  return {
+    nom: nom.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [cle, ...valeur] = param.split('=');
+      return [cle.toUpperCase(), valeur.join('=').replace(/^"|"$/g, '')];
+    })),
+    valeur: ligne.slice(separateur + 1)
+  };
+}
+
+/**
+ * Lit les événements VEVENT d'un fichier iCalendar
+ * @param {string} contenu - Contenu du fichier .ics
+ * @returns {Array<Object>} - Événements { uid, resume, lieu, description, statut, organisateur, debut, fin, duree, rrule }
+ */
+function parseICS(contenu) {
+  const lignes = contenu.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const evenements = [];
+  const pile = [];
+  let courant = null;
+
+  for (const brute of lignes) {
+    const ligne = parseLine(brute);
+    if (!ligne) {
+      continue;
+    }
+
+    if (ligne.nom === 'BEGIN') {
+      pile.push(ligne.valeur.toUpperCase());
+      if (ligne.valeur.toUpperCase() === 'VEVENT') {
+        courant = {};
+      }
+      continue;
+    }
+
+    if (ligne.nom === 'END') {
+      if (pile.pop() === 'VEVENT' && courant) {
+        evenements.push(courant);
+        courant = null;
+      }
+      continue;
+    }
+
+    // Ignorer les propriétés des sous-composants (VALARM...)
+    if (!courant || pile[pile.length - 1] !== 'VEVENT') {
+      continue;
+    }
+
+    switch (ligne.nom) {
+      case 'UID':
+        courant.uid = ligne.valeur;
+        break;
+      case 'SUMMARY':
+        courant.resume = unescapeText(ligne.valeur);
+        break;
+      case 'LOCATION':
+        courant.lieu = unescapeText(ligne.valeur);
+        break;
+      case 'DESCRIPTION':
+        courant.description = unescapeText(ligne.valeur);
+        break;
+      case 'STATUS':
+        courant.statut = ligne.valeur.toUpperCase();
+        break;
+      case 'ORGANIZER':
+        courant.organisateur = ligne.valeur.replace(/^mailto:/i, '');
+        break;
+      case 'DTSTART':
+        courant.debut = { valeur: ligne.valeur, tzid: ligne.params.TZID, dateSeule: ligne.params.VALUE === 'DATE' };
+        break;
+      case 'DTEND':
+        courant.fin = { valeur: ligne.valeur, tzid: ligne.params.TZID, dateSeule: ligne.params.VALUE === 'DATE' };
+        break;
+      case 'DURATION':
+        courant.duree = ligne.valeur;
+        break;
+      case 'RRULE':
+        courant.rrule = ligne.valeur;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return evenements;
+}
+
+// Valeur DATE-TIME iCalendar vers instant UTC (Z, TZID ou heure flottante du fuseau par défaut)
+function parseDateTime({ valeur, tzid, dateSeule }, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(valeur);
+  if (!match || dateSeule || match[4] === undefined) {
+    return null;
+  }
+
+  const [, annee, mois, jour, heures, minutes, secondes, utc] = match;
+  if (utc) {
+    return new Date(Date.UTC(annee, mois - 1, jour, heures, minutes, secondes));
+  }
+
+  // Un TZID inconnu (ex. nom de fuseau Windows) est interprété dans le fuseau par défaut
+  let fuseau = timeZone;
+  if (tzid) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tzid });
+      fuseau = tzid;
+    } catch (error) {
+      fuseau = timeZone;
+    }
+  }
+
+  return toUTC(`${annee}-${mois}-${jour}`, `${heures}:${minutes}:${secondes}`, fuseau);
+}
+
+// Durée iCalendar (ex. PT1H30M) en millisecondes
+function parseDuration(duree) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duree || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, semaines, jours, heures, minutes, secondes] = match.map(valeur => Number(valeur || 0));
+  return ((((semaines * 7 + jours) * 24 + heures) * 60 + minutes) * 60 + secondes) * 1000;
+}
+
+/**
+ * Convertit les dates d'un événement importé en créneau local de réservation
+ * @param {Object} evenement - Événement lu par parseICS
+ * @param {string} [timeZone] - Fuseau horaire des réservations
+ * @returns {Object} - { date, heure_debut, heure_fin }
+ */
+function getEventSlot(evenement, timeZone = getTimeZone()) {
+  if (!evenement.debut) {
+    throw new Error('Date de début manquante');
+  }
+
+  const debut = parseDateTime(evenement.debut, timeZone);
+  if (!debut) {
+    throw new Error('Événement sur la journée entière non pris en charge');
+  }
+
+  let fin = evenement.fin ? parseDateTime(evenement.fin, timeZone) : null;
+  if (!fin && evenement.duree) {
+    const duree = parseDuration(evenement.duree);
+    fin = duree !== null ? new Date(debut.getTime() + duree) : null;
+  }
+
+  if (!fin) {
+    throw new Error('Date de fin manquante ou invalide');
+  }
+
+  const localDebut = fromUTC(debut, timeZone);
+  const localFin = fromUTC(fin, timeZone);
+  if (localDebut.date !== localFin.date) {
+    throw new Error('Événement sur plusieurs jours non pris en charge');
+  }
+
+  return {
+    date: localDebut.date,
+    heure_debut: localDebut.heure,
+    heure_fin: localFin.heure
+  };
+}
+
+module.exports = {
+  getTimeZone,
+  formatLocalDate,
+  toUTC,
+  escapeText,
+  fromUTC,
+  buildEvent,
+  buildCalendar,
+  parseICS,
+  getEventSlot
+};
@@ -0,0 +1,210 @@
+// Liste d'attente des créneaux déjà pris. Les heures des offres (proposee_le, expire_le) sont, comme
+// les créneaux, celles du site de la salle.
+const { withTransaction } = require('../db/init');
+const { loadOpeningRules, checkOpening } = require('./horaires');
+const { sendWaitlistOfferSMS } = require('./sendSMS');
+const { getTimeZone } = require('./ical');
+
+// Délai de réponse à une offre, en minutes (variable LISTE_ATTENTE_DELAI_MINUTES)
+function getOfferDelay() {
+  return parseInt(process.env.LISTE_ATTENTE_DELAI_MINUTES || '30');
+}
+
+/**
+ * Clôt les offres dont le délai de réponse est écoulé et les inscriptions dont le créneau est passé
+ * @param {Object} db - Client de transaction
+ * @param {number[]|null} [salleIds] - Salles concernées (toutes par défaut)
+ * @returns {Promise<number[]>} - Salles des inscriptions closes (une entrée par inscription)
+ */
+async function expireEntries(db, salleIds = null) {
+  const result = await db.query(`
+    UPDATE liste_attente
+    SET statut = 'expiree', updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT la.id
+      FROM liste_attente la
+      JOIN salles s ON la.salle_id = s.id
+      LEFT JOIN batiments b ON s.batiment_id = b.id
+      LEFT JOIN sites si ON b.site_id = si.id
+      WHERE ($1::int[] IS NULL OR la.salle_id = ANY($1))
+        AND (
+          (la.statut = 'proposee' AND la.expire_le <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $2))
+          OR (la.statut = 'en_attente' AND la.date + la.heure_debut <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $2))
+        )
+    )
+    RETURNING salle_id
+  `, [salleIds, getTimeZone()]);
+
+  return result.rows.map(row => row.salle_id);
+}
+
+/**
+ * Propose les créneaux libérés des salles aux inscrits, dans l'ordre d'inscription. Un créneau
+ * est libre si la salle est en service et ouverte, sans réservation (active ou en attente de
+ * validation) ni offre en cours qui le chevauche. Chaque offre est notifiée à l'inscrit dans
+ * la transaction.
+ * @param {Object} db - Client de transaction
+ * @param {number[]} salleIds - Salles dont des créneaux ont pu se libérer
+ * @returns {Promise<Array>} - Offres faites { id, utilisateur_id, salle_id, date, heure_debut, heure_fin, expire_le }
+ */
+async function offerFreedSlots(db, salleIds) {
+  if (salleIds.length === 0) {
+    return [];
+  }
+
+  await expireEntries(db, salleIds);
+
+  const result = await db.query(`
+    SELECT
+      la.id,
+      la.utilisateur_id,
+      la.salle_id,
+      TO_CHAR(la.date, 'YYYY-MM-DD') as date,
+      TO_CHAR(la.date, 'DD/MM/YYYY') as date_affichee,
+      la.heure_debut,
+      la.heure_fin,
+      s.nom as salle_nom,
+      COALESCE(si.fuseau_horaire, $2) as fuseau_horaire,
+      u.nom as utilisateur_nom,
+      u.telephone as utilisateur_telephone
+    FROM liste_attente la
+    JOIN salles s ON la.salle_id = s.id
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    JOIN utilisateurs u ON la.utilisateur_id = u.id
+    WHERE la.salle_id = ANY($1)
+      AND la.statut = 'en_attente'
+      AND s.statut IN ('disponible', 'maintenance')
+    ORDER BY la.created_at, la.id
+    FOR UPDATE OF la
+  `, [salleIds, getTimeZone()]);
+
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const dates = result.rows.map(entree => entree.date).sort();
+  const regles = await loadOpeningRules(db, salleIds, dates[0], dates[dates.length - 1]);
+  const offres = [];
+
+  for (const entree of result.rows) {
+    if (checkOpening(regles, entree.salle_id, entree.date, entree.heure_debut, entree.heure_fin)) {
+      continue;
+    }
+
+    // Les offres faites plus haut dans la boucle bloquent les inscriptions suivantes
+    const occupeResult = await db.query(`
+      SELECT 1 FROM reservations
+      WHERE salle_id = $1 AND date = $2 AND statut IN ('active', 'en_attente') AND heure_debut < $4 AND heure_fin > $3
+      UNION ALL
+      SELECT 1 FROM liste_attente
+      WHERE salle_id = $1 AND date = $2 AND statut = 'proposee' AND heure_debut < $4 AND heure_fin > $3
+      LIMIT 1
+    `, [entree.salle_id, entree.date, entree.heure_debut, entree.heure_fin]);
+
+    if (occupeResult.rows.length > 0) {
+      continue;
+    }
+
+    // L'offre expire au plus tard au début du créneau
+    const offreResult = await db.query(`
+      UPDATE liste_attente
+      SET statut = 'proposee',
+          proposee_le = now() AT TIME ZONE $3,
+          expire_le = LEAST((now() AT TIME ZONE $3) + make_interval(mins => $2), date + heure_debut),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING TO_CHAR(expire_le, 'YYYY-MM-DD HH24:MI') as expire_le, TO_CHAR(expire_le, 'DD/MM/YYYY HH24:MI') as expiration
+    `, [entree.id, getOfferDelay(), entree.fuseau_horaire]);
+    const { expire_le, expiration } = offreResult.rows[0];
+
+    const heureDebut = entree.heure_debut.slice(0, 5);
+    const heureFin = entree.heure_fin.slice(0, 5);
+
+    const smsResult = await sendWaitlistOfferSMS(
+      { id: entree.utilisateur_id, nom: entree.utilisateur_nom, telephone: entree.utilisateur_telephone },
+      entree.salle_nom,
+      entree.date_affichee,
+      heureDebut,
+      heureFin,
+      expiration,
+      { db }
+    );
+
+    await db.query(`
+      INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      entree.utilisateur_id,
+      null,
+      `Créneau disponible pour ${entree.salle_nom} le ${entree.date_affichee} de ${heureDebut} à ${heureFin} : acceptez l'offre avant ${expiration}`,
+      smsResult.success ? 'sms_en_attente' : 'sms_echec',
+      false
+    ]);
+
+    offres.push({
+      id: entree.id,
+      utilisateur_id: entree.utilisateur_id,
+      salle_id: entree.salle_id,
+      date: entree.date,
+      heure_debut: heureDebut,
+      heure_fin: heureFin,
+      expire_le
+    });
+  }
+
+  return offres;
+}
+
+/**
+ * Indique si un créneau est réservé par une offre de la liste d'attente faite à un autre utilisateur
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string|Date} date - Date du créneau
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {number} utilisateurId - Utilisateur qui réserve (ses propres offres ne le bloquent pas)
+ * @returns {Promise<boolean>}
+ */
+async function hasPendingOffer(db, salleId, date, heureDebut, heureFin, utilisateurId) {
+  const result = await db.query(`
+    SELECT 1
+    FROM liste_attente la
+    JOIN salles s ON la.salle_id = s.id
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    WHERE la.salle_id = $1
+      AND la.date = $2
+      AND la.statut = 'proposee'
+      AND la.expire_le > now() AT TIME ZONE COALESCE(si.fuseau_horaire, $6)
+      AND la.utilisateur_id <> $5
+      AND la.heure_debut < $4
+      AND la.heure_fin > $3
+    LIMIT 1
+  `, [salleId, date, heureDebut, heureFin, utilisateurId, getTimeZone()]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Clôt les offres expirées et propose leurs créneaux aux inscrits suivants
+ * @returns {Promise<Object>} - { expirees, proposees } : nombre d'inscriptions traitées
+ */
+async function processListeAttente() {
+  return withTransaction(async (client) => {
+    const salleIds = await expireEntries(client);
+    const offres = await offerFreedSlots(client, [...new Set(salleIds)]);
+
+    return {
+      expirees: salleIds.length,
+      proposees: offres.length
+    };
+  });
+}
+
+module.exports = {
+  expireEntries,
+  offerFreedSlots,
+  hasPendingOffer,
+  processListeAttente
+};
@@ -0,0 +1,151 @@
+// Fenêtres de maintenance planifiées des salles
+const { withTransaction } = require('../db/init');
+const { offerFreedSlots } = require('./listeAttente');
+const { getTimeZone } = require('./ical');
+
+/**
+ * Récupère et verrouille les réservations actives d'une salle qui chevauchent une période
+ * @param {Object} db - Client de transaction
+ * @param {number} salleId - Identifiant de la salle
+ * @param {string} debut - Début de la période (YYYY-MM-DD HH:MM)
+ * @param {string} fin - Fin de la période (YYYY-MM-DD HH:MM)
+ * @returns {Promise<Array>} - Réservations avec le nom et le téléphone de leur propriétaire
+ */
+async function getAffectedReservations(db, salleId, debut, fin) {
+  const result = await db.query(`
+    SELECT 
+      r.*,
+      u.nom as utilisateur_nom,
+      u.telephone as utilisateur_telephone
+    FROM reservations r
+    JOIN utilisateurs u ON r.utilisateur_id = u.id
+    WHERE r.salle_id = $1
+      AND r.statut IN ('active', 'en_attente')
+      AND r.date + r.heure_debut < $3::timestamp
+      AND r.date + r.heure_fin > $2::timestamp
+    ORDER BY r.date, r.heure_debut
+    FOR UPDATE OF r
+  `, [salleId, debut, fin]);
+
+  return result.rows;
+}
+
+/**
+ * Remet en service les salles en maintenance qui n'ont plus de fenêtre en cours
+ * @param {Object} db - Client de transaction
+ * @param {number[]} salleIds - Salles à vérifier
+ * @returns {Promise<number[]>} - Salles remises en service
+ */
+async function restoreSalles(db, salleIds) {
+  const result = await db.query(`
+    UPDATE salles s
+    SET statut = 'disponible', updated_at = CURRENT_TIMESTAMP
+    WHERE s.id = ANY($1)
+      AND s.statut = 'maintenance'
+      AND NOT EXISTS (
+        SELECT 1 FROM maintenances m
+        WHERE m.salle_id = s.id AND m.statut = 'en_cours'
+      )
+    RETURNING s.id
+  `, [salleIds]);
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Fait avancer les fenêtres de maintenance : les salles passent en maintenance au début
+ * de la fenêtre et reviennent en service à sa fin, et leurs créneaux libérés sont proposés
+ * à la liste d'attente. Les fenêtres sont en heure locale du site de la salle
+ * @returns {Promise<Object>} - { demarrees, terminees } : nombre de fenêtres traitées
+ */
+async function processMaintenances() {
+  const timeZone = getTimeZone();
+
+  return withTransaction(async (client) => {
+    const termineesResult = await client.query(`
+      UPDATE maintenances
+      SET statut = 'terminee', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT m.id
+        FROM maintenances m
+        JOIN salles s ON m.salle_id = s.id
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+        WHERE m.statut IN ('planifiee', 'en_cours')
+          AND m.fin <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $1)
+      )
+      RETURNING salle_id
+    `, [timeZone]);
+
+    const demarreesResult = await client.query(`
+      UPDATE maintenances
+      SET statut = 'en_cours', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT m.id
+        FROM maintenances m
+        JOIN salles s ON m.salle_id = s.id
+        LEFT JOIN batiments b ON s.batiment_id = b.id
+        LEFT JOIN sites si ON b.site_id = si.id
+        WHERE m.statut = 'planifiee'
+          AND m.debut <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $1)
+      )
+      RETURNING salle_id
+    `, [timeZone]);
+
+    // Une salle hors service le reste, même pendant une maintenance
+    if (demarreesResult.rows.length > 0) {
+      await client.query(`
+        UPDATE salles
+        SET statut = 'maintenance', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($1) AND statut = 'disponible'
+      `, [demarreesResult.rows.map(row => row.salle_id)]);
+    }
+
+    if (termineesResult.rows.length > 0) {
+      const salleIds = termineesResult.rows.map(row => row.salle_id);
+      await restoreSalles(client, salleIds);
+      await offerFreedSlots(client, [...new Set(salleIds)]);
+    }
+
+    return {
+      demarrees: demarreesResult.rows.length,
+      terminees: termineesResult.rows.length
+    };
+  });
+}
+
+/**
+ * Liste les fenêtres de maintenance d'une salle
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Identifiant de la salle
+ * @param {boolean} [historique=false] - Inclure les fenêtres terminées et annulées
+ * @returns {Promise<Array>} - Fenêtres de maintenance
+ */
+async function listMaintenances(db, salleId, historique = false) {
+  const result = await db.query(`
+    SELECT 
+      m.id,
+      m.salle_id,
+      TO_CHAR(m.debut, 'YYYY-MM-DD HH24:MI') as debut,
+      TO_CHAR(m.fin, 'YYYY-MM-DD HH24:MI') as fin,
+      m.motif,
+      m.action,
+      m.statut,
+      u.nom as created_by_nom,
+      m.created_at
+    FROM maintenances m
+    LEFT JOIN utilisateurs u ON m.created_by = u.id
+    WHERE m.salle_id = $1
+      AND ($2 OR m.statut IN ('planifiee', 'en_cours'))
+    ORDER BY m.debut
+  `, [salleId, historique]);
+
+  return result.rows;
+}
+
+module.exports = {
+  getAffectedReservations,
+  restoreSalles,
+  processMaintenances,
+  listMaintenances
+};
@@ -0,0 +1,132 @@
+// Réinitialisation du mot de passe par code à usage unique (SMS ou email)
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sendPasswordResetSMS } = require('./sendSMS');
+const { revokeAllSessions } = require('./sessions');
+
+// Durée de validité d'un code, en minutes (variable REINITIALISATION_DUREE_MINUTES)
+function getCodeDuration() {
+  return parseInt(process.env.REINITIALISATION_DUREE_MINUTES || '15');
+}
+
+// Essais autorisés par code (variable REINITIALISATION_MAX_TENTATIVES)
+function getMaxAttempts() {
+  return parseInt(process.env.REINITIALISATION_MAX_TENTATIVES || '5');
+}
+
+// Codes envoyés au plus par utilisateur et par heure (variable REINITIALISATION_MAX_CODES_HEURE)
+function getMaxCodesPerHour() {
+  return parseInt(process.env.REINITIALISATION_MAX_CODES_HEURE || '3');
+}
+
+/**
+ * Envoie un code de réinitialisation à l'utilisateur de cet email, s'il existe. Rien n'indique à
+ * l'appelant si le compte existe ni si le nombre de codes par heure est atteint.
+ * @param {Object} db - Client de transaction
+ * @param {string} email - Email saisi
+ * @param {string} [canal] - Canal souhaité ('sms' ou 'email'), les préférences de l'utilisateur sinon
+ * @returns {Promise<boolean>} - true si un code a été mis en file
+ */
+async function requestPasswordReset(db, email, canal) {
+  // Le code est haché même sans compte, pour un temps de réponse comparable
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const codeHash = await bcrypt.hash(code, 10);
+
+  const result = await db.query(
+    'SELECT id, nom, email, telephone, canaux_notification FROM utilisateurs WHERE email = $1 FOR UPDATE',
+    [email]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const utilisateur = result.rows[0];
+
+  const recentsResult = await db.query(`
+    SELECT COUNT(*) as count FROM codes_reinitialisation
+    WHERE utilisateur_id = $1 AND created_at > LOCALTIMESTAMP - INTERVAL '1 hour'
+  `, [utilisateur.id]);
+
+  if (parseInt(recentsResult.rows[0].count) >= getMaxCodesPerHour()) {
+    return false;
+  }
+
+  // Un nouveau code remplace les précédents
+  await db.query(`
+    UPDATE codes_reinitialisation SET expire_le = LOCALTIMESTAMP
+    WHERE utilisateur_id = $1 AND utilise_le IS NULL AND expire_le > LOCALTIMESTAMP
+  `, [utilisateur.id]);
+
+  await db.query(`
+    INSERT INTO codes_reinitialisation (utilisateur_id, code_hash, expire_le)
+    VALUES ($1, $2, LOCALTIMESTAMP + make_interval(mins => $3))
+  `, [utilisateur.id, codeHash, getCodeDuration()]);
+
+  const destinataire = canal ? { ...utilisateur, canaux_notification: [canal] } : utilisateur;
+  const smsResult = await sendPasswordResetSMS(destinataire, code, getCodeDuration(), { db });
+
+  return smsResult.success;
+}
+
+/**
+ * Change le mot de passe si le code est valable : non expiré, non utilisé et sous la limite d'essais.
+ * Un essai manqué est compté ; le code est consommé en cas de succès et toutes les sessions de
+ * l'utilisateur sont fermées.
+ * @param {Object} db - Client de transaction
+ * @param {Object} demande - { email, code, nouveau_mot_de_passe }
+ * @returns {Promise<boolean>} - false si le code (ou l'email) n'est pas valable
+ */
+async function resetPassword(db, { email, code, nouveau_mot_de_passe }) {
+  const result = await db.query(`
+    SELECT c.id, c.utilisateur_id, c.code_hash, c.tentatives
+    FROM codes_reinitialisation c
+    JOIN utilisateurs u ON c.utilisateur_id = u.id
+    WHERE u.email = $1
+      AND c.utilise_le IS NULL
+      AND c.expire_le > LOCALTIMESTAMP
+    ORDER BY c.created_at DESC
+    LIMIT 1
+    FOR UPDATE OF c
+  `, [email]);
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const demande = result.rows[0];
+
+  if (demande.tentatives >= getMaxAttempts()) {
+    return false;
+  }
+
+  if (!await bcrypt.compare(code, demande.code_hash)) {
+    // Le dernier essai autorisé manqué rend le code inutilisable
+    await db.query(`
+      UPDATE codes_reinitialisation
+      SET tentatives = tentatives + 1,
+          expire_le = CASE WHEN tentatives + 1 >= $2 THEN LOCALTIMESTAMP ELSE expire_le END
+      WHERE id = $1
+    `, [demande.id, getMaxAttempts()]);
+    return false;
+  }
+
+  const hashedPassword = await bcrypt.hash(nouveau_mot_de_passe, 10);
+
+  await db.query(
+    'UPDATE utilisateurs SET mot_de_passe = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [hashedPassword, demande.utilisateur_id]
+  );
+  await db.query(
+    'UPDATE codes_reinitialisation SET utilise_le = CURRENT_TIMESTAMP WHERE id = $1',
+    [demande.id]
+  );
+  await revokeAllSessions(db, demande.utilisateur_id);
+
+  return true;
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
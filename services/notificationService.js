@@ -0,0 +1,144 @@
+const { getPool } = require('../db/init');
+const smsChannel = require('./channels/smsChannel');
+const emailChannel = require('./channels/emailChannel');
+const consoleChannel = require('./channels/consoleChannel');
+const { enqueueMessage } = require('./outbox');
+
+// Canaux disponibles, indexés par nom. Un canal expose :
+// - name : identifiant du canal (ex. 'sms')
+// - getAddress(utilisateur) : adresse du destinataire sur ce canal, ou null
+// - send(adresse, { sujet, message }) : envoi, retourne { success, ... }
+const channels = new Map();
+
+/**
+ * Enregistre un canal de notification
+ * @param {Object} channel - Canal implémentant name, getAddress et send
+ */
+function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+registerChannel(smsChannel);
+registerChannel(emailChannel);
+registerChannel(consoleChannel);
+
+function getChannel(nom) {
+  return channels.get(nom);
+}
+
+// Canaux activés sur cette instance (variable NOTIFICATION_CHANNELS, ex. "sms,email" ou "console")
+function getEnabledChannels() {
+  return (process.env.NOTIFICATION_CHANNELS || 'sms,email')
+    .split(',')
+    .map(nom => nom.trim())
+    .filter(nom => channels.has(nom));
+}
+
+// Compléter le destinataire (email, préférences) depuis la base si nécessaire
+async function resolveRecipient(destinataire, db) {
+  if (destinataire.canaux_notification !== undefined || !destinataire.id) {
+    return destinataire;
+  }
+
+  const result = await db.query(
+    'SELECT id, nom, email, telephone, canaux_notification FROM utilisateurs WHERE id = $1',
+    [destinataire.id]
+  );
+
+  return result.rows[0] ? { ...destinataire, ...result.rows[0] } : destinataire;
+}
+
+/**
+ * Choisit les canaux d'un destinataire : ses canaux préférés parmi ceux activés et joignables,
+ * sinon le premier canal activé pour lequel il a une adresse (ex. email si son numéro est invalide)
+ * @param {Object} utilisateur - Destinataire avec ses préférences
+ * @returns {string[]} - Noms des canaux à utiliser
+ */
+function selectChannels(utilisateur) {
+  const enabled = getEnabledChannels();
+  const joignable = nom => enabled.includes(nom) && channels.get(nom).getAddress(utilisateur);
+
+  const preferes = (utilisateur.canaux_notification || ['sms']).filter(joignable);
+  if (preferes.length > 0) {
+    return preferes;
+  }
+
+  const secours = enabled.find(joignable);
+  return secours ? [secours] : [];
+}
+
+/**
+ * Met en file une notification pour un utilisateur sur ses canaux. L'envoi est assuré
+ * par services/outboxWorker.js, avec nouvelles tentatives en cas d'échec.
+ * @param {Object} destinataire - Utilisateur ({ id, nom, telephone, email, canaux_notification })
+ * @param {Object} contenu - { sujet, message, secret, secretMinutes } : secret est un code à usage unique
+ *   inséré à l'envoi à la place de EMPLACEMENT_SECRET (voir services/outbox.js), jamais conservé dans le message
+ * @param {Object} [options] - { db } : client de transaction, pour ne mettre en file qu'en cas de validation
+ * @returns {Promise<Object>} - Résultat global et messages mis en file
+ */
+async function notifyUser(destinataire, { sujet, message, secret, secretMinutes }, options = {}) {
+  const db = options.db || getPool();
+
+  try {
+    const utilisateur = await resolveRecipient(destinataire, db);
+
+    // Liste vide : l'utilisateur a désactivé ses notifications
+    if (Array.isArray(utilisateur.canaux_notification) && utilisateur.canaux_notification.length === 0) {
+      return { success: false, error: 'Notifications désactivées', results: [] };
+    }
+
+    const canaux = selectChannels(utilisateur);
+    if (canaux.length === 0) {
+      console.warn(`⚠️ Aucun canal de notification disponible pour ${utilisateur.nom || utilisateur.id}`);
+      return {
+        success: false,
+        error: 'Aucun canal de notification disponible',
+        to: utilisateur.telephone,
+        results: []
+      };
+    }
+
+    const results = [];
+    for (const nom of canaux) {
+      const adresse = channels.get(nom).getAddress(utilisateur);
+      const messageId = await enqueueMessage(db, {
+        utilisateurId: utilisateur.id,
+        canal: nom,
+        destinataire: adresse,
+        sujet,
+        contenu: message,
+        secret,
+        secretMinutes
+      });
+      results.push({ canal: nom, success: true, queued: true, to: adresse, messageId });
+    }
+
+    return {
+      success: true,
+      queued: true,
+      canaux,
+      to: results.map(r => r.to).join(', '),
+      results
+    };
+  } catch (error) {
+    // Dans une transaction, l'erreur doit annuler toute l'opération
+    if (options.db) {
+      throw error;
+    }
+
+    console.error('❌ Erreur lors de la mise en file de la notification:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      results: []
+    };
+  }
+}
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  getEnabledChannels,
+  selectChannels,
+  notifyUser
+};
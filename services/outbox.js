@@ -0,0 +1,143 @@
+const { getPool } = require('../db/init');
+
+// Emplacement du code à usage unique dans le contenu d'un message : le code n'est inséré qu'à l'envoi
+const EMPLACEMENT_SECRET = '{{secret}}';
+
+/**
+ * Ajoute un message à la file d'envoi. Appelé avec le client d'une transaction,
+ * le message n'est envoyé que si la transaction est validée.
+ * Un code à usage unique (secret) n'est jamais écrit dans le contenu : il remplace EMPLACEMENT_SECRET
+ * au moment de l'envoi, puis est effacé dès l'envoi, l'abandon du message ou son expiration.
+ * @param {Object} db - Client de transaction ou pool
+ * @param {Object} message - { utilisateurId, canal, destinataire, sujet, contenu, secret, secretMinutes }
+ * @returns {Promise<number>} - Identifiant du message
+ */
+async function enqueueMessage(db, { utilisateurId, canal, destinataire, sujet, contenu, secret = null, secretMinutes = null }) {
+  const result = await db.query(`
+    INSERT INTO messages_sortants (utilisateur_id, canal, destinataire, sujet, contenu, max_tentatives, secret, secret_expire_le)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $7::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(mins => $8) END)
+    RETURNING id
+  `, [
+    utilisateurId || null,
+    canal,
+    destinataire,
+    sujet,
+    contenu,
+    parseInt(process.env.OUTBOX_MAX_TENTATIVES || '5'),
+    secret,
+    secretMinutes || 15
+  ]);
+
+  return result.rows[0].id;
+}
+
+/**
+ * Réserve les prochains messages à envoyer. Chaque message réservé est masqué pendant
+ * 5 minutes : si le processus s'arrête pendant l'envoi, il sera repris ensuite.
+ * @param {number} limite - Nombre maximal de messages
+ * @returns {Promise<Array>} - Messages à envoyer
+ */
+async function claimDueMessages(limite) {
+  const result = await getPool().query(`
+    UPDATE messages_sortants
+    SET tentatives = tentatives + 1,
+        prochaine_tentative = CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM messages_sortants
+      WHERE statut = 'en_attente'
+        AND prochaine_tentative <= CURRENT_TIMESTAMP
+      ORDER BY prochaine_tentative
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limite]);
+
+  return result.rows;
+}
+
+async function markSent(id, fournisseurId) {
+  await getPool().query(`
+    UPDATE messages_sortants
+    SET statut = 'envoye',
+        secret = NULL,
+        fournisseur_id = $2,
+        derniere_erreur = NULL,
+        envoye_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, fournisseurId || null]);
+}
+
+// Planifier une nouvelle tentative avec un délai exponentiel, ou abandonner après max_tentatives
+async function markFailed(message, erreur) {
+  const base = parseInt(process.env.OUTBOX_BACKOFF_SECONDS || '30');
+  const delai = base * Math.pow(2, message.tentatives - 1);
+  const definitif = message.tentatives >= message.max_tentatives;
+
+  await getPool().query(`
+    UPDATE messages_sortants
+    SET statut = $2,
+        secret = CASE WHEN $2 = 'echec' THEN NULL ELSE secret END,
+        derniere_erreur = $3,
+        prochaine_tentative = CURRENT_TIMESTAMP + make_interval(secs => $4),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [message.id, definitif ? 'echec' : 'en_attente', erreur, delai]);
+
+  return definitif;
+}
+
+/**
+ * Efface les codes à usage unique expirés ; les messages qui ne sont pas encore partis sont abandonnés
+ * @returns {Promise<number>} - Nombre de messages concernés
+ */
+async function expireSecrets() {
+  const result = await getPool().query(`
+    UPDATE messages_sortants
+    SET secret = NULL,
+        statut = CASE WHEN statut = 'en_attente' THEN 'echec' ELSE statut END,
+        derniere_erreur = CASE WHEN statut = 'en_attente' THEN 'Code à usage unique expiré' ELSE derniere_erreur END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE secret IS NOT NULL AND secret_expire_le <= CURRENT_TIMESTAMP
+  `);
+
+  return result.rowCount;
+}
+
+/**
+ * Remet en file des messages en échec (sauf ceux dont le code à usage unique a été effacé)
+ * @param {number|null} id - Message à relancer, ou null pour tous les messages en échec
+ * @returns {Promise<number>} - Nombre de messages relancés
+ */
+async function retryFailedMessages(id = null) {
+  const params = [];
+  let query = `
+    UPDATE messages_sortants
+    SET statut = 'en_attente',
+        tentatives = 0,
+        prochaine_tentative = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE statut = 'echec'
+      AND secret_expire_le IS NULL
+  `;
+
+  if (id) {
+    params.push(id);
+    query += ' AND id = $1';
+  }
+
+  const result = await getPool().query(query, params);
+  return result.rowCount;
+}
+
+module.exports = {
+  EMPLACEMENT_SECRET,
+  enqueueMessage,
+  claimDueMessages,
+  markSent,
+  markFailed,
+  expireSecrets,
+  retryFailedMessages
+};
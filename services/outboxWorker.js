@@ -0,0 +1,102 @@
+const { EMPLACEMENT_SECRET, claimDueMessages, markSent, markFailed, expireSecrets } = require('./outbox');
+const { getChannel } = require('./notificationService');
+
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+/**
+ * Envoie un message de la file sur son canal
+ * @param {Object} message - Ligne de messages_sortants
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+async function deliverMessage(message) {
+  const channel = getChannel(message.canal);
+  if (!channel) {
+    return { success: false, error: `Canal inconnu: ${message.canal}` };
+  }
+
+  // Le code à usage unique n'existe en clair que le temps de l'envoi
+  const contenu = message.secret
+    ? message.contenu.split(EMPLACEMENT_SECRET).join(message.secret)
+    : message.contenu;
+
+  return channel.send(message.destinataire, { sujet: message.sujet, message: contenu });
+}
+
+/**
+ * Traite un lot de messages arrivés à échéance
+ * @returns {Promise<number>} - Nombre de messages traités
+ */
+async function processOutbox() {
+  await expireSecrets();
+  const messages = await claimDueMessages(BATCH_SIZE);
+
+  for (const message of messages) {
+    let result;
+    try {
+      result = await deliverMessage(message);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      // SID Twilio ou Message-ID SMTP
+      await markSent(message.id, result.sid || result.messageId);
+    } else {
+      const definitif = await markFailed(message, result.error || 'Erreur inconnue');
+      if (definitif) {
+        console.error(`❌ Message ${message.id} (${message.canal} → ${message.destinataire}) abandonné après ${message.tentatives} tentatives`);
+      }
+    }
+  }
+
+  return messages.length;
+}
+
+async function tick() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    // Vider la file tant que des lots complets sont disponibles
+    while (await processOutbox() === BATCH_SIZE) {
+      // lot suivant
+    }
+  } catch (error) {
+    console.error('❌ Erreur du worker de messages sortants:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Démarre l'envoi périodique des messages en file
+ */
+function startOutboxWorker() {
+  if (timer) {
+    return;
+  }
+
+  const intervalle = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '5000');
+  timer = setInterval(tick, intervalle);
+  tick();
+  console.log(`📬 Worker de messages sortants démarré (toutes les ${intervalle} ms)`);
+}
+
+function stopOutboxWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  deliverMessage,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker
+};
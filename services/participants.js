@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { sendInvitationSMS } = require('./sendSMS');
+
+/**
+ * Complète et dédoublonne une liste de participants. Un email externe qui correspond
+ * à un compte existant est rattaché à cet utilisateur.
+ * @param {Object} db - Client de transaction
+ * @param {Array} participants - [{ utilisateur_id } | { email, nom }]
+ * @param {number} organisateurId - Utilisateur qui réserve (jamais invité à sa propre réunion)
+ * @returns {Promise<Array>} - Participants { utilisateur_id, email, nom } et coordonnées des utilisateurs
+ */
+async function resolveParticipants(db, participants, organisateurId) {
+  const ids = participants.filter(p => p.utilisateur_id).map(p => p.utilisateur_id);
+  const emails = participants.filter(p => p.email).map(p => p.email.toLowerCase());
+
+  const usersResult = await db.query(`
+    SELECT id, nom, email, telephone, canaux_notification
+    FROM utilisateurs
+    WHERE id = ANY($1) OR LOWER(email) = ANY($2)
+  `, [ids, emails]);
+
+  const inconnus = ids.filter(id => !usersResult.rows.some(u => u.id === id));
+  if (inconnus.length > 0) {
+    const error = new Error('Participant non trouvé');
+    error.participants = inconnus;
+    throw error;
+  }
+
+  const resolus = new Map();
+  for (const participant of participants) {
+    const utilisateur = usersResult.rows.find(u =>
+      u.id === participant.utilisateur_id ||
+      (participant.email && u.email.toLowerCase() === participant.email.toLowerCase())
+    );
+
+    if (utilisateur) {
+      if (utilisateur.id !== organisateurId) {
+        resolus.set(`u${utilisateur.id}`, {
+          utilisateur_id: utilisateur.id,
+          email: null,
+          nom: utilisateur.nom,
+          utilisateur_email: utilisateur.email,
+          telephone: utilisateur.telephone,
+          canaux_notification: utilisateur.canaux_notification
+        });
+      }
+    } else {
+      const email = participant.email.toLowerCase();
+      resolus.set(email, { utilisateur_id: null, email, nom: participant.nom || null });
+    }
+  }
+
+  return [...resolus.values()];
+}
+
+/**
+ * Compte les personnes attendues : l'organisateur et les participants qui n'ont pas refusé
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} reservationId - Réservation
+ * @returns {Promise<number>} - Nombre de personnes
+ */
+async function countAttendees(db, reservationId) {
+  const result = await db.query(
+    "SELECT COUNT(*) as total FROM participants_reservation WHERE reservation_id = $1 AND statut != 'refuse'",
+    [reservationId]
+  );
+  return 1 + parseInt(result.rows[0].total);
+}
+
+// Refuser un nombre de personnes supérieur à la capacité de la salle
+function assertCapacity(capacite, nombrePersonnes) {
+  if (nombrePersonnes > capacite) {
+    const error = new Error('Capacité de la salle dépassée');
+    error.capacite = capacite;
+    error.personnes = nombrePersonnes;
+    throw error;
+  }
+}
+
+// Lien de réponse d'un participant externe (routes/invitations.js, montées sur /api/invitations).
+// Sans API_URL, le lien serait inutilisable : l'invitation est refusée plutôt qu'envoyée.
+function getInvitationUrl(jeton) {
+  if (!process.env.API_URL) {
+    throw new Error('API_URL doit être défini pour inviter des participants externes');
+  }
+  return `${process.env.API_URL}/api/invitations/${jeton}`;
+}
+
+/**
+ * Ajoute des participants à une réservation et met en file leurs invitations.
+ * Les participants déjà invités sont ignorés.
+ * @param {Object} db - Client de transaction
+ * @param {Object} reservation - { id, date, heure_debut, heure_fin }
+ * @param {Array} participants - Participants résolus par resolveParticipants
+ * @param {Object} contexte - { organisateur, salleNom }
+ * @returns {Promise<Array>} - Participants ajoutés
+ */
+async function addParticipants(db, reservation, participants, { organisateur, salleNom }) {
+  const ajoutes = [];
+
+  for (const participant of participants) {
+    const jeton = crypto.randomBytes(24).toString('hex');
+    const result = await db.query(`
+      INSERT INTO participants_reservation (reservation_id, utilisateur_id, email, nom, jeton)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING
+      RETURNING id, utilisateur_id, email, nom, statut, created_at
+    `, [reservation.id, participant.utilisateur_id, participant.email, participant.nom, jeton]);
+
+    if (result.rows.length === 0) {
+      continue;
+    }
+
+    // Les utilisateurs répondent depuis l'application, les externes avec le lien de leur invitation
+    const destinataire = participant.utilisateur_id
+      ? {
+        id: participant.utilisateur_id,
+        nom: participant.nom,
+        email: participant.utilisateur_email,
+        telephone: participant.telephone,
+        canaux_notification: participant.canaux_notification
+      }
+      : { nom: participant.nom || participant.email, email: participant.email, canaux_notification: ['email'] };
+    const lienReponse = participant.utilisateur_id
+      ? null
+      : getInvitationUrl(jeton);
+
+    await sendInvitationSMS(
+      destinataire,
+      organisateur.nom,
+      salleNom,
+      new Date(reservation.date).toLocaleDateString('fr-FR'),
+      reservation.heure_debut.slice(0, 5),
+      reservation.heure_fin.slice(0, 5),
+      lienReponse,
+      { db }
+    );
+
+    ajoutes.push(result.rows[0]);
+  }
+
+  return ajoutes;
+}
+
+/**
+ * Enregistre la réponse d'un participant. Une acceptation après un refus
+ * compte de nouveau dans la capacité de la salle.
+ * @param {Object} db - Client de transaction
+ * @param {Object} participant - Ligne verrouillée, avec reservation_id, statut et salle_capacite
+ * @param {string} reponse - 'accepte' ou 'refuse'
+ * @returns {Promise<Object>} - Participant mis à jour
+ */
+async function respondToInvitation(db, participant, reponse) {
+  if (reponse === 'accepte' && participant.statut === 'refuse') {
+    assertCapacity(participant.salle_capacite, await countAttendees(db, participant.reservation_id) + 1);
+  }
+
+  const result = await db.query(`
+    UPDATE participants_reservation
+    SET statut = $1, repondu_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING id, reservation_id, utilisateur_id, email, nom, statut, repondu_at
+  `, [reponse, participant.id]);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  resolveParticipants,
+  countAttendees,
+  assertCapacity,
+  addParticipants,
+  respondToInvitation
+};
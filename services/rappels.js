@@ -0,0 +1,122 @@
+// Rappels envoyés avant le début des réservations
+const { withTransaction } = require('../db/init');
+const { sendReminderSMS } = require('./sendSMS');
+const { getTimeZone } = require('./ical');
+
+/**
+ * Délais des rappels avant le début d'une réservation, en minutes (variable RAPPELS_MINUTES,
+ * liste séparée par des virgules ; vide pour désactiver les rappels)
+ * @returns {number[]} - Délais distincts, du plus court au plus long
+ */
+function getReminderDelays() {
+  const valeur = process.env.RAPPELS_MINUTES === undefined ? '1440,15' : process.env.RAPPELS_MINUTES;
+  const delais = valeur
+    .split(',')
+    .map(delai => parseInt(delai.trim()))
+    .filter(delai => delai > 0);
+
+  return [...new Set(delais)].sort((a, b) => a - b);
+}
+
+/**
+ * Envoie les rappels dus aux auteurs des réservations actives. Un rappel n'est envoyé qu'une fois par
+ * réservation et par délai (table rappels_reservations), et pas si un rappel plus proche du début a déjà
+ * été envoyé ou si la réservation a été créée après l'heure du rappel. Les heures sont comparées dans
+ * le fuseau horaire du site de la salle (FUSEAU_HORAIRE pour une salle sans site).
+ * @returns {Promise<Object>} - { envoyes } : nombre de rappels mis en file
+ */
+async function processRappels() {
+  const delais = getReminderDelays();
+  if (delais.length === 0) {
+    return { envoyes: 0 };
+  }
+
+  return withTransaction(async (client) => {
+    let envoyes = 0;
+
+    // Du délai le plus court au plus long : un rappel tardif ne double pas un rappel plus proche
+    for (const delai of delais) {
+      const result = await client.query(`
+        WITH dus AS (
+          INSERT INTO rappels_reservations (reservation_id, delai_minutes)
+          SELECT l.id, $1
+          FROM (
+            -- Début, heure courante et date de création dans le fuseau horaire du site de la salle
+            SELECT
+              r.id,
+              r.date + r.heure_debut as debut,
+              now() AT TIME ZONE COALESCE(si.fuseau_horaire, $2) as maintenant,
+              (r.created_at AT TIME ZONE current_setting('TimeZone')) AT TIME ZONE COALESCE(si.fuseau_horaire, $2) as creee_le
+            FROM reservations r
+            JOIN salles s ON r.salle_id = s.id
+            LEFT JOIN batiments b ON s.batiment_id = b.id
+            LEFT JOIN sites si ON b.site_id = si.id
+            WHERE r.statut = 'active'
+          ) l
+          WHERE l.debut > l.maintenant
+            AND l.debut <= l.maintenant + make_interval(mins => $1)
+            AND l.creee_le < l.debut - make_interval(mins => $1)
+            AND NOT EXISTS (
+              SELECT 1 FROM rappels_reservations rr
+              WHERE rr.reservation_id = l.id AND rr.delai_minutes <= $1
+            )
+          ON CONFLICT DO NOTHING
+          RETURNING reservation_id
+        )
+        SELECT
+          r.id,
+          TO_CHAR(r.date, 'DD/MM/YYYY') as date_affichee,
+          r.heure_debut,
+          r.heure_fin,
+          s.nom as salle_nom,
+          u.id as utilisateur_id,
+          u.nom as utilisateur_nom,
+          u.email as utilisateur_email,
+          u.telephone as utilisateur_telephone
+        FROM dus d
+        JOIN reservations r ON d.reservation_id = r.id
+        JOIN salles s ON r.salle_id = s.id
+        JOIN utilisateurs u ON r.utilisateur_id = u.id
+      `, [delai, getTimeZone()]);
+
+      for (const reservation of result.rows) {
+        const heureDebut = reservation.heure_debut.slice(0, 5);
+        const heureFin = reservation.heure_fin.slice(0, 5);
+
+        const smsResult = await sendReminderSMS(
+          {
+            id: reservation.utilisateur_id,
+            nom: reservation.utilisateur_nom,
+            email: reservation.utilisateur_email,
+            telephone: reservation.utilisateur_telephone
+          },
+          reservation.salle_nom,
+          reservation.date_affichee,
+          heureDebut,
+          heureFin,
+          { db: client }
+        );
+
+        await client.query(`
+          INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [
+          reservation.utilisateur_id,
+          reservation.id,
+          `Rappel : réservation de ${reservation.salle_nom} le ${reservation.date_affichee} de ${heureDebut} à ${heureFin}`,
+          smsResult.success ? 'sms_en_attente' : 'sms_echec',
+          false
+        ]);
+      }
+
+      envoyes += result.rows.length;
+    }
+
+    return { envoyes };
+  });
+}
+
+module.exports = {
+  getReminderDelays,
+  processRappels
+};
@@ -0,0 +1,113 @@
+// Nombre maximal d'occurrences générées pour une série
+const MAX_OCCURRENCES = 104;
+
+// Garde-fou sur la période parcourue (environ 3 ans)
+const MAX_JOURS_PARCOURUS = 3 * 366;
+
+const JOUR_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convertit une date (Date ou chaîne) en chaîne ISO YYYY-MM-DD
+ * @param {Date|string} date - Date à convertir
+ * @returns {string} - Date au format YYYY-MM-DD
+ */
+function toISODate(date) {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function parseISODate(dateStr) {
+  const [annee, mois, jour] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(annee, mois - 1, jour));
+}
+
+function addDays(date, jours) {
+  return new Date(date.getTime() + jours * JOUR_MS);
+}
+
+// Lundi de la semaine contenant la date (les semaines commencent le lundi)
+function startOfWeek(date) {
+  const decalage = (date.getUTCDay() + 6) % 7;
+  return addDays(date, -decalage);
+}
+
+/**
+ * Génère les dates d'une série de réservations à partir d'une règle de récurrence
+ * @param {Date|string} dateDebut - Date de la première occurrence
+ * @param {Object} regle - Règle de récurrence
+ * @param {string} regle.frequence - 'quotidienne', 'hebdomadaire' ou 'mensuelle'
+ * @param {number} [regle.intervalle=1] - Nombre de jours/semaines/mois entre deux occurrences
+ * @param {number[]} [regle.jours_semaine] - Jours de la semaine (0 = dimanche ... 6 = samedi), fréquence hebdomadaire uniquement
+ * @param {Date|string} [regle.date_fin] - Dernière date possible (incluse)
+ * @param {number} [regle.nombre_occurrences] - Nombre d'occurrences à générer
+ * @returns {string[]} - Dates des occurrences au format YYYY-MM-DD
+ */
+function generateOccurrences(dateDebut, regle) {
+  const debut = parseISODate(toISODate(dateDebut));
+  const fin = regle.date_fin ? parseISODate(toISODate(regle.date_fin)) : null;
+  const intervalle = regle.intervalle || 1;
+  const limite = regle.nombre_occurrences || MAX_OCCURRENCES + 1;
+
+  if (!fin && !regle.nombre_occurrences) {
+    throw new Error('La récurrence doit préciser une date de fin ou un nombre d\'occurrences');
+  }
+
+  if (fin && fin < debut) {
+    throw new Error('La date de fin de la récurrence doit être postérieure à la date de début');
+  }
+
+  const dates = [];
+  const accepter = (date) => {
+    if (fin && date > fin) {
+      return false;
+    }
+    dates.push(toISODate(date));
+    return dates.length < limite;
+  };
+
+  if (regle.frequence === 'quotidienne') {
+    for (let i = 0; i * intervalle <= MAX_JOURS_PARCOURUS; i++) {
+      if (!accepter(addDays(debut, i * intervalle))) break;
+    }
+  } else if (regle.frequence === 'hebdomadaire') {
+    const jours = regle.jours_semaine && regle.jours_semaine.length > 0
+      ? regle.jours_semaine
+      : [debut.getUTCDay()];
+    const semaineDebut = startOfWeek(debut);
+
+    for (let i = 0; i <= MAX_JOURS_PARCOURUS; i++) {
+      const date = addDays(debut, i);
+      const semaine = Math.floor((date - semaineDebut) / (7 * JOUR_MS));
+      if (semaine % intervalle !== 0 || !jours.includes(date.getUTCDay())) {
+        continue;
+      }
+      if (!accepter(date)) break;
+    }
+  } else if (regle.frequence === 'mensuelle') {
+    const jour = debut.getUTCDate();
+    for (let i = 0; i * intervalle <= 36; i++) {
+      const date = new Date(Date.UTC(debut.getUTCFullYear(), debut.getUTCMonth() + i * intervalle, jour));
+      // Ignorer les mois qui ne contiennent pas ce jour (ex. 31)
+      if (date.getUTCDate() !== jour) {
+        continue;
+      }
+      if (!accepter(date)) break;
+    }
+  } else {
+    throw new Error(`Fréquence de récurrence inconnue: ${regle.frequence}`);
+  }
+
+  if (dates.length > MAX_OCCURRENCES) {
+    throw new Error(`Une série ne peut pas dépasser ${MAX_OCCURRENCES} occurrences`);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  generateOccurrences,
+  toISODate
+};
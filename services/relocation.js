@@ -0,0 +1,101 @@
+// Déplacement des réservations vers une salle équivalente
+const { isReservationOverlapError } = require('../db/init');
+const { formatLocalDate, getTimeZone } = require('./ical');
+const { countAttendees } = require('./participants');
+const { loadOpeningRules, checkOpening } = require('./horaires');
+
+/**
+ * Liste les salles pouvant accueillir une réservation au même créneau : assez grandes pour
+ * l'organisateur et ses participants, ouvertes, sans validation requise (la réservation déplacée reste
+ * confirmée), sans réservation qui chevauche ni créneau proposé à une autre personne de la liste d'attente
+ * @param {Object} db - Client de transaction
+ * @param {Object} reservation - Réservation { id, utilisateur_id, salle_id, date, heure_debut, heure_fin }
+ * @param {Object} [options]
+ * @param {number[]} [options.exclure] - Salles à écarter en plus de la salle actuelle
+ * @returns {Promise<Array>} - Salles { id, nom, capacite }, la mieux dimensionnée d'abord
+ */
+async function findEquivalentSalles(db, reservation, { exclure = [] } = {}) {
+  const date = formatLocalDate(reservation.date);
+  const personnes = await countAttendees(db, reservation.id);
+
+  const result = await db.query(`
+    SELECT s.id, s.nom, s.capacite
+    FROM salles s
+    LEFT JOIN batiments b ON s.batiment_id = b.id
+    LEFT JOIN sites si ON b.site_id = si.id
+    WHERE s.statut IN ('disponible', 'maintenance')
+      AND NOT s.validation_requise
+      AND s.capacite >= $1
+      AND s.id <> ALL($2::int[])
+      AND NOT EXISTS (
+        SELECT 1 FROM reservations r
+        WHERE r.salle_id = s.id
+          AND r.date = $3
+          AND r.statut IN ('active', 'en_attente')
+          AND r.heure_debut < $5
+          AND r.heure_fin > $4
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM liste_attente la
+        WHERE la.salle_id = s.id
+          AND la.date = $3
+          AND la.statut = 'proposee'
+          AND la.expire_le > now() AT TIME ZONE COALESCE(si.fuseau_horaire, $7)
+          AND ($6::int IS NULL OR la.utilisateur_id <> $6)
+          AND la.heure_debut < $5
+          AND la.heure_fin > $4
+      )
+    ORDER BY s.capacite, s.nom
+  `, [
+    personnes,
+    [reservation.salle_id, ...exclure],
+    date,
+    reservation.heure_debut,
+    reservation.heure_fin,
+    reservation.utilisateur_id || null,
+    getTimeZone()
+  ]);
+
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const regles = await loadOpeningRules(db, result.rows.map(s => s.id), date, date);
+  return result.rows.filter(salle =>
+    !checkOpening(regles, salle.id, date, reservation.heure_debut, reservation.heure_fin)
+  );
+}
+
+/**
+ * Déplace une réservation vers la première salle équivalente libre
+ * @param {Object} db - Client de transaction
+ * @param {Object} reservation - Réservation { id, utilisateur_id, salle_id, date, heure_debut, heure_fin }
+ * @param {Object} [options] - { exclure } : salles à écarter
+ * @returns {Promise<Object|null>} - Nouvelle salle { id, nom, capacite }, ou null si aucune ne convient
+ */
+async function relocateReservation(db, reservation, options = {}) {
+  for (const salle of await findEquivalentSalles(db, reservation, options)) {
+    // Une réservation concurrente peut prendre la salle entre-temps : essayer la suivante
+    await db.query('SAVEPOINT relocalisation');
+    try {
+      await db.query(
+        'UPDATE reservations SET salle_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [salle.id, reservation.id]
+      );
+      await db.query('RELEASE SAVEPOINT relocalisation');
+      return salle;
+    } catch (error) {
+      await db.query('ROLLBACK TO SAVEPOINT relocalisation');
+      if (!isReservationOverlapError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findEquivalentSalles,
+  relocateReservation
+};
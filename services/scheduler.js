@@ -0,0 +1,95 @@
+// Tâches périodiques du serveur
+const { getPool } = require('../db/init');
+const { processMaintenances } = require('./maintenances');
+const { processListeAttente } = require('./listeAttente');
+const { processNoShows } = require('./checkIn');
+const { processTerminees } = require('./terminees');
+const { processRappels } = require('./rappels');
+const { purgeSessions } = require('./sessions');
+const { processDemandesExpirees } = require('./validation');
+
+let timer = null;
+let running = false;
+
+// Tâches exécutées à chaque passage, dans l'ordre
+const TACHES = [
+  { nom: 'maintenances', executer: processMaintenances },
+  { nom: 'no_show', executer: processNoShows },
+  { nom: 'demandes_expirees', executer: processDemandesExpirees },
+  { nom: 'terminees', executer: processTerminees },
+  { nom: 'rappels', executer: processRappels },
+  { nom: 'liste_attente', executer: processListeAttente },
+  { nom: 'sessions', executer: purgeSessions }
+];
+
+/**
+ * Exécute une tâche sous un verrou consultatif PostgreSQL : si une autre instance du serveur
+ * l'exécute déjà, la tâche est ignorée jusqu'au prochain passage
+ * @param {Object} tache - { nom, executer }
+ * @returns {Promise<boolean>} - true si la tâche a été exécutée
+ */
+async function runExclusive(tache) {
+  const client = await getPool().connect();
+  const cle = `scheduler:${tache.nom}`;
+
+  try {
+    const verrou = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) as obtenu', [cle]);
+    if (!verrou.rows[0].obtenu) {
+      return false;
+    }
+
+    try {
+      await tache.executer();
+      return true;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [cle]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function tick() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    for (const tache of TACHES) {
+      try {
+        await runExclusive(tache);
+      } catch (error) {
+        console.error(`❌ Erreur de la tâche planifiée ${tache.nom}:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Démarre l'exécution périodique des tâches planifiées
+ */
+function startScheduler() {
+  if (timer) {
+    return;
+  }
+
+  const intervalle = parseInt(process.env.SCHEDULER_INTERVAL_MS || '60000');
+  timer = setInterval(tick, intervalle);
+  tick();
+  console.log(`⏱️ Tâches planifiées démarrées (toutes les ${intervalle} ms)`);
+}
+
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
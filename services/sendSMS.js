@@ -1,109 +1,57 @@
-const twilio = require('twilio');
-const { getPool } = require('../db/init');
-
-// Initialiser le client Twilio avec API Key
-const client = twilio(process.env.TWILIO_API_KEY_SID, process.env.TWILIO_API_KEY_SECRET, {
-  accountSid: process.env.TWILIO_MAIN_ACCOUNT_SID,
-  httpProxy: process.env.http_proxy && process.env.http_proxy !== 'http_proxy' ? process.env.http_proxy : null,
-  httpsProxy: process.env.https_proxy && process.env.https_proxy !== 'https_proxy' ? process.env.https_proxy : null
-});
+const { sendSMS } = require('./channels/smsChannel');
+const { notifyUser } = require('./notificationService');
+const { EMPLACEMENT_SECRET } = require('./outbox');
 
 /**
- * Envoie un SMS via Twilio
- * @param {string} to - Numéro de téléphone destinataire (format international)
- * @param {string} message - Message à envoyer
- * @returns {Promise<Object>} - Résultat de l'envoi
- */
-async function sendSMS(to, message) {
-  try {
-    // Vérifier que le numéro est au format international et valide
-    if (!to.match(/^\+\d{10,15}$/)) {
-      throw new Error(`Numéro de téléphone invalide: ${to}. Attendu format international (ex. +237677865607)`);
-    }
-
-    console.log(`Attempting to send SMS to ${to} with message: ${message}`);
-    console.log(`Twilio config: Account SID=${process.env.TWILIO_MAIN_ACCOUNT_SID}, From=${process.env.TWILIO_PHONE_NUMBER}`);
-    console.log(`Proxy config: http_proxy=${process.env.http_proxy || 'none'}, https_proxy=${process.env.https_proxy || 'none'}`);
-
-    const result = await client.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: to
-    });
-
-    console.log(`✅ SMS envoyé avec succès à ${to}. SID: ${result.sid}`);
-    return {
-      success: true,
-      sid: result.sid,
-      to: to,
-      message: message
-    };
-  } catch (error) {
-    console.error(`❌ Erreur lors de l'envoi du SMS à ${to}:`, error.message, JSON.stringify(error, null, 2));
-    return {
-      success: false,
-      error: error.message,
-      errorDetails: error,
-      to: to,
-      message: message
-    };
-  }
-}
-
-/**
- * Envoie un SMS de notification de réservation à tous les utilisateurs
+ * Envoie l'annonce d'une nouvelle réservation à ses destinataires, sur leurs canaux préférés
+ * @param {Array} destinataires - Utilisateurs à prévenir (voir services/audience.js)
  * @param {string} nomSalle - Nom de la salle réservée
  * @param {string} date - Date de la réservation
  * @param {string} heureDebut - Heure de début
  * @param {string} heureFin - Heure de fin
- * @returns {Promise<Object>} - Résultat des envois
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat des mises en file
  */
-async function sendReservationSMS(nomSalle, date, heureDebut, heureFin) {
+async function sendReservationSMS(destinataires, nomSalle, date, heureDebut, heureFin, options = {}) {
   try {
-    // Récupérer tous les utilisateurs depuis la base de données
-    const pool = getPool();
-    const userResult = await pool.query(`
-      SELECT telephone, nom 
-      FROM utilisateurs
-    `);
-
-    const users = userResult.rows;
-    if (!users || users.length === 0) {
-      console.warn('⚠️ Aucun utilisateur trouvé pour envoyer la notification de réservation');
+    if (!destinataires || destinataires.length === 0) {
+      console.warn('⚠️ Aucun destinataire pour la notification de réservation');
       return {
         success: false,
-        error: 'Aucun utilisateur trouvé',
+        error: 'Aucun destinataire',
         results: []
       };
     }
 
     const message = `🏢 Nouvelle réservation\n\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nUne nouvelle réservation a été créée dans le système.`;
 
-    // Envoyer le SMS à chaque utilisateur
-    const sendPromises = users.map(user => {
-      const telephone = user.telephone;
-      const nomUtilisateur = user.nom || 'Utilisateur';
-      return sendSMS(telephone, message.replace('Utilisateur', nomUtilisateur));
-    });
-
-    const results = await Promise.all(sendPromises);
+    // Mettre en file la notification de chaque destinataire (séquentiellement : un client de transaction
+    // n'exécute qu'une requête à la fois)
+    const results = [];
+    for (const destinataire of destinataires) {
+      results.push(await notifyUser(destinataire, { sujet: `Nouvelle réservation - ${nomSalle}`, message }, options));
+    }
     const successes = results.filter(r => r.success).length;
     const failures = results.filter(r => !r.success);
 
-    console.log(`📤 Envoi de SMS de réservation à ${users.length} utilisateurs: ${successes} réussis, ${failures.length} échoués`);
+    console.log(`📤 Notifications de réservation mises en file pour ${destinataires.length} utilisateurs: ${successes} en file, ${failures.length} sans canal`);
 
     return {
       success: successes > 0,
       results: results,
       summary: {
-        total: users.length,
+        total: destinataires.length,
         successes: successes,
         failures: failures.length,
         failedNumbers: failures.map(f => ({ to: f.to, error: f.error }))
       }
     };
   } catch (error) {
-    console.error('❌ Erreur lors de l\'envoi des SMS de réservation:', error.message, JSON.stringify(error, null, 2));
+    if (options.db) {
+      throw error;
+    }
+
+    console.error('❌ Erreur lors de l\'envoi des notifications de réservation:', error.message, JSON.stringify(error, null, 2));
     return {
       success: false,
       error: error.message,
@@ -114,42 +62,192 @@ async function sendReservationSMS(nomSalle, date, heureDebut, heureFin) {
 }
 
 /**
- * Envoie un SMS de confirmation de réservation à un seul utilisateur (utilisé pour les réservations prioritaires)
- * @param {string} telephone - Numéro de téléphone destinataire
- * @param {string} nomUtilisateur - Nom de l'utilisateur
+ * Envoie une confirmation de réservation à un seul utilisateur (utilisé pour les réservations prioritaires)
+ * @param {Object} destinataire - Utilisateur destinataire ({ id, nom, telephone })
  * @param {string} nomSalle - Nom de la salle réservée
  * @param {string} date - Date de la réservation
  * @param {string} heureDebut - Heure de début
  * @param {string} heureFin - Heure de fin
- * @returns {Promise<Object>} - Résultat de l'envoi
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
  */
-async function sendSingleReservationSMS(telephone, nomUtilisateur, nomSalle, date, heureDebut, heureFin) {
-  const message = `🏢 Réservation confirmée!\n\nUtilisateur: ${nomUtilisateur}\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nMerci d'utiliser notre système de réservation.`;
-  return await sendSMS(telephone, message);
+async function sendSingleReservationSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `🏢 Réservation confirmée!\n\nUtilisateur: ${destinataire.nom}\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nMerci d'utiliser notre système de réservation.`;
+  return await notifyUser(destinataire, { sujet: `Réservation confirmée - ${nomSalle}`, message }, options);
 }
 
 /**
- * Envoie un SMS d'annulation de réservation
+ * Envoie une notification d'annulation de réservation
  */
-async function sendCancellationSMS(telephone, nomUtilisateur, nomSalle, date, heureDebut, heureFin) {
-  const message = `❌ Réservation annulée\n\nUtilisateur: ${nomUtilisateur}\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nVotre réservation a été annulée avec succès.`;
-  return await sendSMS(telephone, message);
+async function sendCancellationSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `❌ Réservation annulée\n\nUtilisateur: ${destinataire.nom}\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nVotre réservation a été annulée avec succès.`;
+  return await notifyUser(destinataire, { sujet: `Réservation annulée - ${nomSalle}`, message }, options);
 }
 
 /**
- * Envoie un SMS de notification de salle hors service
+ * Envoie une notification de modification de réservation
  */
-async function sendOutOfServiceSMS(telephone, nomUtilisateur, nomSalle) {
-  const message = `⚠️ Salle hors service\n\nBonjour ${nomUtilisateur},\n\nLa salle "${nomSalle}" est temporairement hors service. Vos réservations ont été automatiquement annulées.\n\nVeuillez nous excuser pour la gêne occasionnée.`;
-  return await sendSMS(telephone, message);
+async function sendModificationSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `✏️ Réservation modifiée\n\nUtilisateur: ${destinataire.nom}\nSalle: ${nomSalle}\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nVotre réservation a été mise à jour.`;
+  return await notifyUser(destinataire, { sujet: `Réservation modifiée - ${nomSalle}`, message }, options);
 }
 
 /**
- * Envoie un SMS de réservation prioritaire (admin)
+ * Envoie une notification de salle hors service
  */
-async function sendPriorityReservationSMS(telephone, nomUtilisateur, nomSalle, date, heureDebut, heureFin) {
-  const message = `🔄 Réservation modifiée\n\nBonjour ${nomUtilisateur},\n\nVotre réservation pour la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} a été annulée pour cause de réservation prioritaire.\n\nNous nous excusons pour ce désagrément.`;
-  return await sendSMS(telephone, message);
+async function sendOutOfServiceSMS(destinataire, nomSalle, options) {
+  const message = `⚠️ Salle hors service\n\nBonjour ${destinataire.nom},\n\nLa salle "${nomSalle}" est temporairement hors service. Vos réservations ont été automatiquement annulées.\n\nVeuillez nous excuser pour la gêne occasionnée.`;
+  return await notifyUser(destinataire, { sujet: `Salle hors service - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie une notification de réservation prioritaire (admin)
+ */
+async function sendPriorityReservationSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `🔄 Réservation modifiée\n\nBonjour ${destinataire.nom},\n\nVotre réservation pour la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} a été annulée pour cause de réservation prioritaire.\n\nNous nous excusons pour ce désagrément.`;
+  return await notifyUser(destinataire, { sujet: `Réservation annulée (prioritaire) - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie une notification d'annulation pour cause de maintenance de la salle
+ */
+async function sendMaintenanceCancellationSMS(destinataire, nomSalle, date, heureDebut, heureFin, motif, options) {
+  const message = `🛠️ Réservation annulée\n\nBonjour ${destinataire.nom},\n\nVotre réservation pour la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} a été annulée : la salle sera en maintenance (${motif}).\n\nVeuillez nous excuser pour la gêne occasionnée.`;
+  return await notifyUser(destinataire, { sujet: `Réservation annulée (maintenance) - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie une notification de déplacement d'une réservation vers une autre salle
+ * @param {Object} destinataire - Utilisateur concerné
+ * @param {string} ancienneSalle - Nom de la salle quittée
+ * @param {string} nouvelleSalle - Nom de la salle attribuée
+ * @param {string} date - Date de la réservation
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {string} raison - Raison du déplacement
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
+ */
+async function sendRelocationSMS(destinataire, ancienneSalle, nouvelleSalle, date, heureDebut, heureFin, raison, options) {
+  const message = `🔀 Réservation déplacée\n\nBonjour ${destinataire.nom},\n\nVotre réservation du ${date} de ${heureDebut} à ${heureFin} a été déplacée de la salle "${ancienneSalle}" vers la salle "${nouvelleSalle}" (${raison}).\n\nL'horaire est inchangé.`;
+  return await notifyUser(destinataire, { sujet: `Réservation déplacée - ${nouvelleSalle}`, message }, options);
+}
+
+/**
+ * Envoie à un utilisateur de la liste d'attente l'offre d'un créneau libéré
+ * @param {Object} destinataire - Utilisateur inscrit
+ * @param {string} nomSalle - Nom de la salle
+ * @param {string} date - Date du créneau
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {string} expiration - Date et heure limites de réponse
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
+ */
+async function sendWaitlistOfferSMS(destinataire, nomSalle, date, heureDebut, heureFin, expiration, options) {
+  const message = `⏳ Créneau disponible\n\nBonjour ${destinataire.nom},\n\nLe créneau du ${date} de ${heureDebut} à ${heureFin} en salle "${nomSalle}" que vous attendiez s'est libéré.\n\nAcceptez l'offre depuis votre liste d'attente avant ${expiration} pour le réserver ; passé ce délai, il sera proposé à la personne suivante.`;
+  return await notifyUser(destinataire, { sujet: `Créneau disponible - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie à un admin ou gestionnaire une demande de réservation à valider
+ * @param {Object} destinataire - Admin ou gestionnaire de la salle
+ * @param {string} demandeur - Nom de la personne qui demande la réservation
+ * @param {string} nomSalle - Nom de la salle
+ * @param {string} date - Date (ou période) de la demande
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
+ */
+async function sendApprovalRequestSMS(destinataire, demandeur, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `📝 Demande de réservation à valider\n\nBonjour ${destinataire.nom},\n\n${demandeur} demande la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin}.\n\nApprouvez ou rejetez la demande depuis la file des validations.`;
+  return await notifyUser(destinataire, { sujet: `Demande de réservation - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie au demandeur la décision prise sur sa demande de réservation
+ * @param {Object} destinataire - Demandeur
+ * @param {string} nomSalle - Nom de la salle
+ * @param {string} date - Date (ou période) de la demande
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {boolean} approuvee - Demande approuvée ou rejetée
+ * @param {string|null} raison - Raison donnée par la personne qui a décidé
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
+ */
+async function sendApprovalDecisionSMS(destinataire, nomSalle, date, heureDebut, heureFin, approuvee, raison, options) {
+  const decision = approuvee
+    ? `✅ Réservation approuvée\n\nBonjour ${destinataire.nom},\n\nVotre demande pour la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} a été approuvée.`
+    : `❌ Réservation rejetée\n\nBonjour ${destinataire.nom},\n\nVotre demande pour la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} a été rejetée.`;
+  const message = raison ? `${decision}\n\nMotif : ${raison}` : decision;
+  return await notifyUser(destinataire, {
+    sujet: `Réservation ${approuvee ? 'approuvée' : 'rejetée'} - ${nomSalle}`,
+    message
+  }, options);
+}
+
+/**
+ * Envoie une notification de libération d'une réservation sans check-in
+ */
+async function sendNoShowSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `⌛ Réservation libérée\n\nBonjour ${destinataire.nom},\n\nAucun check-in n'a été fait pour votre réservation de la salle "${nomSalle}" le ${date} de ${heureDebut} à ${heureFin} : la salle a été libérée.\n\nPensez à annuler les réservations dont vous n'avez plus besoin.`;
+  return await notifyUser(destinataire, { sujet: `Réservation libérée - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie le rappel d'une réservation à venir
+ */
+async function sendReminderSMS(destinataire, nomSalle, date, heureDebut, heureFin, options) {
+  const message = `⏰ Rappel de réservation\n\nBonjour ${destinataire.nom},\n\nVotre réservation de la salle "${nomSalle}" approche :\nDate: ${date}\nHeure: ${heureDebut} - ${heureFin}\n\nSi vous n'en avez plus besoin, pensez à l'annuler.`;
+  return await notifyUser(destinataire, { sujet: `Rappel de réservation - ${nomSalle}`, message }, options);
+}
+
+/**
+ * Envoie un code de réinitialisation du mot de passe
+ */
+async function sendPasswordResetSMS(destinataire, code, dureeMinutes, options) {
+  const message = `🔑 Réinitialisation du mot de passe\n\nBonjour ${destinataire.nom},\n\nVotre code de réinitialisation est : ${EMPLACEMENT_SECRET}\nIl est valable ${dureeMinutes} minutes et ne peut servir qu'une fois.\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez ce message.`;
+  return await notifyUser(destinataire, {
+    sujet: 'Réinitialisation du mot de passe',
+    message,
+    secret: code,
+    secretMinutes: dureeMinutes
+  }, options);
+}
+
+/**
+ * Envoie le code de vérification d'une connexion (double authentification)
+ */
+async function sendLoginCodeSMS(destinataire, code, dureeMinutes, options) {
+  const message = `🔐 Code de connexion\n\nBonjour ${destinataire.nom},\n\nVotre code de vérification est : ${EMPLACEMENT_SECRET}\nIl est valable ${dureeMinutes} minutes.\n\nSi vous n'êtes pas en train de vous connecter, changez votre mot de passe.`;
+  return await notifyUser(destinataire, {
+    sujet: 'Code de connexion',
+    message,
+    secret: code,
+    secretMinutes: dureeMinutes
+  }, options);
+}
+
+/**
+ * Envoie une invitation à participer à une réunion
+ * @param {Object} destinataire - Utilisateur invité, ou participant externe ({ nom, email })
+ * @param {string} organisateur - Nom de la personne qui a réservé
+ * @param {string} nomSalle - Nom de la salle réservée
+ * @param {string} date - Date de la réservation
+ * @param {string} heureDebut - Heure de début
+ * @param {string} heureFin - Heure de fin
+ * @param {string|null} lienReponse - Lien de réponse des participants externes
+ * @param {Object} [options] - { db } : client de transaction
+ * @returns {Promise<Object>} - Résultat de la mise en file
+ */
+async function sendInvitationSMS(destinataire, organisateur, nomSalle, date, heureDebut, heureFin, lienReponse, options) {
+  const reponse = lienReponse
+    ? `Pour accepter ou refuser : ${lienReponse}`
+    : 'Acceptez ou refusez l\'invitation depuis vos invitations.';
+  const message = `📨 Invitation à une réunion\n\nBonjour ${destinataire.nom},\n\n${organisateur} vous invite le ${date} de ${heureDebut} à ${heureFin} en salle ${nomSalle}.\n\n${reponse}`;
+  return await notifyUser(destinataire, { sujet: `Invitation - ${nomSalle} le ${date}`, message }, options);
 }
 
 /**
@@ -165,7 +263,18 @@ module.exports = {
   sendReservationSMS,
   sendSingleReservationSMS,
   sendCancellationSMS,
+  sendModificationSMS,
   sendOutOfServiceSMS,
   sendPriorityReservationSMS,
+  sendMaintenanceCancellationSMS,
+  sendRelocationSMS,
+  sendWaitlistOfferSMS,
+  sendApprovalRequestSMS,
+  sendApprovalDecisionSMS,
+  sendNoShowSMS,
+  sendReminderSMS,
+  sendPasswordResetSMS,
+  sendLoginCodeSMS,
+  sendInvitationSMS,
   testSMS
 };
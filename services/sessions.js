@@ -0,0 +1,183 @@
+// Sessions de connexion : jeton d'accès JWT de courte durée et jeton de rafraîchissement à usage unique
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPool } = require('../db/init');
+
+// Durée de validité d'un jeton d'accès (variable JWT_EXPIRES_IN, format jsonwebtoken)
+function getAccessTokenDuration() {
+  return process.env.JWT_EXPIRES_IN || '15m';
+}
+
+// Durée d'une session sans rafraîchissement, en jours (variable SESSION_DUREE_JOURS)
+function getSessionDuration() {
+  return parseInt(process.env.SESSION_DUREE_JOURS || '30');
+}
+
+// Seule l'empreinte des jetons de rafraîchissement est conservée en base
+function hashToken(jeton) {
+  return crypto.createHash('sha256').update(jeton).digest('hex');
+}
+
+function signAccessToken(utilisateur, sessionId) {
+  return jwt.sign(
+    {
+      userId: utilisateur.id,
+      email: utilisateur.email,
+      role: utilisateur.role,
+      sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenDuration() }
+  );
+}
+
+async function issueRefreshToken(db, sessionId) {
+  const jeton = crypto.randomBytes(48).toString('hex');
+  await db.query(
+    'INSERT INTO jetons_rafraichissement (hash, session_id) VALUES ($1, $2)',
+    [hashToken(jeton), sessionId]
+  );
+  return jeton;
+}
+
+/**
+ * Ouvre une session pour un utilisateur authentifié
+ * @param {Object} db - Client de transaction ou pool
+ * @param {Object} utilisateur - { id, email, role }
+ * @param {Object} [contexte] - { userAgent, adresseIp } : appareil de connexion
+ * @returns {Promise<Object>} - { token, refresh_token }
+ */
+async function createSession(db, utilisateur, { userAgent = null, adresseIp = null } = {}) {
+  const result = await db.query(`
+    INSERT INTO sessions (utilisateur_id, user_agent, adresse_ip, expire_le)
+    VALUES ($1, $2, $3, LOCALTIMESTAMP + make_interval(days => $4))
+    RETURNING id
+  `, [utilisateur.id, userAgent ? userAgent.slice(0, 500) : null, adresseIp, getSessionDuration()]);
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(utilisateur, sessionId),
+    refresh_token: await issueRefreshToken(db, sessionId)
+  };
+}
+
+/**
+ * Échange un jeton de rafraîchissement contre une nouvelle paire de jetons. Le jeton présenté est
+ * consommé ; s'il l'avait déjà été, il a été volé ou rejoué et toute la session est révoquée.
+ * @param {Object} db - Client de transaction
+ * @param {string} refreshToken - Jeton de rafraîchissement reçu
+ * @returns {Promise<Object|null>} - { token, refresh_token }, null si le jeton n'est pas valable
+ */
+async function rotateSession(db, refreshToken) {
+  const result = await db.query(`
+    SELECT
+      j.hash,
+      j.utilise_le,
+      se.id as session_id,
+      se.revoquee_le,
+      se.expire_le > LOCALTIMESTAMP as valide,
+      u.id,
+      u.email,
+      u.role
+    FROM jetons_rafraichissement j
+    JOIN sessions se ON j.session_id = se.id
+    JOIN utilisateurs u ON se.utilisateur_id = u.id
+    WHERE j.hash = $1
+    FOR UPDATE OF j, se
+  `, [hashToken(refreshToken)]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const jeton = result.rows[0];
+
+  if (jeton.utilise_le) {
+    await revokeSession(db, jeton.session_id);
+    return null;
+  }
+
+  if (jeton.revoquee_le || !jeton.valide) {
+    return null;
+  }
+
+  await db.query('UPDATE jetons_rafraichissement SET utilise_le = CURRENT_TIMESTAMP WHERE hash = $1', [jeton.hash]);
+  await db.query(`
+    UPDATE sessions
+    SET expire_le = LOCALTIMESTAMP + make_interval(days => $2), derniere_activite = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [jeton.session_id, getSessionDuration()]);
+
+  return {
+    token: signAccessToken(jeton, jeton.session_id),
+    refresh_token: await issueRefreshToken(db, jeton.session_id)
+  };
+}
+
+/**
+ * Révoque une session : ses jetons d'accès et de rafraîchissement sont refusés
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} sessionId - Identifiant de la session
+ * @returns {Promise<boolean>} - false si la session était déjà révoquée
+ */
+async function revokeSession(db, sessionId) {
+  const result = await db.query(
+    'UPDATE sessions SET revoquee_le = CURRENT_TIMESTAMP WHERE id = $1 AND revoquee_le IS NULL RETURNING id',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Révoque toutes les sessions d'un utilisateur
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} utilisateurId - Identifiant de l'utilisateur
+ * @param {number|null} [saufSessionId] - Session conservée (celle de la requête en cours)
+ * @returns {Promise<number>} - Nombre de sessions révoquées
+ */
+async function revokeAllSessions(db, utilisateurId, saufSessionId = null) {
+  const result = await db.query(`
+    UPDATE sessions
+    SET revoquee_le = CURRENT_TIMESTAMP
+    WHERE utilisateur_id = $1
+      AND revoquee_le IS NULL
+      AND ($2::int IS NULL OR id <> $2)
+    RETURNING id
+  `, [utilisateurId, saufSessionId]);
+  return result.rows.length;
+}
+
+/**
+ * Supprime les sessions expirées ou révoquées depuis plus d'un jour, les jetons de
+ * rafraîchissement consommés depuis plus d'un jour (ils ne servent plus à détecter un rejeu)
+ * et les secondes étapes de connexion expirées
+ * @returns {Promise<Object>} - { sessions, jetons, defis } : nombre de lignes supprimées
+ */
+async function purgeSessions() {
+  const db = getPool();
+  const sessionsResult = await db.query(`
+    DELETE FROM sessions
+    WHERE expire_le < LOCALTIMESTAMP - INTERVAL '1 day'
+       OR revoquee_le < LOCALTIMESTAMP - INTERVAL '1 day'
+  `);
+  const jetonsResult = await db.query(
+    "DELETE FROM jetons_rafraichissement WHERE utilise_le < LOCALTIMESTAMP - INTERVAL '1 day'"
+  );
+  const defisResult = await db.query(
+    "DELETE FROM defis_connexion WHERE expire_le < LOCALTIMESTAMP - INTERVAL '1 day'"
+  );
+
+  return {
+    sessions: sessionsResult.rowCount,
+    jetons: jetonsResult.rowCount,
+    defis: defisResult.rowCount
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  purgeSessions
+};
@@ -0,0 +1,143 @@
+const { toMinutes, fromMinutes, listDates, fetchReservations, buildAvailabilityGrid } = require('./disponibilites');
+const { loadOpeningRules, getClosedIntervals } = require('./horaires');
+
+// Plage quotidienne et pas des créneaux proposés
+const PLAGE_DEBUT = '08:00';
+const PLAGE_FIN = '20:00';
+const GRANULARITE = 15;
+
+// Date YYYY-MM-DD et minutes depuis minuit de l'instant présent (heure du serveur)
+function getMaintenant(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    minutes: date.getHours() * 60 + date.getMinutes()
+  };
+}
+
+// Date YYYY-MM-DD décalée d'un nombre de jours
+function addDays(date, jours) {
+  const [annee, mois, jour] = date.split('-').map(Number);
+  return new Date(Date.UTC(annee, mois - 1, jour + jours)).toISOString().slice(0, 10);
+}
+
+/**
+ * Classe les créneaux candidats d'une grille de disponibilités : les plus proches de la plage
+ * souhaitée d'abord, puis la salle dont la capacité est la plus proche du besoin
+ * @param {Array} grille - Résultat de buildAvailabilityGrid
+ * @param {Object} demande - { duree, heureDebut, heureFin, capaciteMin, limite, maintenant }
+ * @returns {Array} - Créneaux { salle_id, salle_nom, capacite, date, heure_debut, heure_fin, ecart_minutes }
+ */
+function rankCandidates(grille, { duree, heureDebut, heureFin = null, capaciteMin = 1, limite = 10, maintenant = getMaintenant() }) {
+  // Débuts acceptables sans écart : de l'heure souhaitée jusqu'à la fin de la plage moins la durée
+  const plageDebut = toMinutes(heureDebut);
+  const plageFin = Math.max(plageDebut, heureFin ? toMinutes(heureFin) - duree : plageDebut);
+  const candidats = [];
+
+  for (const salle of grille) {
+    salle.jours.forEach((jour, indexJour) => {
+      if (jour.date < maintenant.date) {
+        return;
+      }
+
+      // Ne jamais proposer un créneau déjà commencé
+      const minimum = jour.date === maintenant.date
+        ? Math.ceil(maintenant.minutes / GRANULARITE) * GRANULARITE
+        : 0;
+
+      for (const libre of jour.libre) {
+        const debutLibre = Math.max(toMinutes(libre.debut), minimum);
+        const finLibre = toMinutes(libre.fin);
+        if (finLibre - debutLibre < duree) {
+          continue;
+        }
+
+        // Début aligné sur la grille le plus proche de la plage souhaitée dans cet intervalle
+        const dernierDebut = debutLibre + Math.floor((finLibre - duree - debutLibre) / GRANULARITE) * GRANULARITE;
+        let debut;
+        if (dernierDebut < plageDebut) {
+          debut = dernierDebut;
+        } else if (debutLibre > plageFin) {
+          debut = debutLibre;
+        } else {
+          debut = debutLibre + Math.ceil((Math.max(plageDebut, debutLibre) - debutLibre) / GRANULARITE) * GRANULARITE;
+        }
+
+        const ecart = debut < plageDebut ? plageDebut - debut : Math.max(0, debut - plageFin);
+
+        candidats.push({
+          salle_id: salle.id,
+          salle_nom: salle.nom,
+          capacite: salle.capacite,
+          date: jour.date,
+          heure_debut: fromMinutes(debut),
+          heure_fin: fromMinutes(debut + duree),
+          ecart_minutes: indexJour * 1440 + ecart
+        });
+      }
+    });
+  }
+
+  return candidats
+    .sort((a, b) =>
+      a.ecart_minutes - b.ecart_minutes ||
+      (a.capacite - capaciteMin) - (b.capacite - capaciteMin) ||
+      a.salle_nom.localeCompare(b.salle_nom)
+    )
+    .slice(0, limite);
+}
+
+/**
+ * Cherche les prochains créneaux libres correspondant à une demande
+ * @param {Object} db - Client de transaction ou pool
+ * @param {Object} demande
+ * @param {number} demande.duree - Durée souhaitée en minutes
+ * @param {string} demande.date - Date souhaitée (YYYY-MM-DD)
+ * @param {string} demande.heureDebut - Heure de début souhaitée (HH:MM)
+ * @param {string} [demande.heureFin] - Fin de la plage souhaitée (HH:MM), par défaut début + durée
+ * @param {number} [demande.capaciteMin=1] - Nombre de personnes à accueillir
+ * @param {string[]} [demande.equipements] - Codes des équipements requis
+ * @param {number} [demande.jours=7] - Nombre de jours explorés à partir de la date souhaitée
+ * @param {number} [demande.limite=10] - Nombre de créneaux proposés
+ * @returns {Promise<Array>} - Créneaux classés
+ */
+async function findSuggestions(db, { duree, date, heureDebut, heureFin = null, capaciteMin = 1, equipements = [], jours = 7, limite = 10 }) {
+  // Salles disponibles assez grandes et dotées de tous les équipements demandés
+  const sallesResult = await db.query(`
+    SELECT s.id, s.nom, s.capacite, s.statut
+    FROM salles s
+    WHERE s.statut IN ('disponible', 'maintenance')
+      AND s.capacite >= $1
+      AND (
+        SELECT COUNT(*) FROM salles_equipements se
+        JOIN equipements e ON se.equipement_id = e.id
+        WHERE se.salle_id = s.id AND e.code = ANY($2)
+      ) = CARDINALITY($2::text[])
+  `, [capaciteMin, [...new Set(equipements)]]);
+
+  if (sallesResult.rows.length === 0) {
+    return [];
+  }
+
+  const dates = listDates(date, addDays(date, jours - 1));
+  const salleIds = sallesResult.rows.map(s => s.id);
+  const reservations = await fetchReservations(db, dates[0], dates[dates.length - 1], salleIds);
+  const regles = await loadOpeningRules(db, salleIds, dates[0], dates[dates.length - 1]);
+
+  const grille = buildAvailabilityGrid({
+    salles: sallesResult.rows,
+    reservations,
+    dates,
+    heureDebut: PLAGE_DEBUT,
+    heureFin: PLAGE_FIN,
+    granularite: GRANULARITE,
+    fermetures: (salleId, jour) => getClosedIntervals(regles, salleId, jour)
+  });
+
+  return rankCandidates(grille, { duree, heureDebut, heureFin, capaciteMin, limite });
+}
+
+module.exports = {
+  rankCandidates,
+  findSuggestions
+};
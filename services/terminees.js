@@ -0,0 +1,34 @@
+// Clôture des réservations dont le créneau est écoulé
+const { withTransaction } = require('../db/init');
+const { getTimeZone } = require('./ical');
+
+/**
+ * Passe au statut 'terminee' les réservations actives dont le créneau est écoulé. Les heures
+ * sont celles du site de la salle : l'heure courante est prise dans son fuseau horaire.
+ * @returns {Promise<Object>} - { terminees } : nombre de réservations traitées
+ */
+async function processTerminees() {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      UPDATE reservations
+      SET statut = 'terminee', updated_at = CURRENT_TIMESTAMP
+      WHERE statut = 'active'
+        AND id IN (
+          SELECT r.id
+          FROM reservations r
+          JOIN salles s ON r.salle_id = s.id
+          LEFT JOIN batiments b ON s.batiment_id = b.id
+          LEFT JOIN sites si ON b.site_id = si.id
+          WHERE r.statut = 'active'
+            AND r.date + r.heure_fin <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $1)
+        )
+      RETURNING id
+    `, [getTimeZone()]);
+
+    return { terminees: result.rows.length };
+  });
+}
+
+module.exports = {
+  processTerminees
+};
@@ -0,0 +1,143 @@
+// Mots de passe à usage unique basés sur le temps (TOTP, RFC 6238) pour les applications d'authentification
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Durée d'un pas en secondes et nombre de chiffres (valeurs par défaut des applications)
+const PERIODE = 30;
+const CHIFFRES = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let valeur = 0;
+  let sortie = '';
+
+  for (const octet of buffer) {
+    valeur = (valeur << 8) | octet;
+    bits += 8;
+    while (bits >= 5) {
+      sortie += BASE32_ALPHABET[(valeur >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    sortie += BASE32_ALPHABET[(valeur << (5 - bits)) & 31];
+  }
+
+  return sortie;
+}
+
+function base32Decode(texte) {
+  const nettoye = texte.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let valeur = 0;
+  const octets = [];
+
+  for (const caractere of nettoye) {
+    const index = BASE32_ALPHABET.indexOf(caractere);
+    if (index === -1) {
+      throw new Error(`Caractère base32 invalide : ${caractere}`);
+    }
+    valeur = (valeur << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      octets.push((valeur >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(octets);
+}
+
+/**
+ * Génère un secret TOTP aléatoire (160 bits, encodé en base32)
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Pas de temps TOTP d'un instant
+ * @param {number} [instant] - Horodatage en millisecondes (maintenant par défaut)
+ * @returns {number}
+ */
+function getStep(instant = Date.now()) {
+  return Math.floor(instant / 1000 / PERIODE);
+}
+
+/**
+ * Calcule le code d'un pas de temps (HMAC-SHA1, troncature dynamique de la RFC 4226)
+ * @param {string} secret - Secret en base32
+ * @param {number} pas - Pas de temps
+ * @returns {string} - Code à 6 chiffres
+ */
+function generateCode(secret, pas) {
+  const compteur = Buffer.alloc(8);
+  compteur.writeBigUInt64BE(BigInt(pas));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(compteur).digest();
+  const decalage = hmac[hmac.length - 1] & 15;
+  const binaire = hmac.readUInt32BE(decalage) & 0x7fffffff;
+
+  return (binaire % 10 ** CHIFFRES).toString().padStart(CHIFFRES, '0');
+}
+
+/**
+ * Vérifie un code en tolérant un pas d'écart d'horloge de chaque côté. Un pas déjà utilisé
+ * (dernierPas) ou antérieur est refusé pour empêcher le rejeu d'un code.
+ * @param {string} secret - Secret en base32
+ * @param {string} code - Code saisi
+ * @param {Object} [options] - { dernierPas, instant }
+ * @returns {number|null} - Pas reconnu, null si le code n'est pas valable
+ */
+function verifyCode(secret, code, { dernierPas = null, instant = Date.now() } = {}) {
+  const saisi = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(saisi)) {
+    return null;
+  }
+
+  const pasCourant = getStep(instant);
+  for (const pas of [pasCourant - 1, pasCourant, pasCourant + 1]) {
+    if (dernierPas !== null && pas <= dernierPas) {
+      continue;
+    }
+    const attendu = generateCode(secret, pas);
+    if (crypto.timingSafeEqual(Buffer.from(attendu), Buffer.from(saisi))) {
+      return pas;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// à transformer en QR code pour l'application d'authentification
+ * @param {string} secret - Secret en base32
+ * @param {string} compte - Identifiant du compte (email)
+ * @param {string} emetteur - Nom du service affiché dans l'application
+ * @returns {string}
+ */
+function buildOtpauthUrl(secret, compte, emetteur) {
+  const libelle = `${encodeURIComponent(emetteur)}:${encodeURIComponent(compte)}`;
+  const parametres = new URLSearchParams({
+    secret,
+    issuer: emetteur,
+    algorithm: 'SHA1',
+    digits: String(CHIFFRES),
+    period: String(PERIODE)
+  });
+
+  return `otpauth://totp/${libelle}?${parametres.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
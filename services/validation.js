@@ -0,0 +1,173 @@
+// Validation des réservations des salles à accès restreint (salles.validation_requise)
+const { withTransaction } = require('../db/init');
+const { sendApprovalRequestSMS, sendApprovalDecisionSMS } = require('./sendSMS');
+const { getTimeZone } = require('./ical');
+
+// Motif enregistré sur les demandes dont le créneau a commencé sans décision
+const MOTIF_EXPIRATION = 'Demande non traitée avant le début de la réservation';
+
+/**
+ * Liste les gestionnaires désignés d'une salle
+ * @param {Object} db - Client de transaction ou pool
+ * @param {number} salleId - Identifiant de la salle
+ * @returns {Promise<Array>} - Utilisateurs { id, nom, email, telephone }
+ */
+async function listApprovers(db, salleId) {
+  const result = await db.query(`
+    SELECT u.id, u.nom, u.email, u.telephone
+    FROM gestionnaires_salles g
+    JOIN utilisateurs u ON g.utilisateur_id = u.id
+    WHERE g.salle_id = $1
+    ORDER BY u.nom
+  `, [salleId]);
+
+  return result.rows;
+}
+
+/**
+ * Indique si un utilisateur peut valider les demandes d'une salle : admin ou gestionnaire désigné
+ * @param {Object} db - Client de transaction ou pool
+ * @param {Object} utilisateur - Utilisateur connecté ({ id, role })
+ * @param {number} salleId - Identifiant de la salle
+ * @returns {Promise<boolean>}
+ */
+async function canApprove(db, utilisateur, salleId) {
+  if (utilisateur.role === 'admin') {
+    return true;
+  }
+
+  const result = await db.query(
+    'SELECT 1 FROM gestionnaires_salles WHERE salle_id = $1 AND utilisateur_id = $2',
+    [salleId, utilisateur.id]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Statut d'une nouvelle réservation : 'en_attente' si la salle exige une validation et que
+ * l'utilisateur ne peut pas la valider lui-même, 'active' sinon
+ * @param {Object} db - Client de transaction
+ * @param {Object} salle - Salle ({ id, validation_requise })
+ * @param {Object} utilisateur - Utilisateur qui réserve ({ id, role })
+ * @returns {Promise<string>}
+ */
+async function getInitialStatut(db, salle, utilisateur) {
+  if (!salle.validation_requise || await canApprove(db, utilisateur, salle.id)) {
+    return 'active';
+  }
+  return 'en_attente';
+}
+
+/**
+ * Prévient les gestionnaires d'une salle (les admins si elle n'en a pas) d'une demande à valider,
+ * sur leurs canaux et par une notification in-app
+ * @param {Object} db - Client de transaction
+ * @param {Object} demande - { reservationId, salleId, salleNom, demandeur, date, heureDebut, heureFin }
+ * @returns {Promise<number>} - Nombre de personnes prévenues
+ */
+async function notifyApprovers(db, { reservationId, salleId, salleNom, demandeur, date, heureDebut, heureFin }) {
+  let destinataires = await listApprovers(db, salleId);
+  if (destinataires.length === 0) {
+    const adminsResult = await db.query("SELECT id, nom, email, telephone FROM utilisateurs WHERE role = 'admin'");
+    destinataires = adminsResult.rows;
+  }
+
+  for (const destinataire of destinataires) {
+    const smsResult = await sendApprovalRequestSMS(destinataire, demandeur, salleNom, date, heureDebut, heureFin, { db });
+
+    await db.query(`
+      INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      destinataire.id,
+      reservationId,
+      `Demande de ${demandeur} à valider : ${salleNom} le ${date} de ${heureDebut} à ${heureFin}`,
+      smsResult.success ? 'sms_en_attente' : 'sms_echec',
+      false
+    ]);
+  }
+
+  return destinataires.length;
+}
+
+/**
+ * Rejette les demandes toujours en attente dont le créneau a commencé (dans le fuseau horaire du site
+ * de la salle) : elles quittent la file des validations et leurs demandeurs sont prévenus
+ * @returns {Promise<Object>} - { expirees } : nombre de demandes rejetées
+ */
+async function processDemandesExpirees() {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      WITH expirees AS (
+        UPDATE reservations
+        SET statut = 'rejetee', decision_le = CURRENT_TIMESTAMP, motif_decision = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE statut = 'en_attente'
+          AND id IN (
+            SELECT r.id
+            FROM reservations r
+            JOIN salles s ON r.salle_id = s.id
+            LEFT JOIN batiments b ON s.batiment_id = b.id
+            LEFT JOIN sites si ON b.site_id = si.id
+            WHERE r.statut = 'en_attente'
+              AND r.date + r.heure_debut <= now() AT TIME ZONE COALESCE(si.fuseau_horaire, $2)
+          )
+        RETURNING id, utilisateur_id, salle_id, date, heure_debut, heure_fin
+      )
+      SELECT
+        e.id,
+        TO_CHAR(e.date, 'DD/MM/YYYY') as date_affichee,
+        e.heure_debut,
+        e.heure_fin,
+        s.nom as salle_nom,
+        u.id as utilisateur_id,
+        u.nom as utilisateur_nom,
+        u.email as utilisateur_email,
+        u.telephone as utilisateur_telephone
+      FROM expirees e
+      JOIN salles s ON e.salle_id = s.id
+      JOIN utilisateurs u ON e.utilisateur_id = u.id
+    `, [MOTIF_EXPIRATION, getTimeZone()]);
+
+    for (const demande of result.rows) {
+      const heureDebut = demande.heure_debut.slice(0, 5);
+      const heureFin = demande.heure_fin.slice(0, 5);
+
+      const smsResult = await sendApprovalDecisionSMS(
+        {
+          id: demande.utilisateur_id,
+          nom: demande.utilisateur_nom,
+          email: demande.utilisateur_email,
+          telephone: demande.utilisateur_telephone
+        },
+        demande.salle_nom,
+        demande.date_affichee,
+        heureDebut,
+        heureFin,
+        false,
+        MOTIF_EXPIRATION,
+        { db: client }
+      );
+
+      await client.query(`
+        INSERT INTO notifications (utilisateur_id, reservation_id, message, type, lu)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [
+        demande.utilisateur_id,
+        demande.id,
+        `Réservation rejetée pour ${demande.salle_nom} le ${demande.date_affichee} de ${heureDebut} à ${heureFin} : ${MOTIF_EXPIRATION}`,
+        smsResult.success ? 'sms_en_attente' : 'sms_echec',
+        false
+      ]);
+    }
+
+    return { expirees: result.rows.length };
+  });
+}
+
+module.exports = {
+  listApprovers,
+  canApprove,
+  getInitialStatut,
+  notifyApprovers,
+  processDemandesExpirees
+};
@@ -0,0 +1,22 @@
+// Base de données simulée pour tester les services sans PostgreSQL : chaque requête est confiée
+// au premier gestionnaire dont le motif correspond au SQL, qui renvoie les lignes du résultat
+function createFakeDb(gestionnaires) {
+  const requetes = [];
+
+  return {
+    requetes,
+    async query(sql, params = []) {
+      requetes.push({ sql, params });
+
+      const gestionnaire = gestionnaires.find(([motif]) => motif.test(sql));
+      if (!gestionnaire) {
+        throw new Error(`Requête non simulée : ${sql.trim().split('\n')[0]}`);
+      }
+
+      const rows = gestionnaire[1](params) || [];
+      return { rows, rowCount: rows.length };
+    }
+  };
+}
+
+module.exports = { createFakeDb };
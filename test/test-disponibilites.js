@@ -0,0 +1,162 @@
+const assert = require('assert');
+const { computeFreeIntervals, buildAvailabilityGrid } = require('../services/disponibilites');
+const { rankCandidates } = require('../services/suggestions');
+const { getClosedIntervals, checkOpening } = require('../services/horaires');
+
+function runDisponibilitesTest() {
+  console.log('🧪 Test de la grille de disponibilités');
+  console.log('=====================================');
+
+  // Réservations qui se chevauchent et qui ne tombent pas sur la grille
+  assert.deepStrictEqual(
+    computeFreeIntervals(
+      [{ debut: 545, fin: 600 }, { debut: 660, fin: 720 }, { debut: 700, fin: 750 }],
+      480,
+      1080,
+      30
+    ),
+    [{ debut: 480, fin: 540 }, { debut: 600, fin: 660 }, { debut: 750, fin: 1080 }]
+  );
+
+  // Un intervalle plus court qu'un créneau n'est pas libre
+  assert.deepStrictEqual(
+    computeFreeIntervals([{ debut: 490, fin: 1080 }], 480, 1080, 15),
+    []
+  );
+
+  const grille = buildAvailabilityGrid({
+    salles: [
+      { id: 1, nom: 'Salle A', capacite: 10, statut: 'disponible' },
+      { id: 2, nom: 'Salle B', capacite: 6, statut: 'hors_service' }
+    ],
+    reservations: [
+      { id: 7, salle_id: 1, date: '2030-01-07', heure_debut: '09:00:00', heure_fin: '10:00:00' }
+    ],
+    dates: ['2030-01-07', '2030-01-08'],
+    heureDebut: '08:00',
+    heureFin: '12:00',
+    granularite: 60
+  });
+
+  assert.deepStrictEqual(grille[0].jours[0], {
+    date: '2030-01-07',
+    occupe: [{ reservation_id: 7, debut: '09:00', fin: '10:00' }],
+    ferme: [],
+    libre: [{ debut: '08:00', fin: '09:00' }, { debut: '10:00', fin: '12:00' }]
+  });
+  assert.deepStrictEqual(grille[0].jours[1].libre, [{ debut: '08:00', fin: '12:00' }]);
+
+  // Une salle hors service n'a aucun créneau libre
+  assert.deepStrictEqual(grille[1].jours[0].libre, []);
+
+  console.log('✅ Créneaux occupés et libres corrects');
+
+  // Suggestions : l'heure la plus proche d'abord, puis la salle la mieux dimensionnée
+  const grilleSuggestions = buildAvailabilityGrid({
+    salles: [
+      { id: 1, nom: 'Grande salle', capacite: 30, statut: 'disponible' },
+      { id: 2, nom: 'Petite salle', capacite: 6, statut: 'disponible' }
+    ],
+    reservations: [
+      { id: 8, salle_id: 1, date: '2030-01-07', heure_debut: '09:00:00', heure_fin: '10:30:00' },
+      { id: 9, salle_id: 2, date: '2030-01-07', heure_debut: '08:00:00', heure_fin: '10:30:00' }
+    ],
+    dates: ['2030-01-07', '2030-01-08'],
+    heureDebut: '08:00',
+    heureFin: '20:00',
+    granularite: 15
+  });
+
+  const suggestions = rankCandidates(grilleSuggestions, {
+    duree: 60,
+    heureDebut: '09:00',
+    capaciteMin: 4,
+    limite: 3,
+    maintenant: { date: '2030-01-01', minutes: 0 }
+  });
+  assert.deepStrictEqual(
+    suggestions.map(s => [s.salle_nom, s.date, s.heure_debut, s.heure_fin]),
+    [
+      ['Grande salle', '2030-01-07', '08:00', '09:00'],
+      ['Petite salle', '2030-01-07', '10:30', '11:30'],
+      ['Grande salle', '2030-01-07', '10:30', '11:30']
+    ]
+  );
+
+  // Une plage souhaitée sans écart l'emporte sur les créneaux plus proches du début
+  const dansLaPlage = rankCandidates(grilleSuggestions, {
+    duree: 60,
+    heureDebut: '09:00',
+    heureFin: '12:00',
+    capaciteMin: 4,
+    limite: 1,
+    maintenant: { date: '2030-01-01', minutes: 0 }
+  });
+  assert.deepStrictEqual(dansLaPlage[0].salle_nom, 'Petite salle');
+  assert.strictEqual(dansLaPlage[0].ecart_minutes, 0);
+
+  // Aucun créneau déjà commencé n'est proposé
+  const aujourdhui = rankCandidates(grilleSuggestions, {
+    duree: 60,
+    heureDebut: '09:00',
+    limite: 1,
+    maintenant: { date: '2030-01-07', minutes: 19 * 60 + 10 }
+  });
+  assert.strictEqual(aujourdhui[0].date, '2030-01-08');
+
+  console.log('✅ Suggestions de créneaux classées');
+
+  // Horaires : lundi 08:00-18:00 pour toutes les salles, la salle 2 ouvre aussi le samedi matin
+  const regles = {
+    horaires: [
+      { salle_id: null, jour_semaine: 1, heure_ouverture: '08:00:00', heure_fermeture: '18:00:00' },
+      { salle_id: 2, jour_semaine: 6, heure_ouverture: '09:00:00', heure_fermeture: '12:00:00' }
+    ],
+    fermetures: [
+      { id: 4, salle_id: null, date_debut: '2030-01-14', date_fin: '2030-01-14', heure_debut: null, heure_fin: null, motif: 'Jour férié' }
+    ]
+  };
+
+  assert.strictEqual(checkOpening(regles, 1, '2030-01-07', '09:00', '10:00'), null);
+  assert.strictEqual(checkOpening(regles, 1, '2030-01-07', '17:30', '18:30').message, 'En dehors des horaires d\'ouverture de la salle');
+  // Un jour sans horaire est fermé ; les horaires propres à une salle remplacent les horaires globaux
+  assert.ok(checkOpening(regles, 1, '2030-01-12', '09:00', '10:00'));
+  assert.strictEqual(checkOpening(regles, 2, '2030-01-12', '09:00', '10:00'), null);
+  assert.ok(checkOpening(regles, 2, '2030-01-07', '09:00', '10:00'));
+  assert.strictEqual(checkOpening(regles, 1, '2030-01-14', '09:00', '10:00').fermeture.motif, 'Jour férié');
+
+  const grilleHoraires = buildAvailabilityGrid({
+    salles: [{ id: 1, nom: 'Salle A', capacite: 10, statut: 'disponible' }],
+    reservations: [],
+    dates: ['2030-01-07', '2030-01-14'],
+    heureDebut: '07:00',
+    heureFin: '20:00',
+    granularite: 60,
+    fermetures: (salleId, date) => getClosedIntervals(regles, salleId, date)
+  });
+  assert.deepStrictEqual(grilleHoraires[0].jours[0].libre, [{ debut: '08:00', fin: '18:00' }]);
+  assert.deepStrictEqual(grilleHoraires[0].jours[1].libre, []);
+  assert.ok(grilleHoraires[0].jours[1].ferme.some(f => f.motif === 'Jour férié'));
+
+  // Une maintenance sur deux jours bloque la fin du premier et le début du second
+  const reglesMaintenance = {
+    horaires: [],
+    fermetures: [],
+    maintenances: [{ id: 3, salle_id: 1, debut: '2030-01-07 16:00', fin: '2030-01-08 10:00', motif: 'Peinture' }]
+  };
+  assert.strictEqual(checkOpening(reglesMaintenance, 1, '2030-01-07', '14:00', '16:00'), null);
+  assert.strictEqual(checkOpening(reglesMaintenance, 1, '2030-01-07', '15:00', '17:00').maintenance.motif, 'Peinture');
+  assert.ok(checkOpening(reglesMaintenance, 1, '2030-01-08', '09:00', '10:00'));
+  assert.strictEqual(checkOpening(reglesMaintenance, 1, '2030-01-08', '10:00', '11:00'), null);
+  assert.strictEqual(checkOpening(reglesMaintenance, 2, '2030-01-07', '16:00', '17:00'), null);
+
+  console.log('✅ Horaires d\'ouverture et fermetures respectés');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runDisponibilitesTest();
+}
+
+module.exports = { runDisponibilitesTest };
@@ -0,0 +1,155 @@
+const assert = require('assert');
+const { createFakeDb } = require('./fakeDb');
+
+process.env.NOTIFICATION_CHANNELS = 'sms';
+
+const { startChallenge, verifyChallenge, generateRecoveryCodes } = require('../services/doubleAuth');
+const { generateSecret, generateCode, getStep } = require('../services/totp');
+const { EMPLACEMENT_SECRET } = require('../services/outbox');
+
+// Utilisateur, secondes étapes de connexion, codes de secours et file d'envoi en mémoire
+function createDoubleAuthDb(utilisateur) {
+  const defis = new Map();
+  const codesSecours = [];
+  const messages = [];
+
+  const db = createFakeDb([
+    [/INSERT INTO defis_connexion/, ([utilisateurId, jetonHash, methode, codeHash]) => {
+      defis.set(jetonHash, { id: defis.size + 1, utilisateur_id: utilisateurId, methode, code_hash: codeHash, tentatives: 0, utilise: false });
+      return [{ expire_le: '2030-01-07 09:05:00' }];
+    }],
+    [/INSERT INTO messages_sortants/, ([, canal, destinataire, , contenu, , secret]) => {
+      messages.push({ canal, destinataire, contenu, secret });
+      return [{ id: messages.length }];
+    }],
+    [/FROM defis_connexion d/, ([jetonHash]) => {
+      const defi = defis.get(jetonHash);
+      if (!defi || defi.utilise) {
+        return [];
+      }
+      return [{
+        id: defi.id,
+        methode: defi.methode,
+        code_hash: defi.code_hash,
+        tentatives: defi.tentatives,
+        utilisateur_id: utilisateur.id,
+        nom: utilisateur.nom,
+        email: utilisateur.email,
+        role: utilisateur.role,
+        telephone: utilisateur.telephone,
+        totp_secret: utilisateur.totp_secret,
+        totp_dernier_pas: utilisateur.totp_dernier_pas
+      }];
+    }],
+    [/UPDATE defis_connexion SET tentatives/, ([id]) => {
+      [...defis.values()].find(defi => defi.id === id).tentatives += 1;
+    }],
+    [/UPDATE defis_connexion SET utilise_le/, ([id]) => {
+      [...defis.values()].find(defi => defi.id === id).utilise = true;
+    }],
+    [/UPDATE utilisateurs SET totp_dernier_pas/, ([pas]) => {
+      utilisateur.totp_dernier_pas = pas;
+    }],
+    [/DELETE FROM codes_secours/, () => {
+      codesSecours.length = 0;
+    }],
+    [/INSERT INTO codes_secours/, ([, codeHash]) => {
+      codesSecours.push({ id: codesSecours.length + 1, code_hash: codeHash, utilise: false });
+    }],
+    [/SELECT id, code_hash FROM codes_secours/, () => codesSecours.filter(code => !code.utilise)],
+    [/UPDATE codes_secours SET utilise_le/, ([id]) => {
+      codesSecours.find(code => code.id === id).utilise = true;
+    }]
+  ]);
+
+  return { db, messages };
+}
+
+// Un code à 6 chiffres différent de celui attendu
+function autreCode(code) {
+  return code === '000000' ? '111111' : '000000';
+}
+
+async function runDoubleAuthTest() {
+  console.log('🧪 Test de la seconde étape de connexion');
+  console.log('=====================================');
+
+  // Administrateur sans méthode choisie : le code lui est envoyé par SMS
+  const admin = {
+    id: 1,
+    nom: 'Administrateur',
+    email: 'admin@example.com',
+    telephone: '+237690000000',
+    role: 'admin',
+    double_auth_methode: null,
+    totp_secret: null,
+    totp_dernier_pas: null
+  };
+  const { db, messages } = createDoubleAuthDb(admin);
+
+  const defi = await startChallenge(db, admin);
+  assert.strictEqual(defi.methode, 'sms');
+  assert.strictEqual(messages.length, 1);
+  const code = messages[0].secret;
+  assert.ok(messages[0].contenu.includes(EMPLACEMENT_SECRET));
+  assert.ok(!messages[0].contenu.includes(code));
+
+  assert.strictEqual(await verifyChallenge(db, { jeton: defi.jeton, code: autreCode(code) }), null);
+  assert.strictEqual(await verifyChallenge(db, { jeton: 'jeton-inconnu', code }), null);
+  const connecte = await verifyChallenge(db, { jeton: defi.jeton, code });
+  assert.strictEqual(connecte.id, admin.id);
+  assert.strictEqual(connecte.role, 'admin');
+
+  // Une seconde étape ne sert qu'une fois
+  assert.strictEqual(await verifyChallenge(db, { jeton: defi.jeton, code }), null);
+
+  console.log('✅ Code par SMS vérifié, hors du contenu du message');
+
+  // Au-delà de 5 essais manqués, même le bon code est refusé
+  const bloque = await startChallenge(db, admin);
+  const codeBloque = messages[1].secret;
+  for (let essai = 0; essai < 5; essai++) {
+    assert.strictEqual(await verifyChallenge(db, { jeton: bloque.jeton, code: autreCode(codeBloque) }), null);
+  }
+  assert.strictEqual(await verifyChallenge(db, { jeton: bloque.jeton, code: codeBloque }), null);
+
+  console.log('✅ Seconde étape bloquée après 5 essais manqués');
+
+  // Application TOTP : un code accepté ne peut pas être rejoué sur une autre connexion
+  admin.double_auth_methode = 'totp';
+  admin.totp_secret = generateSecret();
+  const codeTotp = generateCode(admin.totp_secret, getStep());
+
+  const premierTotp = await startChallenge(db, admin);
+  assert.strictEqual(premierTotp.methode, 'totp');
+  assert.strictEqual(messages.length, 2);
+  assert.ok(await verifyChallenge(db, { jeton: premierTotp.jeton, code: codeTotp }));
+
+  const rejeuTotp = await startChallenge(db, admin);
+  assert.strictEqual(await verifyChallenge(db, { jeton: rejeuTotp.jeton, code: codeTotp }), null);
+
+  console.log('✅ Code TOTP vérifié et non rejouable');
+
+  // Code de secours : saisie tolérante (majuscules, sans tiret), à usage unique
+  const [codeSecours] = await generateRecoveryCodes(db, admin.id);
+  const saisie = codeSecours.replace('-', '').toUpperCase();
+
+  const secours = await startChallenge(db, admin);
+  assert.ok(await verifyChallenge(db, { jeton: secours.jeton, code_secours: saisie }));
+
+  const secoursRejoue = await startChallenge(db, admin);
+  assert.strictEqual(await verifyChallenge(db, { jeton: secoursRejoue.jeton, code_secours: saisie }), null);
+
+  console.log('✅ Code de secours à usage unique');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runDoubleAuthTest().catch(error => {
+    console.error('❌ Test échoué:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runDoubleAuthTest };
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const net = require('net');
+
+// Serveur SMTP minimal qui accepte tous les messages et les garde en mémoire
+function startSMTPStandIn() {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let enDonnees = false;
+    let tampon = '';
+    let courant = { rcpt: [], data: '' };
+
+    socket.write('220 localhost SMTP stand-in\r\n');
+
+    socket.on('data', chunk => {
+      tampon += chunk.toString();
+
+      let index;
+      while ((index = tampon.indexOf('\r\n')) !== -1) {
+        const ligne = tampon.slice(0, index);
+        tampon = tampon.slice(index + 2);
+
+        if (enDonnees) {
+          if (ligne === '.') {
+            enDonnees = false;
+            messages.push(courant);
+            courant = { rcpt: [], data: '' };
+            socket.write('250 OK message accepté\r\n');
+          } else {
+            courant.data += `${ligne}\n`;
+          }
+          continue;
+        }
+
+        const commande = ligne.slice(0, 4).toUpperCase();
+        if (commande === 'EHLO' || commande === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (commande === 'MAIL') {
+          courant.from = ligne;
+          socket.write('250 OK\r\n');
+        } else if (commande === 'RCPT') {
+          courant.rcpt.push(ligne);
+          socket.write('250 OK\r\n');
+        } else if (commande === 'DATA') {
+          enDonnees = true;
+          socket.write('354 Fin avec <CRLF>.<CRLF>\r\n');
+        } else if (commande === 'QUIT') {
+          socket.end('221 Au revoir\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+  });
+}
+
+async function runEmailTest() {
+  console.log('🧪 Test du canal email contre un serveur SMTP local');
+  console.log('=====================================');
+
+  const { server, messages, port } = await startSMTPStandIn();
+
+  try {
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    process.env.SMTP_FROM = 'reservations@example.com';
+
+    const emailChannel = require('../services/channels/emailChannel');
+
+    const result = await emailChannel.send(
+      emailChannel.getAddress({ email: 'user@example.com' }),
+      { sujet: 'Reservation confirmee', message: 'Salle B le 07/01/2030 de 09:00 a 10:00' }
+    );
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(messages.length, 1);
+    assert.ok(messages[0].rcpt[0].includes('user@example.com'));
+    assert.ok(messages[0].data.includes('Subject: Reservation confirmee'));
+    assert.ok(messages[0].data.includes('Salle B le 07/01/2030 de 09:00 a 10:00'));
+
+    // Un destinataire sans email n'est pas joignable sur ce canal
+    assert.strictEqual(emailChannel.getAddress({ telephone: '+237655000000' }), null);
+
+    console.log('✅ Email reçu par le serveur SMTP local');
+  } finally {
+    server.close();
+  }
+
+  console.log('=====================================');
+  console.log('🏁 Test terminé');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runEmailTest().catch(error => {
+    console.error('💥 Erreur lors du test email:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runEmailTest };
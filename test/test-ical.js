@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { toUTC, buildCalendar, parseICS, getEventSlot } = require('../services/ical');
+
+function runICalTest() {
+  console.log('🧪 Test de génération et de lecture iCalendar');
+  console.log('=====================================');
+
+  // Heures locales converties en UTC selon le fuseau (heure d'hiver et d'été)
+  assert.strictEqual(toUTC('2030-01-07', '09:00:00', 'Africa/Douala').toISOString(), '2030-01-07T08:00:00.000Z');
+  assert.strictEqual(toUTC('2030-07-07', '09:00', 'Europe/Paris').toISOString(), '2030-07-07T07:00:00.000Z');
+
+  const calendrier = buildCalendar('Salle A', [
+    {
+      id: 12,
+      date: '2030-01-07',
+      heure_debut: '09:00:00',
+      heure_fin: '10:30:00',
+      motif: 'Revue; budget, T1',
+      statut: 'annulee',
+      salle_nom: 'Salle A',
+      created_at: new Date('2029-12-01T10:00:00Z')
+    }
+  ], { timeZone: 'Africa/Douala' });
+
+  const lignes = calendrier.split('\r\n');
+  assert.ok(lignes.includes('BEGIN:VCALENDAR'));
+  assert.ok(lignes.includes('UID:reservation-12@reservation.local'));
+  assert.ok(lignes.includes('DTSTART:20300107T080000Z'));
+  assert.ok(lignes.includes('DTEND:20300107T093000Z'));
+  assert.ok(lignes.includes('SUMMARY:Revue\\; budget\\, T1'));
+  assert.ok(lignes.includes('STATUS:CANCELLED'));
+  assert.ok(lignes.includes('X-WR-TIMEZONE:Africa/Douala'));
+
+  // Aucune ligne ne dépasse 75 octets
+  assert.ok(lignes.every(ligne => Buffer.byteLength(ligne) <= 75));
+
+  // Le fuseau du site de la salle l'emporte sur celui du calendrier
+  const multiSites = buildCalendar('Mes réservations', [
+    { id: 13, date: '2030-07-07', heure_debut: '09:00', heure_fin: '10:00', statut: 'active', salle_nom: 'Salle Paris', fuseau_horaire: 'Europe/Paris' }
+  ], { timeZone: 'Africa/Douala' });
+  assert.ok(multiSites.split('\r\n').includes('DTSTART:20300707T070000Z'));
+
+  console.log('✅ Calendrier iCalendar conforme');
+
+  // Lecture d'un fichier importé : lignes repliées, texte échappé, fuseau TZID, durée, alarmes ignorées
+  const evenements = parseICS([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:abc-1',
+    'SUMMARY:Comité\\, point',
+    '  mensuel',
+    'LOCATION:Salle du conseil',
+    'ORGANIZER;CN="Admin":mailto:admin@example.com',
+    'DTSTART;TZID=Europe/Paris:20300107T100000',
+    'DURATION:PT1H30M',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Rappel',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:abc-2',
+    'DTSTART;VALUE=DATE:20300108',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.strictEqual(evenements.length, 2);
+  assert.strictEqual(evenements[0].resume, 'Comité, point mensuel');
+  assert.strictEqual(evenements[0].organisateur, 'admin@example.com');
+  assert.strictEqual(evenements[0].description, undefined);
+  assert.deepStrictEqual(
+    getEventSlot(evenements[0], 'Africa/Douala'),
+    { date: '2030-01-07', heure_debut: '10:00', heure_fin: '11:30' }
+  );
+  assert.throws(() => getEventSlot(evenements[1], 'Africa/Douala'), /journée entière/);
+
+  console.log('✅ Import iCalendar lu correctement');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runICalTest();
+}
+
+module.exports = { runICalTest };
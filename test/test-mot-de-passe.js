@@ -0,0 +1,126 @@
+const assert = require('assert');
+const bcrypt = require('bcryptjs');
+const { createFakeDb } = require('./fakeDb');
+
+process.env.NOTIFICATION_CHANNELS = 'sms';
+
+const { requestPasswordReset, resetPassword } = require('../services/motDePasse');
+const { EMPLACEMENT_SECRET } = require('../services/outbox');
+
+// Utilisateur, codes de réinitialisation, sessions et file d'envoi en mémoire
+function createMotDePasseDb() {
+  const utilisateur = {
+    id: 1,
+    nom: 'Utilisateur Test',
+    email: 'user@example.com',
+    telephone: '+237655000000',
+    canaux_notification: ['sms'],
+    mot_de_passe: null,
+    sessions_revoquees: 0
+  };
+  const codes = [];
+  const messages = [];
+
+  const valides = () => codes.filter(code => !code.expire && !code.utilise);
+
+  const db = createFakeDb([
+    [/FROM utilisateurs WHERE email = \$1/, ([email]) => (email === utilisateur.email ? [utilisateur] : [])],
+    [/SELECT COUNT\(\*\) as count FROM codes_reinitialisation/, () => [{ count: String(codes.length) }]],
+    [/UPDATE codes_reinitialisation SET expire_le = LOCALTIMESTAMP/, () => {
+      valides().forEach(code => { code.expire = true; });
+    }],
+    [/INSERT INTO codes_reinitialisation/, ([utilisateurId, codeHash]) => {
+      codes.push({ id: codes.length + 1, utilisateur_id: utilisateurId, code_hash: codeHash, tentatives: 0, expire: false, utilise: false });
+    }],
+    [/INSERT INTO messages_sortants/, ([, canal, destinataire, , contenu, , secret]) => {
+      messages.push({ canal, destinataire, contenu, secret });
+      return [{ id: messages.length }];
+    }],
+    [/FROM codes_reinitialisation c/, ([email]) => {
+      const code = valides().pop();
+      return email === utilisateur.email && code ? [{ ...code }] : [];
+    }],
+    [/SET tentatives = tentatives \+ 1/, ([id, maxTentatives]) => {
+      const code = codes.find(c => c.id === id);
+      code.tentatives += 1;
+      code.expire = code.tentatives >= maxTentatives;
+    }],
+    [/UPDATE utilisateurs SET mot_de_passe/, ([hash]) => {
+      utilisateur.mot_de_passe = hash;
+    }],
+    [/UPDATE codes_reinitialisation SET utilise_le/, ([id]) => {
+      codes.find(c => c.id === id).utilise = true;
+    }],
+    [/UPDATE sessions\s+SET revoquee_le[\s\S]*WHERE utilisateur_id = \$1/, () => {
+      utilisateur.sessions_revoquees += 1;
+      return [{ id: 1 }];
+    }]
+  ]);
+
+  return { db, utilisateur, codes, messages };
+}
+
+// Un code à 6 chiffres différent de celui envoyé
+function autreCode(code) {
+  return code === '000000' ? '111111' : '000000';
+}
+
+async function runMotDePasseTest() {
+  console.log('🧪 Test de la réinitialisation du mot de passe');
+  console.log('=====================================');
+
+  const { db, utilisateur, codes, messages } = createMotDePasseDb();
+
+  assert.strictEqual(await requestPasswordReset(db, 'inconnu@example.com'), false);
+  assert.strictEqual(messages.length, 0);
+
+  assert.strictEqual(await requestPasswordReset(db, utilisateur.email), true);
+  const premierCode = messages[0].secret;
+  assert.ok(/^\d{6}$/.test(premierCode));
+
+  // Le code n'est jamais écrit dans le contenu conservé par la file d'envoi
+  assert.ok(messages[0].contenu.includes(EMPLACEMENT_SECRET));
+  assert.ok(!messages[0].contenu.includes(premierCode));
+
+  console.log('✅ Code envoyé hors du contenu du message');
+
+  // Chaque essai manqué est compté ; le dernier rend le code inutilisable, même avec le bon code
+  for (let essai = 1; essai <= 5; essai++) {
+    assert.strictEqual(await resetPassword(db, { email: utilisateur.email, code: autreCode(premierCode), nouveau_mot_de_passe: 'nouveau123' }), false);
+    assert.strictEqual(codes[0].tentatives, essai);
+  }
+  assert.ok(codes[0].expire);
+  assert.strictEqual(await resetPassword(db, { email: utilisateur.email, code: premierCode, nouveau_mot_de_passe: 'nouveau123' }), false);
+  assert.strictEqual(utilisateur.mot_de_passe, null);
+
+  console.log('✅ Code bloqué après 5 essais manqués');
+
+  // Un nouveau code remplace le précédent ; il sert une seule fois et ferme toutes les sessions
+  assert.strictEqual(await requestPasswordReset(db, utilisateur.email), true);
+  const secondCode = messages[1].secret;
+  assert.strictEqual(await resetPassword(db, { email: utilisateur.email, code: autreCode(secondCode), nouveau_mot_de_passe: 'nouveau123' }), false);
+  assert.strictEqual(await resetPassword(db, { email: utilisateur.email, code: secondCode, nouveau_mot_de_passe: 'nouveau123' }), true);
+  assert.ok(await bcrypt.compare('nouveau123', utilisateur.mot_de_passe));
+  assert.strictEqual(utilisateur.sessions_revoquees, 1);
+  assert.strictEqual(await resetPassword(db, { email: utilisateur.email, code: secondCode, nouveau_mot_de_passe: 'autre123' }), false);
+
+  console.log('✅ Code à usage unique, sessions fermées');
+
+  // Au plus 3 codes par heure : le quatrième n'est pas envoyé
+  assert.strictEqual(await requestPasswordReset(db, utilisateur.email), true);
+  assert.strictEqual(await requestPasswordReset(db, utilisateur.email), false);
+  assert.strictEqual(messages.length, 3);
+
+  console.log('✅ Nombre de codes par heure limité');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runMotDePasseTest().catch(error => {
+    console.error('❌ Test échoué:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMotDePasseTest };
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { generateOccurrences } = require('../services/recurrence');
+
+function runRecurrenceTest() {
+  console.log('🧪 Test de génération des occurrences récurrentes');
+  console.log('=====================================');
+
+  // Tous les jours, 3 occurrences
+  assert.deepStrictEqual(
+    generateOccurrences('2030-01-30', { frequence: 'quotidienne', intervalle: 1, nombre_occurrences: 3 }),
+    ['2030-01-30', '2030-01-31', '2030-02-01']
+  );
+
+  // Toutes les deux semaines, lundi et mercredi, jusqu'à une date de fin
+  assert.deepStrictEqual(
+    generateOccurrences('2030-01-07', { frequence: 'hebdomadaire', intervalle: 2, jours_semaine: [1, 3], date_fin: '2030-01-31' }),
+    ['2030-01-07', '2030-01-09', '2030-01-21', '2030-01-23']
+  );
+
+  // Sans jours précisés, la série reprend le jour de la première occurrence
+  assert.deepStrictEqual(
+    generateOccurrences('2030-01-10', { frequence: 'hebdomadaire', nombre_occurrences: 2 }),
+    ['2030-01-10', '2030-01-17']
+  );
+
+  // Les mois sans le 31 sont ignorés
+  assert.deepStrictEqual(
+    generateOccurrences('2030-01-31', { frequence: 'mensuelle', intervalle: 1, nombre_occurrences: 3 }),
+    ['2030-01-31', '2030-03-31', '2030-05-31']
+  );
+
+  // Une série trop longue est refusée
+  assert.throws(
+    () => generateOccurrences('2030-01-01', { frequence: 'quotidienne', date_fin: '2031-12-31' }),
+    /ne peut pas dépasser/
+  );
+
+  console.log('✅ Toutes les règles de récurrence sont correctes');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runRecurrenceTest();
+}
+
+module.exports = { runRecurrenceTest };
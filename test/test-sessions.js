@@ -0,0 +1,98 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { createFakeDb } = require('./fakeDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secret-de-test';
+
+const { createSession, rotateSession } = require('../services/sessions');
+
+// Tables sessions et jetons_rafraichissement en mémoire
+function createSessionsDb(utilisateur) {
+  const sessions = new Map();
+  const jetons = new Map();
+
+  const db = createFakeDb([
+    [/INSERT INTO sessions/, () => {
+      const session = { id: sessions.size + 1, utilisateur_id: utilisateur.id, revoquee_le: null };
+      sessions.set(session.id, session);
+      return [{ id: session.id }];
+    }],
+    [/INSERT INTO jetons_rafraichissement/, ([hash, sessionId]) => {
+      jetons.set(hash, { hash, session_id: sessionId, utilise_le: null });
+    }],
+    [/FROM jetons_rafraichissement j/, ([hash]) => {
+      const jeton = jetons.get(hash);
+      if (!jeton) {
+        return [];
+      }
+      const session = sessions.get(jeton.session_id);
+      return [{
+        hash: jeton.hash,
+        utilise_le: jeton.utilise_le,
+        session_id: session.id,
+        revoquee_le: session.revoquee_le,
+        valide: true,
+        id: utilisateur.id,
+        email: utilisateur.email,
+        role: utilisateur.role
+      }];
+    }],
+    [/UPDATE jetons_rafraichissement SET utilise_le/, ([hash]) => {
+      jetons.get(hash).utilise_le = new Date();
+    }],
+    [/UPDATE sessions\s+SET expire_le/, () => []],
+    [/UPDATE sessions SET revoquee_le = CURRENT_TIMESTAMP WHERE id = \$1/, ([sessionId]) => {
+      const session = sessions.get(sessionId);
+      if (!session || session.revoquee_le) {
+        return [];
+      }
+      session.revoquee_le = new Date();
+      return [{ id: session.id }];
+    }]
+  ]);
+
+  return { db, sessions, jetons };
+}
+
+async function runSessionsTest() {
+  console.log('🧪 Test des sessions et du rafraîchissement des jetons');
+  console.log('=====================================');
+
+  const utilisateur = { id: 1, email: 'user@example.com', role: 'utilisateur' };
+  const { db, sessions, jetons } = createSessionsDb(utilisateur);
+
+  const premiere = await createSession(db, utilisateur);
+  assert.strictEqual(jwt.verify(premiere.token, process.env.JWT_SECRET).sessionId, 1);
+
+  // Seule l'empreinte du jeton de rafraîchissement est conservée
+  assert.strictEqual(jetons.size, 1);
+  assert.ok(!jetons.has(premiere.refresh_token));
+
+  const deuxieme = await rotateSession(db, premiere.refresh_token);
+  assert.ok(deuxieme);
+  assert.notStrictEqual(deuxieme.refresh_token, premiere.refresh_token);
+  assert.strictEqual(jwt.verify(deuxieme.token, process.env.JWT_SECRET).sessionId, 1);
+  assert.strictEqual(sessions.get(1).revoquee_le, null);
+
+  console.log('✅ Rotation du jeton de rafraîchissement');
+
+  // Rejouer un jeton déjà consommé révoque la session : le jeton volé comme le jeton légitime sont refusés
+  assert.strictEqual(await rotateSession(db, premiere.refresh_token), null);
+  assert.ok(sessions.get(1).revoquee_le);
+  assert.strictEqual(await rotateSession(db, deuxieme.refresh_token), null);
+
+  assert.strictEqual(await rotateSession(db, 'jeton-inconnu'), null);
+
+  console.log('✅ Rejeu détecté et session révoquée');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runSessionsTest().catch(error => {
+    console.error('❌ Test échoué:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runSessionsTest };
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { base32Encode, base32Decode, generateSecret, getStep, generateCode, verifyCode, buildOtpauthUrl } = require('../services/totp');
+
+function runTotpTest() {
+  console.log('🧪 Test des codes TOTP');
+  console.log('=====================================');
+
+  // Base32 (RFC 4648)
+  assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.strictEqual(base32Decode('mzxw 6ytb-oi======').toString(), 'foobar');
+  assert.strictEqual(base32Decode(generateSecret()).length, 20);
+
+  // Vecteurs de test de la RFC 6238 (SHA1, secret "12345678901234567890"), tronqués à 6 chiffres
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(generateCode(secret, getStep(59 * 1000)), '287082');
+  assert.strictEqual(generateCode(secret, getStep(1111111109 * 1000)), '081804');
+  assert.strictEqual(generateCode(secret, getStep(1234567890 * 1000)), '005924');
+  assert.strictEqual(generateCode(secret, getStep(20000000000 * 1000)), '353130');
+
+  console.log('✅ Codes conformes à la RFC 6238');
+
+  // Un pas d'écart d'horloge est toléré, pas davantage
+  const instant = 1234567890 * 1000;
+  const pas = getStep(instant);
+  assert.strictEqual(verifyCode(secret, '005924', { instant }), pas);
+  assert.strictEqual(verifyCode(secret, generateCode(secret, pas - 1), { instant }), pas - 1);
+  assert.strictEqual(verifyCode(secret, generateCode(secret, pas + 2), { instant }), null);
+  assert.strictEqual(verifyCode(secret, 'abc123', { instant }), null);
+
+  // Un code déjà utilisé ne peut pas être rejoué
+  assert.strictEqual(verifyCode(secret, '005924', { instant, dernierPas: pas }), null);
+
+  const url = buildOtpauthUrl(secret, 'admin@example.com', 'Réservation de salles');
+  assert.ok(url.startsWith('otpauth://totp/R%C3%A9servation%20de%20salles:admin%40example.com?'));
+  assert.ok(url.includes(`secret=${secret}`));
+  assert.ok(url.includes('period=30'));
+
+  console.log('✅ Vérification et URI otpauth correctes');
+  console.log('=====================================');
+}
+
+// Exécuter le test si le script est appelé directement
+if (require.main === module) {
+  runTotpTest();
+}
+
+module.exports = { runTotpTest };